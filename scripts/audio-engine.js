@@ -3,108 +3,494 @@
  * Handles sample loading, Web Audio API setup, and note scheduling
  */
 
-class AudioEngine {
+/**
+ * Payload of the "play", "pause" and "seek" events
+ * @typedef {Object} PositionEvent
+ * @property {number} position - Position in the piece in seconds
+ */
+
+/**
+ * Payload of the "noteScheduled" and "noteStarted" events
+ * @typedef {Object} NoteEvent
+ * @property {number} voiceIndex - The index of the voice
+ * @property {Object} voice - The voice
+ * @property {number} loop - The loop number of the note (1 for the first crossing)
+ * @property {number} time - When the note starts, in audio context time
+ * @property {number} position - When the note starts, in seconds into the piece
+ */
+
+/**
+ * Payload of the "arrangementChanged" event
+ * @typedef {Object} ArrangementEvent
+ * @property {string} seed - The arrangement seed
+ * @property {Array<Object>} voices - The voices, with their new offsets
+ */
+
+/**
+ * Payload of the "scoreLoaded" event
+ * @typedef {Object} ScoreEvent
+ * @property {Object} score - The score
+ * @property {Array<Object>} voices - The voices built from it
+ */
+
+/**
+ * Payload of the "settingsChanged" event
+ * @typedef {Object} SettingsEvent
+ * @property {string} setting - The setting, e.g. "timeScale", "tuning" or "mute"
+ * @property {*} value - Its new value
+ * @property {number} [voiceIndex] - The voice, for mixer settings
+ */
+
+/**
+ * Payload of the "sleepTimerTick" event
+ * @typedef {Object} SleepTimerEvent
+ * @property {number|null} remaining - Seconds until playback stops, or null when the timer is off
+ */
+
+/**
+ * Payload of the "voicesChanged" event
+ * @typedef {Object} VoicesEvent
+ * @property {Array<Object>} voices - The voices, after one was added or removed
+ */
+
+/**
+ * Payload of the "evolved" event
+ * @typedef {Object} EvolutionEvent
+ * @property {Object} entry - The change log entry: time (ms since the epoch), position (seconds into
+ *     the piece), kind ("pitch", "loop", "add" or "retire") and description
+ */
+
+/**
+ * Payload of the "recordingTick" event
+ * @typedef {Object} RecordingTickEvent
+ * @property {number|null} elapsed - Seconds recorded so far, or null when not recording
+ */
+
+/**
+ * Payload of the "recordingStopped" event
+ * @typedef {Object} RecordingEvent
+ * @property {Blob} blob - The recorded audio
+ * @property {string} fileName - A file name with the arrangement seed and start time
+ * @property {number} duration - Length of the recording in seconds
+ */
+
+/**
+ * Payload of the "error" event
+ * @typedef {Object} ErrorEvent
+ * @property {string} message - What went wrong, for display
+ * @property {Error} error - The underlying error
+ */
+
+class AudioEngine extends EventEmitter {
     constructor() {
+        super(AudioEngine.EVENTS);
+        
         // Octave shift configuration - easily adjustable
         // Negative values shift down, positive values shift up
         // -1 = one octave down, -2 = two octaves down, 1 = one octave up, etc.
         this.octaveShift = -1; // Shift down by one octave
         
-        // Base frequencies (original values from the piece)
-        const baseFrequencies = {
-            "A♭5": 830.61,
-            "C5": 523.25,
-            "D♭5": 554.37,
-            "F5": 698.46,
-            "E♭5": 622.25,
-            "A♭4": 415.30,
-            "F4": 349.23
-        };
+        // Transposition in semitones, applied within the tuning (so a just scale stays just)
+        this.transposition = 0;
         
-        // Apply octave shift to all frequencies
-        // Each octave is a factor of 2 in frequency
-        const octaveMultiplier = Math.pow(2, this.octaveShift);
+        // The piece being played; voices, pitches and loop durations come from it
+        this.score = null;
+        this.voices = [];
+        
+        // Tuning system that turns the score's notes into frequencies
+        this.tuning = new Tuning();
         
-        // Define the 7 voices with their exact loop durations and frequencies
-        this.voices = [
-            {
-                note: "High A♭",
-                baseFrequency: baseFrequencies["A♭5"],
-                frequency: baseFrequencies["A♭5"] * octaveMultiplier, // Shifted A♭
-                loopDuration: 17.8, // seconds
-                color: "#E57373"
-            },
-            {
-                note: "C",
-                baseFrequency: baseFrequencies["C5"],
-                frequency: baseFrequencies["C5"] * octaveMultiplier, // Shifted C
-                loopDuration: 20.1,
-                color: "#FFB74D"
-            },
-            {
-                note: "D♭",
-                baseFrequency: baseFrequencies["D♭5"],
-                frequency: baseFrequencies["D♭5"] * octaveMultiplier, // Shifted D♭
-                loopDuration: 31.8,
-                color: "#FFF176"
-            },
-            {
-                note: "High F",
-                baseFrequency: baseFrequencies["F5"],
-                frequency: baseFrequencies["F5"] * octaveMultiplier, // Shifted F
-                loopDuration: 19.6,
-                color: "#AED581"
-            },
-            {
-                note: "E♭",
-                baseFrequency: baseFrequencies["E♭5"],
-                frequency: baseFrequencies["E♭5"] * octaveMultiplier, // Shifted E♭
-                loopDuration: 16.2,
-                color: "#4FC3F7"
-            },
-            {
-                note: "Low A♭",
-                baseFrequency: baseFrequencies["A♭4"],
-                frequency: baseFrequencies["A♭4"] * octaveMultiplier, // Shifted A♭
-                loopDuration: 21.3,
-                color: "#7986CB"
-            },
-            {
-                note: "Low F",
-                baseFrequency: baseFrequencies["F4"],
-                frequency: baseFrequencies["F4"] * octaveMultiplier, // Shifted F
-                loopDuration: 24.7,
-                color: "#BA68C8"
-            }
-        ];
-
         // Audio context and nodes
         this.audioContext = null;
         this.masterGain = null;
+        this.masterLevel = 0.7;
+        this.loudness = null;
+        this.reverb = null;
         this.reverbNode = null;
+        this.dryGain = null;
         this.pianoSample = null;
         
+        // Reverb settings
+        this.reverbPresetId = 'infinite';
+        this.reverbMix = 0.6; // 60% wet (reverb) signal
+        
+        // Tape machine stage (bypassed by default) and its effect amounts (0-1)
+        this.tape = null;
+        this.tapeSettings = {
+            bypass: true,
+            wow: 0.3,
+            flutter: 0.2,
+            saturation: 0.3,
+            hiss: 0.2
+        };
+        
+        // Multisampled instrument bank (falls back to pianoSample when unavailable)
+        this.sampleBank = null;
+        this.sampleManifestUrl = 'assets/samples/manifest.json';
+        
+        // Arrangement seed - the random offsets and per-note detune are derived from it
+        this.seed = SeededRandom.generateSeed();
+        
+        // Optional 3D placement of the voices around the listener
+        this.spatial = new SpatialAudio(this);
+        
         // Playback state
+        // Positions in the piece are measured in score time, in which each voice's loop lasts its
+        // loopDuration. startTime is the context time at which position 0 falls, and each second of
+        // score time lasts timeScale seconds, so while playing the position is
+        // (audioContext.currentTime - startTime) / timeScale; pausedPosition holds it while paused
         this.isPlaying = false;
         this.startTime = 0;
+        this.pausedPosition = 0;
+        
+        // Notes handed to the audio context that haven't finished yet; each is removed, and its
+        // nodes disconnected, when it ends. If the registry ever outgrows its bound the oldest
+        // notes are stopped, so a runaway can't pile up nodes over a long session
         this.scheduledNotes = [];
+        this.maxScheduledNotes = 128;
+        
+        // Audio nodes created for notes and not yet released, for spotting leaks
+        this.liveNodeCount = 0;
         
-        // Scheduling parameters
+        // Position in the piece (seconds) up to which notes have been scheduled
+        this.scheduledUntil = 0;
+        
+        // Stretches (above 1) or compresses (below 1) every loop duration alike, keeping their ratios
+        this.timeScale = 1.0;
+        
+        // Scheduling parameters: how often the scheduler runs and how far ahead it schedules
+        // While the page is hidden ticks can arrive late, so they are sparser and reach further
         this.lookahead = 0.1;  // seconds
         this.scheduleAheadTime = 0.5;  // seconds
-        this.schedulerTimer = null;
+        this.hiddenLookahead = 0.25;  // seconds
+        this.hiddenScheduleAheadTime = 4;  // seconds
+        this.maxScheduleAheadTime = 10;  // seconds
+        
+        // Ticks come from a Worker so hidden-tab timer throttling doesn't starve the scheduler
+        this.schedulerClock = new SchedulerClock(() => {
+            if (this.isPlaying) this.scheduleNotes();
+        });
+        
+        // Context time of the last tick, and the longest recent gap between ticks, which
+        // the look-ahead is kept well above
+        this.lastTickTime = null;
+        this.tickGap = 0;
+        
+        // Timer announcing the next "noteStarted" on time while the page is visible, and the context time it's aimed at
+        this.noteStartTimer = null;
+        this.noteStartTimerTime = Infinity;
+        
+        // What counts as voices converging: at least minVoices notes within tolerance seconds
+        this.convergenceSettings = {
+            minVoices: 3,
+            tolerance: 0.5
+        };
+        
+        // Fades out and stops playback after a set time
+        this.sleepTimer = new SleepTimer(this);
+        
+        // Slowly changes the voices over hours of playback (off until enabled)
+        this.evolution = new Evolution(this);
+        
+        // Records the output to a compressed audio file
+        this.recorder = new LiveRecorder(this);
+        
+        // Sends the notes to external synths (off until connected and enabled)
+        this.midi = new MidiOutput(this);
+        
+        // Binaural beats generator and its settings
+        this.binaural = null;
+        this.binauralSettings = {
+            carrier: 200, // Hz
+            beat: 7, // Hz
+            level: 0.1,
+            programId: null
+        };
+        
+        // Sung vowel for voices using the choir timbre
+        this.choirSettings = {
+            vowel: 'aah',
+            vibratoRate: 5, // Hz
+            vibratoDepth: 15, // cents
+            breath: 0.2
+        };
+        
+        // Living mode: seeded velocity, timing jitter and loop drift, so the loops play less mechanically
+        this.livingSettings = {
+            enabled: false,
+            velocity: 0.15, // ± fraction of the voice's gain (up to 0.5)
+            jitter: 0.02, // ± seconds (up to 0.1)
+            drift: 0.005 // ± fraction of the loop duration (up to 0.03)
+        };
+        // A change to the living timing while playing is eased in over this many loops either side
+        // of each voice's next crossing, so no dot jumps and no crossing passes the playhead
+        this.livingEaseLoops = 8;
+        
+        // Loudness target for the master bus (one of LoudnessStage.TARGETS)
+        this.loudnessSettings = {
+            target: 'natural'
+        };
+        
+        // Start with the built-in "2/1" score
+        this.loadScore(Score.parse(DEFAULT_SCORE));
+    }
+    
+    /**
+     * Replace the piece being played
+     * Builds the voices from the score, applying the current octave shift
+     * Pause playback before calling this; the caller is responsible for resuming
+     * @param {Object} score - A score validated by Score.parse()
+     * @returns {Array} The new voices
+     */
+    loadScore(score) {
+        this.score = score;
+        
+        // Release the channel strips of the previous voices
+        this.voices.forEach(voice => this.disconnectVoiceChannel(voice));
+        
+        this.voices = score.voices.map(voiceData => this.createVoice(voiceData));
+        
+        // Build channel strips right away if the audio graph already exists
+        if (this.dryGain) {
+            this.createVoiceChannels();
+        }
+        
+        // Derive the offsets for the new voices from the arrangement seed
+        this.generateRandomStartTimes();
+        
+        // A new piece starts from the beginning
+        if (!this.isPlaying) {
+            this.pausedPosition = 0;
+        }
+        
+        console.log(`Loaded score "${score.title}" with ${this.voices.length} voices`);
+        
+        this.emit('scoreLoaded', { score: score, voices: this.voices });
+        
+        return this.voices;
+    }
+    
+    /**
+     * Build a voice from a score voice, with the current octave shift and a fresh mixer strip state
+     * @param {Object} voiceData - A voice from the score
+     * @returns {Object} The voice
+     */
+    createVoice(voiceData) {
+        // Each octave is a factor of 2 in frequency
+        const octaveMultiplier = Math.pow(2, this.octaveShift);
+        
+        return {
+            ...voiceData,
+            // Score pitches given as note names follow the tuning; pitches given in Hz are kept as they are
+            baseFrequency: this.getTunedFrequency(voiceData),
+            frequency: this.getTunedFrequency(voiceData) * octaveMultiplier,
+            // Mixer state
+            mute: false,
+            solo: false,
+            level: 1.0,
+            pan: 0,
+            // Which engine sings the voice: "piano" (the samples) or "choir" (synthesized vowels)
+            timbre: 'piano',
+            // Easing into living settings changed while playing, set by setLivingSettings()
+            livingAnchor: null
+        };
+    }
+
+    /**
+     * Bring a new voice into the piece, fading it in from silence
+     * The voice is added to the score too, so retuning and transposing carry on applying to it
+     * @param {Object} voiceData - The voice, as Score.parse() gives them
+     * @param {number} randomOffset - Its offset in seconds, which sets where in its loop it starts
+     * @param {number} fadeTime - Seconds to fade in over
+     * @returns {Object} The new voice
+     */
+    addVoice(voiceData, randomOffset, fadeTime) {
+        const voice = this.createVoice(voiceData);
+        voice.randomOffset = randomOffset;
+        
+        // The score passed to loadScore() may be the caller's, so change a copy
+        this.score = { ...this.score, voices: [...this.score.voices, voiceData] };
+        this.voices.push(voice);
+        
+        if (this.dryGain) {
+            this.createVoiceChannel(voice);
+            this.updateChannelGains(0);
+        }
+        this.fadeVoice(voice, 0, 1, fadeTime);
+        
+        console.log(`Added voice ${voice.note}: ${voice.loopDuration}s loop, fading in over ${fadeTime}s`);
+        this.emit('voicesChanged', { voices: this.voices });
+        
+        return voice;
+    }
+
+    /**
+     * Fade a voice out and take it out of the piece once it is silent
+     * It keeps playing, ever more quietly, until the fade ends
+     * @param {number} voiceIndex - The index of the voice
+     * @param {number} fadeTime - Seconds to fade out over
+     */
+    retireVoice(voiceIndex, fadeTime) {
+        const voice = this.voices[voiceIndex];
+        voice.retiring = true;
+        this.fadeVoice(voice, this.getVoiceFade(voice), 0, fadeTime);
+        
+        console.log(`Retiring voice ${voice.note} over ${fadeTime}s`);
+    }
+
+    /**
+     * Crossfade a voice into a changed copy of itself
+     * The new voice keeps the old one's mixer settings and timbre, and takes over its phase at
+     * the current position, so its dot sets off from where the old one is
+     * @param {number} voiceIndex - The index of the voice
+     * @param {Object} voiceData - The changed voice, as Score.parse() gives them
+     * @param {number} fadeTime - Seconds to crossfade over
+     * @returns {Object} The new voice
+     */
+    replaceVoice(voiceIndex, voiceData, fadeTime) {
+        const voice = this.voices[voiceIndex];
+        const phase = this.getLoopPosition(voice);
+        const position = this.getCurrentTime();
+        
+        // Whole loops back from the current position, so the offset stays within one loop
+        const offset = phase * voiceData.loopDuration - position;
+        const randomOffset = offset - Math.floor(offset / voiceData.loopDuration) * voiceData.loopDuration;
+        
+        this.retireVoice(voiceIndex, fadeTime);
+        const replacement = this.addVoice(voiceData, randomOffset, fadeTime);
+        ['mute', 'solo', 'level', 'pan', 'timbre'].forEach(key => {
+            replacement[key] = voice[key];
+        });
+        if (replacement.channel) {
+            replacement.channel.panner.pan.value = replacement.pan;
+            this.updateChannelGains(0);
+        }
+        
+        return replacement;
+    }
+
+    /**
+     * Ramp a voice's fade stage from one level to another, starting now
+     * @param {Object} voice - The voice
+     * @param {number} from - Level to start from (0-1)
+     * @param {number} to - Level to end at (0-1)
+     * @param {number} fadeTime - Seconds the fade lasts
+     */
+    fadeVoice(voice, from, to, fadeTime) {
+        const now = this.audioContext ? this.audioContext.currentTime : 0;
+        voice.fade = { from: from, to: to, startTime: now, duration: fadeTime };
+        
+        if (voice.channel) {
+            const gain = voice.channel.fade.gain;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(from, now);
+            gain.linearRampToValueAtTime(to, now + fadeTime);
+        }
+    }
+
+    /**
+     * Get how far a voice has faded in or out
+     * @param {Object} voice - The voice
+     * @param {number} time - Audio context time
+     * @returns {number} The level of its fade stage (0-1); 1 for voices that aren't fading
+     */
+    getVoiceFade(voice, time = this.audioContext ? this.audioContext.currentTime : 0) {
+        const fade = voice.fade;
+        if (!fade) return 1;
+        
+        const progress = fade.duration > 0 ? Math.max(0, Math.min(1, (time - fade.startTime) / fade.duration)) : 1;
+        return fade.from + (fade.to - fade.from) * progress;
+    }
+
+    /**
+     * Take out the retiring voices that have faded to silence
+     * @returns {number} The number of voices removed
+     */
+    removeRetiredVoices() {
+        const retired = this.voices.filter(voice => voice.retiring && this.getVoiceFade(voice) === 0);
+        if (retired.length === 0) return 0;
+        
+        retired.forEach(voice => {
+            const index = this.voices.indexOf(voice);
+            this.voices.splice(index, 1);
+            this.score = { ...this.score, voices: this.score.voices.filter((voiceData, i) => i !== index) };
+            this.disconnectVoiceChannel(voice);
+            console.log(`Removed voice ${voice.note}`);
+        });
+        
+        this.emit('voicesChanged', { voices: this.voices });
+        return retired.length;
+    }
+
+    /**
+     * Get the frequency of a score voice in the current tuning and transposition
+     * @param {Object} voiceData - A voice from the score
+     * @returns {number} The frequency in Hz, before the octave shift
+     */
+    getTunedFrequency(voiceData) {
+        if (voiceData.midiNote === null) {
+            return voiceData.baseFrequency * Math.pow(2, this.transposition / 12);
+        }
+        return this.tuning.frequencyFor(voiceData.midiNote + this.transposition);
+    }
+
+    /**
+     * Recompute every voice's frequency after a tuning, transposition or octave change
+     * Takes effect from the next note without stopping playback; notes already ringing keep their pitch
+     */
+    updateVoiceFrequencies() {
+        const octaveMultiplier = Math.pow(2, this.octaveShift);
+        
+        this.score.voices.forEach((voiceData, index) => {
+            const voice = this.voices[index];
+            voice.baseFrequency = this.getTunedFrequency(voiceData);
+            voice.frequency = voice.baseFrequency * octaveMultiplier;
+            console.log(`Voice ${voice.note}: ${voice.frequency.toFixed(2)}Hz`);
+        });
+        
+        // Notes already handed to the audio context but not yet started would still use the old pitch
+        this.rescheduleUpcomingNotes();
+    }
+
+    /**
+     * Change the tuning system and recompute every voice's frequency
+     * @param {Tuning} tuning - The new tuning
+     * @returns {Array} The voices
+     */
+    setTuning(tuning) {
+        this.tuning = tuning;
+        this.updateVoiceFrequencies();
+        
+        console.log(`Tuning set to ${tuning.getDescription()}`);
+        this.emit('settingsChanged', { setting: 'tuning', value: tuning });
+        
+        return this.voices;
+    }
+
+    /**
+     * Transpose every voice
+     * @param {number} semitones - Semitones up (positive) or down (negative) from the score
+     * @returns {Array} The voices
+     */
+    setTransposition(semitones) {
+        this.transposition = Math.round(semitones);
+        this.updateVoiceFrequencies();
         
-        // Callbacks
-        this.onPlayStateChange = null;
-        this.onNoteStart = null;
-        this.onLoaded = null;
-        // Binaural beats state and nodes
-        this.binauralEnabled = false;
-        this.binauralGain = null;
-        this.binauralLeftOsc = null;
-        this.binauralRightOsc = null;
-        this.binauralLeftPanner = null;
-        this.binauralRightPanner = null;
+        console.log(`Transposition set to ${this.transposition} semitones`);
+        this.emit('settingsChanged', { setting: 'transposition', value: this.transposition });
+        
+        return this.voices;
+    }
+
+    /**
+     * Load a score file and make it the piece being played
+     * @param {string} url - URL of the score JSON file
+     * @returns {Promise<Array>} Resolves with the new voices
+     * @throws {ScoreValidationError} If the score is malformed
+     */
+    async loadScoreFromUrl(url) {
+        const score = await Score.load(url);
+        return this.loadScore(score);
     }
 
     /**
@@ -116,37 +502,107 @@ class AudioEngine {
             // Create audio context
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             
-            // Create master gain node
-            this.masterGain = this.audioContext.createGain();
-            this.masterGain.gain.value = 0.7;
-            this.masterGain.connect(this.audioContext.destination);
-            // Setup binaural beats gain node (initially silent)
-            this.binauralGain = this.audioContext.createGain();
-            this.binauralGain.gain.value = 0;
-            this.binauralGain.connect(this.masterGain);
+            // Create master gain, tape stage and binaural beats
+            this.createOutputChain();
             
-            // Load piano sample
+            // Load piano sample (always available as a fallback)
             await this.loadPianoSample();
             
-            // Load reverb impulse response
+            // Load the multisampled instrument bank if one is installed
+            await this.loadSampleBank();
+            
+            // Set up reverb and load the selected impulse response
             await this.setupReverb();
             
+            // Create a mixer channel strip for each voice
+            this.createVoiceChannels();
+            
             // Generate random start times at initialization
             // This ensures the visualization can use them before playback starts
             this.generateRandomStartTimes();
             console.log('Generated initial random offsets during initialization');
             
-            if (this.onLoaded) {
-                this.onLoaded();
-            }
+            this.emit('loaded');
             
             return true;
         } catch (error) {
             console.error('Error initializing audio engine:', error);
+            this.emit('error', { message: 'Failed to initialize audio. Please try refreshing the page.', error: error });
             return false;
         }
     }
 
+    /**
+     * Create the master gain, the loudness and tape stages in front of it and the (initially silent) binaural beats
+     */
+    createOutputChain() {
+        // Create master gain node
+        this.masterGain = this.audioContext.createGain();
+        this.masterGain.gain.value = this.masterLevel;
+        this.masterGain.connect(this.audioContext.destination);
+        // Everything is metered, brought to the loudness target and limited before the master gain,
+        // so the sleep timer's fade isn't undone by the makeup gain
+        this.loudness = new LoudnessStage(this.audioContext, this.getLoudnessStageTarget());
+        this.loudness.output.connect(this.masterGain);
+        // The music passes through the tape stage; the binaural beats bypass it so their pitch stays steady
+        this.tape = new TapeMachine(this.audioContext, this.tapeSettings);
+        this.tape.output.connect(this.loudness.input);
+        // Binaural beats generator (silent until started)
+        this.binaural = new BinauralBeats(this.audioContext, this.loudness.input, this.binauralSettings);
+        // Synthesized choir, for voices that use it instead of the piano
+        this.choir = new ChoirVoice(this.audioContext, this.choirSettings);
+    }
+
+    /**
+     * Create a copy of this engine that renders into another context
+     * The copy shares this engine's samples and impulse responses and takes a snapshot
+     * of its voices and settings, so it sounds the same as live playback
+     * @param {BaseAudioContext} context - The context to render into (e.g. an OfflineAudioContext)
+     * @param {number} offset - Seconds into the piece the context's time 0 stands for
+     * @returns {Promise<AudioEngine>} Resolves with the ready-to-schedule copy
+     */
+    async createRenderCopy(context, offset = 0) {
+        const copy = new AudioEngine();
+        copy.audioContext = context;
+        
+        // A render schedules its whole span up front, so its registry can't be bounded
+        copy.maxScheduledNotes = Infinity;
+        
+        // Snapshot the arrangement and settings
+        // Voices evolution is fading out are left out, and those fading in play at full level
+        copy.voices = this.voices.filter(voice => !voice.retiring).map(voice => ({ ...voice, fade: null }));
+        copy.seed = this.seed;
+        copy.score = { ...this.score, voices: this.score.voices.filter((voiceData, index) => !this.voices[index].retiring) };
+        copy.octaveShift = this.octaveShift;
+        copy.transposition = this.transposition;
+        copy.tuning = this.tuning;
+        copy.reverbPresetId = this.reverbPresetId;
+        copy.reverbMix = this.reverbMix;
+        copy.timeScale = this.timeScale;
+        copy.tapeSettings = { ...this.tapeSettings };
+        copy.binauralSettings = { ...this.binauralSettings };
+        copy.choirSettings = { ...this.choirSettings };
+        copy.livingSettings = { ...this.livingSettings };
+        copy.loudnessSettings = { ...this.loudnessSettings };
+        copy.spatial.enabled = this.spatial.enabled;
+        
+        copy.createOutputChain();
+        
+        // Reuse the decoded and generated buffers rather than creating new ones
+        copy.pianoSample = this.pianoSample;
+        copy.sampleBank = this.sampleBank;
+        await copy.setupReverb(this.reverb);
+        copy.createVoiceChannels();
+        
+        if (this.binaural.isRunning) {
+            // Pick the binaural program up where it would be at the offset
+            copy.binaural.programElapsed = offset;
+            copy.binaural.start(0);
+        }
+        
+        return copy;
+    }
+
     /**
      * Load the Rhodes electric piano sample
      * @returns {Promise} Resolves when the sample is loaded
@@ -157,6 +613,9 @@ class AudioEngine {
         const duration = 10.0;  // longer duration for better sustain
         const buffer = this.audioContext.createBuffer(2, sampleRate * duration, sampleRate);
         
+        // Fixed seed so the attack noise is identical on every load
+        const random = new SeededRandom('piano');
+        
         // Fill the buffer with a Rhodes-like tone
         for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
             const data = buffer.getChannelData(channel);
@@ -203,7 +662,7 @@ class AudioEngine {
                 
                 // Add subtle noise for the mechanical character of Rhodes
                 if (t < 0.05) {
-                    data[i] += (Math.random() * 2 - 1) * 0.05 * (0.05 - t) / 0.05;
+                    data[i] += (random.next() * 2 - 1) * 0.05 * (0.05 - t) / 0.05;
                 }
             }
         }
@@ -213,144 +672,417 @@ class AudioEngine {
     }
 
     /**
-     * Set up high-quality reverb using a convolution node
-     * @returns {Promise} Resolves when reverb is set up
+     * Load the multisampled instrument bank described by the sample manifest
+     * If the bank is missing or cannot be decoded, the synthesized tone is used instead
+     * @returns {Promise<SampleBank|null>} Resolves with the bank, or null when falling back
      */
-    async setupReverb() {
-        // Create convolver node
-        this.reverbNode = this.audioContext.createConvolver();
-        
-        // Create an extremely spacious, ambient impulse response
-        // This creates the characteristic "infinite" reverb of Brian Eno's original
-        const sampleRate = this.audioContext.sampleRate;
-        const duration = 20.0;  // Much longer duration for truly ambient reverb
-        const buffer = this.audioContext.createBuffer(2, sampleRate * duration, sampleRate);
+    async loadSampleBank() {
+        try {
+            const bank = new SampleBank(this.audioContext);
+            await bank.load(this.sampleManifestUrl);
+            this.sampleBank = bank;
+        } catch (error) {
+            console.warn('Sample bank unavailable, using synthesized tone:', error.message);
+            this.sampleBank = null;
+        }
         
-        // Create a more sophisticated impulse response
-        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-            const data = buffer.getChannelData(channel);
-            
-            // Parameters for an extremely spacious, ambient reverb
-            const preDelay = 0.05; // 50ms pre-delay for more space
-            const earlyReflectionsTime = 0.2; // Longer early reflections (200ms)
-            const earlyReflectionsCount = 5; // Fewer, more spread out reflections
-            const diffusionTime = 0.0; // Longer diffusion phase
-            const decayStartTime = preDelay + earlyReflectionsTime + diffusionTime;
-            const decayFactor = 0.98; // Much slower decay for ambient feel
-            
-            // Fill the buffer
-            for (let i = 0; i < buffer.length; i++) {
-                const t = i / sampleRate;
-                let sample = 0;
-                
-                // Pre-delay (initial silence)
-                if (t < preDelay) {
-                    sample = 0;
-                }
-                // Early reflections (discrete echoes)
-                else if (t < preDelay + earlyReflectionsTime) {
-                    // Generate several discrete early reflections
-                    for (let reflection = 1; reflection <= earlyReflectionsCount; reflection++) {
-                        const reflectionTime = preDelay + (reflection / earlyReflectionsCount) * earlyReflectionsTime;
-                        const reflectionStrength = 0.7 * (1 - reflection / earlyReflectionsCount);
-                        
-                        if (Math.abs(t - reflectionTime) < 0.001) {
-                            sample += reflectionStrength * (Math.random() * 0.2 + 0.9);
-                        }
-                    }
-                }
-                // Diffusion phase (transition to late reverb)
-                else if (t < decayStartTime) {
-                    const diffusionProgress = (t - preDelay - earlyReflectionsTime) / diffusionTime;
-                    const diffusionDensity = 20 + 100 * diffusionProgress; // Increasing density
-                    
-                    // Create increasingly dense reflections
-                    sample = 0.5 * (1 - diffusionProgress) * Math.sin(2 * Math.PI * diffusionDensity * t);
-                    sample += 0.3 * Math.random() * Math.exp(-2 * diffusionProgress);
-                }
-                // Late reverb (exponential decay)
-                else {
-                    const decayTime = t - decayStartTime;
-                    // Frequency-dependent decay with much slower rates
-                    // Higher frequencies still decay faster, but everything decays more slowly
-                    const highFreqDecay = Math.exp(-decayTime * 0.8); // Slower high frequency decay
-                    const midFreqDecay = Math.exp(-decayTime * 0.4);  // Much slower mid frequency decay
-                    const lowFreqDecay = Math.exp(-decayTime * 0.2);  // Very slow low frequency decay
-                    
-                    // Combine different frequency bands with noise for natural sound
-                    const noise = Math.random() * 2 - 1;
-                    const highFreq = noise * highFreqDecay * 0.2;
-                    const midFreq = noise * midFreqDecay * 0.3;
-                    const lowFreq = noise * lowFreqDecay * 0.5;
-                    
-                    sample = (highFreq + midFreq + lowFreq) * Math.pow(decayFactor, decayTime * 10);
-                }
-                
-                // Apply overall envelope and slight stereo variation
-                const stereoOffset = channel === 0 ? 1.0 : 0.98;
-                data[i] = sample * stereoOffset;
-            }
+        return this.sampleBank;
+    }
+
+    /**
+     * Get the sample to use for a note
+     * @param {number} frequency - The frequency of the note in Hz
+     * @param {number} velocity - The note velocity (0-1)
+     * @returns {Object} The sample buffer, its root frequency and optional loop points
+     */
+    getSampleForNote(frequency, velocity) {
+        if (this.sampleBank && this.sampleBank.isLoaded()) {
+            return this.sampleBank.select(frequency, velocity);
         }
         
-        // Normalize the impulse response to prevent clipping
-        let maxAmplitude = 0;
-        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-            const data = buffer.getChannelData(channel);
-            for (let i = 0; i < buffer.length; i++) {
-                maxAmplitude = Math.max(maxAmplitude, Math.abs(data[i]));
-            }
+        // Synthesized fallback tone is generated at 440Hz (A4) and has no loop points
+        return {
+            buffer: this.pianoSample,
+            rootFrequency: 440,
+            loopStart: null,
+            loopEnd: null
+        };
+    }
+
+    /**
+     * Set up the convolution reverb and its dry/wet paths
+     * @param {ReverbProcessor} source - Optional reverb whose presets and impulse responses are reused
+     * @returns {Promise} Resolves when reverb is set up
+     */
+    async setupReverb(source = null) {
+        this.reverb = new ReverbProcessor(this.audioContext, this.tape.input);
+        this.reverb.setMix(this.reverbMix);
+        
+        if (source) {
+            this.reverb.presets = source.presets;
+            this.reverb.buffers = source.buffers;
+        } else {
+            // Add any impulse response files installed in assets/reverb/
+            await this.reverb.loadManifest();
         }
         
-        if (maxAmplitude > 0) {
-            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-                const data = buffer.getChannelData(channel);
-                for (let i = 0; i < buffer.length; i++) {
-                    data[i] = data[i] / maxAmplitude * 0.9; // Leave some headroom
-                }
-            }
+        try {
+            await this.reverb.setPreset(this.reverbPresetId, 0);
+        } catch (error) {
+            // Fall back to the procedural "infinite" reverb if the chosen preset can't be loaded
+            console.warn(`Could not load reverb preset "${this.reverbPresetId}":`, error);
+            this.reverbPresetId = 'infinite';
+            await this.reverb.setPreset(this.reverbPresetId, 0);
         }
         
-        // Create a dry/wet mix for the reverb with much more wet signal
-        const dryGain = this.audioContext.createGain();
-        dryGain.gain.value = 0.4; // 40% dry signal (reduced)
+        // Notes connect to these directly
+        this.reverbNode = this.reverb.input;
+        this.dryGain = this.reverb.dryGain;
         
-        const wetGain = this.audioContext.createGain();
-        wetGain.gain.value = 0.6; // 60% wet (reverb) signal (increased)
+        return this.reverbNode;
+    }
+
+    /**
+     * Create a persistent channel strip for every voice
+     * The strip's gain feeds either a stereo panner or, in spatial mode, an HRTF panner;
+     * both feed the dry path and the reverb
+     */
+    createVoiceChannels() {
+        // Voices copied from another engine carry that engine's nodes, so always build new ones
+        this.voices.forEach(voice => this.createVoiceChannel(voice));
         
-        // Connect the reverb through the wet gain
-        this.reverbNode.buffer = buffer;
-        this.reverbNode.connect(wetGain);
-        wetGain.connect(this.masterGain);
+        this.updateChannelGains(0);
+    }
+
+    /**
+     * Build one voice's channel strip: a fade stage for evolution's crossfades, then the mixer
+     * gain, then the stereo or spatial panner
+     * @param {Object} voice - The voice
+     */
+    createVoiceChannel(voice) {
+        const fade = this.audioContext.createGain();
+        fade.gain.value = this.getVoiceFade(voice);
+        const gain = this.audioContext.createGain();
+        fade.connect(gain);
         
-        // Store the dry gain for direct connections
-        this.dryGain = dryGain;
-        dryGain.connect(this.masterGain);
+        const panner = this.audioContext.createStereoPanner();
+        const spatialPanner = this.spatial.createPanner(voice);
+        [panner, spatialPanner].forEach(node => {
+            node.connect(this.dryGain);
+            node.connect(this.reverbNode);
+        });
         
-        return this.reverbNode;
+        panner.pan.value = voice.pan;
+        voice.channel = { input: fade, fade: fade, gain: gain, panner: panner, spatialPanner: spatialPanner };
+        this.spatial.routeChannel(voice);
     }
 
     /**
-     * Play a note with the given frequency
-     * @param {number} frequency - The frequency of the note in Hz
-     * @param {number} time - The time to play the note (in seconds, relative to audioContext.currentTime)
-     * @param {number} duration - The duration of the note in seconds
-     * @param {number} gain - The gain (volume) of the note (0-1)
+     * Disconnect a voice's channel strip
+     * @param {Object} voice - The voice
      */
-    playNote(frequency, time, duration = 2.0, gain = 0.7) {
-        // Create source node from the piano sample
-        const source = this.audioContext.createBufferSource();
-        source.buffer = this.pianoSample;
-        
-        // Create a gain node for this note
-        const noteGain = this.audioContext.createGain();
-        noteGain.gain.value = gain;
+    disconnectVoiceChannel(voice) {
+        if (!voice.channel) return;
         
-        // Create a filter to shape the tone based on pitch
-        // Higher notes get brighter, lower notes get warmer
-        const filter = this.audioContext.createBiquadFilter();
-        filter.type = 'lowpass';
+        voice.channel.fade.disconnect();
+        voice.channel.gain.disconnect();
+        voice.channel.panner.disconnect();
+        voice.channel.spatialPanner.disconnect();
+        voice.channel = null;
+    }
+
+    /**
+     * Check whether a voice can currently be heard, taking mute and solo into account
+     * @param {Object} voice - The voice
+     * @returns {boolean} False if the voice is muted, or another voice is soloed and this one isn't
+     */
+    isVoiceAudible(voice) {
+        if (voice.mute) return false;
         
-        // Adjust filter frequency based on note pitch
+        const anySolo = this.voices.some(v => v.solo);
+        return !anySolo || voice.solo;
+    }
+
+    /**
+     * Apply mute, solo and level to every channel strip
+     * @param {number} rampTime - Time constant of the gain change in seconds
+     */
+    updateChannelGains(rampTime = 0.02) {
+        if (!this.audioContext) return;
+        
+        const now = this.audioContext.currentTime;
+        this.voices.forEach(voice => {
+            if (!voice.channel) return;
+            
+            const target = this.isVoiceAudible(voice) ? voice.level : 0;
+            if (rampTime > 0) {
+                voice.channel.gain.gain.setTargetAtTime(target, now, rampTime);
+            } else {
+                voice.channel.gain.gain.setValueAtTime(target, now);
+            }
+        });
+    }
+
+    /**
+     * Mute or unmute a voice
+     * @param {number} voiceIndex - The index of the voice
+     * @param {boolean} mute - Whether the voice should be muted
+     */
+    setVoiceMute(voiceIndex, mute) {
+        this.voices[voiceIndex].mute = mute;
+        this.updateChannelGains();
+        this.emit('settingsChanged', { setting: 'mute', value: mute, voiceIndex: voiceIndex });
+    }
+
+    /**
+     * Solo or unsolo a voice
+     * While any voice is soloed, only soloed voices are heard
+     * @param {number} voiceIndex - The index of the voice
+     * @param {boolean} solo - Whether the voice should be soloed
+     */
+    setVoiceSolo(voiceIndex, solo) {
+        this.voices[voiceIndex].solo = solo;
+        this.updateChannelGains();
+        this.emit('settingsChanged', { setting: 'solo', value: solo, voiceIndex: voiceIndex });
+    }
+
+    /**
+     * Set a voice's channel level
+     * @param {number} voiceIndex - The index of the voice
+     * @param {number} level - The channel gain (0 = silent, 1 = unity)
+     */
+    setVoiceLevel(voiceIndex, level) {
+        this.voices[voiceIndex].level = Math.max(0, level);
+        this.updateChannelGains();
+        this.emit('settingsChanged', { setting: 'level', value: this.voices[voiceIndex].level, voiceIndex: voiceIndex });
+    }
+
+    /**
+     * Set a voice's stereo position
+     * @param {number} voiceIndex - The index of the voice
+     * @param {number} pan - The pan position (-1 = left, 0 = center, 1 = right)
+     */
+    setVoicePan(voiceIndex, pan) {
+        const voice = this.voices[voiceIndex];
+        voice.pan = Math.max(-1, Math.min(1, pan));
+        
+        if (voice.channel) {
+            voice.channel.panner.pan.setTargetAtTime(voice.pan, this.audioContext.currentTime, 0.02);
+        }
+        this.emit('settingsChanged', { setting: 'pan', value: voice.pan, voiceIndex: voiceIndex });
+    }
+
+    /**
+     * Choose which engine sings a voice
+     * Takes effect from the voice's next note
+     * @param {number} voiceIndex - The index of the voice
+     * @param {string} timbre - "piano" or "choir"
+     */
+    setVoiceTimbre(voiceIndex, timbre) {
+        if (!AudioEngine.TIMBRES.includes(timbre)) {
+            throw new Error(`Unknown timbre: ${timbre}`);
+        }
+        
+        this.voices[voiceIndex].timbre = timbre;
+        this.rescheduleUpcomingNotes();
+        this.emit('settingsChanged', { setting: 'timbre', value: timbre, voiceIndex: voiceIndex });
+    }
+
+    /**
+     * Change the choir's vowel, vibrato or breath
+     * Takes effect from the next note
+     * @param {Object} changes - Any of vowel ("aah", "ooh" or "mm"), vibratoRate (Hz), vibratoDepth (cents) and breath (0-1)
+     */
+    setChoirSettings(changes) {
+        if ('vowel' in changes && !ChoirVoice.VOWELS[changes.vowel]) {
+            throw new Error(`Unknown vowel: ${changes.vowel}`);
+        }
+        Object.assign(this.choirSettings, changes);
+        
+        if (this.choir) {
+            this.choir.update(changes);
+        }
+        this.rescheduleUpcomingNotes();
+        this.emit('settingsChanged', { setting: 'choir', value: { ...this.choirSettings } });
+    }
+
+    /**
+     * Turn living mode on or off, or change how far it lets the voices wander
+     * Amounts are clamped to their limits. While playing, each voice keeps its next crossing and the one
+     * before where they were and eases into the new timing from there; upcoming notes are moved to it
+     * @param {Object} changes - Any of enabled, velocity (0-0.5), jitter (0-0.1 seconds) and drift (0-0.03)
+     */
+    setLivingSettings(changes) {
+        const limits = { velocity: 0.5, jitter: 0.1, drift: 0.03 };
+        Object.keys(limits).forEach(key => {
+            if (key in changes) {
+                changes = { ...changes, [key]: Math.max(0, Math.min(limits[key], Number(changes[key]) || 0)) };
+            }
+        });
+        
+        // Where each voice's crossings either side of the playhead fall with the old settings
+        const position = this.getCurrentTime();
+        const anchors = this.voices.map(voice => {
+            if (!this.isPlaying) return null;
+            const loop = this.getFirstLoopFrom(voice, position);
+            return { loop: loop, previous: this.getNotePosition(voice, loop - 1), next: this.getNotePosition(voice, loop) };
+        });
+        
+        Object.assign(this.livingSettings, changes);
+        
+        this.voices.forEach((voice, voiceIndex) => {
+            const anchor = anchors[voiceIndex];
+            voice.livingAnchor = null;
+            if (anchor) {
+                voice.livingAnchor = {
+                    loop: anchor.loop,
+                    before: anchor.previous - this.getNotePosition(voice, anchor.loop - 1),
+                    after: anchor.next - this.getNotePosition(voice, anchor.loop)
+                };
+            }
+        });
+        
+        this.rescheduleUpcomingNotes();
+        console.log(`Living mode ${this.livingSettings.enabled ? 'on' : 'off'}`);
+        this.emit('settingsChanged', { setting: 'living', value: { ...this.livingSettings } });
+    }
+
+    /**
+     * Enable or disable 3D spatial audio
+     * Each voice is placed around the listener at its orbit angle, at a distance proportional
+     * to its orbit radius; best heard on headphones
+     * @param {boolean} enabled - true to place voices around the listener, false for the stereo mix
+     */
+    setSpatialAudio(enabled) {
+        if (!this.audioContext) {
+            this.spatial.enabled = enabled;
+        } else {
+            this.spatial.setEnabled(enabled);
+        }
+        this.emit('settingsChanged', { setting: 'spatial', value: enabled });
+    }
+
+    /**
+     * Switch the tape stage in or out
+     * @param {boolean} bypass - true to pass the music through untouched
+     */
+    setTapeBypass(bypass) {
+        this.tapeSettings.bypass = bypass;
+        if (this.tape) {
+            this.tape.setBypass(bypass);
+        }
+        this.emit('settingsChanged', { setting: 'tape', value: this.getTapeSettings() });
+    }
+
+    /**
+     * Set the amount of one of the tape effects
+     * @param {string} effect - "wow", "flutter", "saturation" or "hiss"
+     * @param {number} amount - The amount (0-1)
+     */
+    setTapeAmount(effect, amount) {
+        if (!(effect in this.tapeSettings) || effect === 'bypass') {
+            throw new Error(`Unknown tape effect: ${effect}`);
+        }
+        
+        this.tapeSettings[effect] = Math.max(0, Math.min(1, amount));
+        if (this.tape) {
+            this.tape.setAmount(effect, this.tapeSettings[effect]);
+        }
+        this.emit('settingsChanged', { setting: 'tape', value: this.getTapeSettings() });
+    }
+
+    /**
+     * Get the tape stage settings
+     * @returns {Object} The bypass flag and each effect's amount
+     */
+    getTapeSettings() {
+        return { ...this.tapeSettings };
+    }
+
+    /**
+     * Switch the reverb to another preset, crossfading while playing
+     * @param {string} presetId - The preset id (e.g. "small-room", "cathedral", "infinite")
+     * @returns {Promise<string>} Resolves with the active preset id
+     */
+    async setReverbPreset(presetId) {
+        this.reverbPresetId = this.reverb ? await this.reverb.setPreset(presetId) : presetId;
+        this.emit('settingsChanged', { setting: 'reverbPreset', value: this.reverbPresetId });
+        return this.reverbPresetId;
+    }
+
+    /**
+     * Get the available reverb presets
+     * @returns {Array<{id: string, name: string}>} The presets
+     */
+    getReverbPresets() {
+        return this.reverb ? this.reverb.getPresets() : [];
+    }
+
+    /**
+     * Set the reverb wet/dry balance
+     * @param {number} wet - The wet level, 0 (dry) to 1 (fully wet)
+     */
+    setReverbMix(wet) {
+        this.reverbMix = Math.max(0, Math.min(1, wet));
+        if (this.reverb) {
+            this.reverb.setMix(this.reverbMix);
+        }
+        this.emit('settingsChanged', { setting: 'reverbMix', value: this.reverbMix });
+    }
+
+    /**
+     * Get the reverb wet/dry balance
+     * @returns {number} The wet level (0-1)
+     */
+    getReverbMix() {
+        return this.reverbMix;
+    }
+
+    /**
+     * Play a note with the given frequency
+     * @param {number} frequency - The frequency of the note in Hz
+     * @param {number} time - The time to play the note (in seconds, relative to audioContext.currentTime)
+     * @param {number} duration - The duration of the note in seconds
+     * @param {number} gain - The gain (volume) of the note (0-1)
+     * @param {Object} options - Optional settings
+     * @param {number} options.detune - Detune in cents; a random amount is used if omitted
+     * @param {AudioNode} options.destination - Node to play into (e.g. a voice's channel strip)
+     *                                          instead of the dry and reverb paths
+     * @returns {Object|null} The scheduled note, or null if it would already have finished
+     */
+    playNote(frequency, time, duration = 2.0, gain = 0.7, options = {}) {
+        const { detune = null, destination = null } = options;
+        
+        // A note whose start time has passed (e.g. after a seek) joins part-way through
+        const now = this.audioContext.currentTime;
+        const startAt = Math.max(time, now);
+        const elapsed = startAt - time;
+        if (elapsed >= duration) {
+            return null;
+        }
+
+        // Create source node from the sample nearest to this note
+        const sample = this.getSampleForNote(frequency, gain);
+        const source = this.audioContext.createBufferSource();
+        source.buffer = sample.buffer;
+        
+        // Sustain through the sample's loop region so long notes don't run out
+        if (sample.loopStart !== null) {
+            source.loop = true;
+            source.loopStart = sample.loopStart;
+            source.loopEnd = sample.loopEnd;
+        }
+        
+        // Create a gain node for this note
+        const noteGain = this.audioContext.createGain();
+        noteGain.gain.value = gain;
+        
+        // Create a filter to shape the tone based on pitch
+        // Higher notes get brighter, lower notes get warmer
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        
+        // Adjust filter frequency based on note pitch
         // Higher notes get a higher cutoff frequency
         const normalizedFreq = Math.min(1, frequency / 1000); // Normalize to 0-1 range
         const minCutoff = 800;
@@ -364,8 +1096,11 @@ class AudioEngine {
         source.connect(filter);
         filter.connect(noteGain);
         
-        // Create separate dry and wet paths if dryGain exists
-        if (this.dryGain) {
+        if (destination) {
+            // The destination (a voice channel strip) feeds the dry and wet paths itself
+            noteGain.connect(destination);
+        } else if (this.dryGain) {
+            // Create separate dry and wet paths if dryGain exists
             // Connect to dry path (direct to master via dryGain)
             noteGain.connect(this.dryGain);
             
@@ -377,40 +1112,53 @@ class AudioEngine {
         }
         
         // Adjust playback rate to match the desired frequency
-        // Base frequency of our sample is 440Hz (A4)
-        source.playbackRate.value = frequency / 440;
+        // relative to the root of the selected sample
+        source.playbackRate.value = frequency / sample.rootFrequency;
         
         // Add a slight detune for a more natural sound
         // This creates a subtle chorus-like effect
-        source.detune.value = (Math.random() * 10 - 5); // -5 to +5 cents
+        source.detune.value = detune !== null ? detune : (Math.random() * 10 - 5); // -5 to +5 cents
         
         // Add a more musical envelope
-        const now = this.audioContext.currentTime;
         const attackTime = 0.02; // Slightly longer attack for Rhodes
         const releaseTime = 0.3; // Longer release for Rhodes
+        const decayTime = 0.1;
+        const sustainLevel = gain * 0.9;
         
-        if (time > now) {
+        if (elapsed === 0) {
             // Schedule envelope with a more natural curve
             noteGain.gain.setValueAtTime(0, time);
             noteGain.gain.linearRampToValueAtTime(gain, time + attackTime);
             
             // Add a slight decay after the attack
-            const decayTime = 0.1;
-            const sustainLevel = gain * 0.9;
             noteGain.gain.setTargetAtTime(sustainLevel, time + attackTime, decayTime);
-            
-            // Schedule release
-            noteGain.gain.setTargetAtTime(0, time + duration - releaseTime, releaseTime / 3);
+        } else {
+            // Joining part-way through, so start at the sustain level
+            noteGain.gain.setValueAtTime(sustainLevel, startAt);
         }
         
-        // Schedule the note
-        source.start(time);
+        // Schedule release
+        noteGain.gain.setTargetAtTime(0, Math.max(startAt, time + duration - releaseTime), releaseTime / 3);
+        
+        // Schedule the note, skipping into the sample by however much of the note has passed
+        source.start(startAt, elapsed * source.playbackRate.value);
         source.stop(time + duration + 0.5); // Add a bit of extra time for the release tail
         
         // Store the scheduled note
-        this.scheduledNotes.push(source);
+        return this.registerNote({ source: source, time: time, stopTime: time + duration + 0.5, nodes: [source, filter, noteGain] });
+    }
+
+    /**
+     * Track a note handed to the audio context, and tear its graph down once its source has ended
+     * @param {Object} note - The note, with its main source and all of its nodes
+     * @returns {Object} The note
+     */
+    registerNote(note) {
+        this.liveNodeCount += note.nodes.length;
+        note.source.onended = () => this.releaseNote(note);
+        this.trackNote(note);
         
-        return source;
+        return note;
     }
 
     /**
@@ -438,53 +1186,60 @@ class AudioEngine {
         }
     }
     
+    /**
+     * Start the scheduler from the paused position
+     */
     startPlayback() {
         this.isPlaying = true;
-        this.startTime = this.audioContext.currentTime;
         this.scheduledNotes = [];
         
         console.log('Audio context current time:', this.audioContext.currentTime);
-        console.log('Starting playback for', this.voices.length, 'voices');
+        console.log(`Starting playback for ${this.voices.length} voices at ${this.pausedPosition.toFixed(2)}s`);
         
         // We don't need to regenerate random start times here
         // as they are already generated during initialization
         // This ensures consistency between visualization and audio
         console.log('Using existing random offsets for playback');
         
-        // Schedule initial notes with random offsets
-        this.scheduleInitialNotes();
+        // Carry on from where the piece was paused, with the notes that should still be ringing
+        this.startFrom(this.pausedPosition);
         
-        // Start the scheduler for subsequent notes
-        this.scheduleNotes();
-        
-        // Notify about play state change
-        if (this.onPlayStateChange) {
-            this.onPlayStateChange(true);
-        } else {
-            console.warn('No onPlayStateChange callback registered');
-        }
+        this.emit('play', { position: this.pausedPosition });
     }
     
     /**
      * Generate random start times for each voice
      * This can be called at initialization, when playback starts, or on demand
+     * The offsets are derived from the arrangement seed, so the same seed always gives the same arrangement
      * @param {boolean} forceRegenerate - Whether to force regeneration even if offsets already exist
+     * @param {string|null} seed - Seed to use; when forcing regeneration without a seed, a new one is created
      */
-    generateRandomStartTimes(forceRegenerate = false) {
-        console.log('Generating random start times for each voice');
+    generateRandomStartTimes(forceRegenerate = false, seed = null) {
+        if (seed !== null) {
+            this.seed = String(seed);
+        } else if (forceRegenerate) {
+            this.seed = SeededRandom.generateSeed();
+        }
+        
+        console.log(`Generating random start times for each voice from seed "${this.seed}"`);
+        const random = new SeededRandom(this.seed);
         
         // Generate a random start time within each voice's loop duration
         this.voices.forEach((voice, index) => {
+            // Always draw a value so each voice's offset depends only on the seed and its position
+            const seededPosition = random.next();
+            
             // Only regenerate if forced or if no offset exists yet
             if (forceRegenerate || typeof voice.randomOffset === 'undefined') {
-                // Random value between 0 and 1 representing position in the loop
-                const randomPosition = Math.random();
+                // Seeded value between 0 and 1 representing position in the loop
+                const randomPosition = seededPosition;
                 
                 // Convert to time offset (0 to loopDuration)
                 const randomOffset = randomPosition * voice.loopDuration;
                 
                 // Store the random offset as a property of the voice
                 voice.randomOffset = randomOffset;
+                voice.livingAnchor = null;
                 
                 console.log(`Voice ${voice.note}: random offset ${randomOffset.toFixed(2)}s (${(randomPosition * 100).toFixed(0)}% through its loop)`);
             } else {
@@ -492,76 +1247,381 @@ class AudioEngine {
             }
         });
         
+        this.emit('arrangementChanged', { seed: this.seed, voices: this.voices });
+        
         // Return the voices with their updated offsets
         return this.voices;
     }
     
     /**
-     * Schedule initial notes with random offsets
-     * This method now only schedules the first upcoming notes for each voice
-     * based on when they will cross the playhead
+     * Anchor the piece so the given position is now and start scheduling from it
+     * Notes that began shortly before the position are scheduled too, joining part-way through
+     * @param {number} position - Position in the piece in seconds
      */
-    scheduleInitialNotes() {
-        console.log('Scheduling initial notes based on playhead crossings');
+    startFrom(position) {
+        this.startTime = this.audioContext.currentTime - position * this.timeScale;
         
-        // For each voice, calculate when it will first cross the playhead
-        this.voices.forEach((voice, index) => {
-            const voiceIndex = this.voices.findIndex(v => v.note === voice.note);
-            const randomOffset = voice.randomOffset || 0;
-            
-            // Calculate the time until the first playhead crossing
-            // This is the time remaining in the current loop
-            const timeUntilCrossing = voice.loopDuration - randomOffset;
-            
-            // Schedule the note to play when it crosses the playhead
-            const noteTime = this.startTime + timeUntilCrossing;
-            
-            console.log(`Voice ${voice.note}: will first cross playhead in ${timeUntilCrossing.toFixed(2)}s`);
+        // Reach back far enough to catch the longest note still ringing at this position
+        // Note lengths aren't stretched, so convert the longest to score time
+        const longestNote = Math.max(...this.voices.map(voice => voice.noteLength));
+        this.scheduleNotesInRange(Math.max(0, position - longestNote / this.timeScale), position);
+        this.scheduledUntil = position;
+        
+        // Start the scheduler
+        this.lastTickTime = null;
+        this.tickGap = 0;
+        this.scheduleNotes();
+    }
+    
+    /**
+     * Jump to a position in the piece
+     * Works while playing or paused; any position is allowed, including hours in
+     * @param {number} seconds - The position in seconds from the start of the piece
+     */
+    seek(seconds) {
+        const position = Math.max(0, Number(seconds) || 0);
+        console.log(`Seeking to ${position.toFixed(2)}s`);
+        
+        if (this.isPlaying) {
+            // Silence what is playing now and restart the scheduler from the new position
+            this.schedulerClock.stop();
+            this.stopScheduledNotes();
+            this.spatial.reset();
+            this.startFrom(position);
+        } else {
+            this.pausedPosition = position;
+        }
+        
+        this.emit('seek', { position: position });
+    }
+    
+    /**
+     * Replace the notes that are scheduled but haven't started yet
+     * Used when pitch or timing changes mid-playback so the change applies from the very next note
+     */
+    rescheduleUpcomingNotes() {
+        if (!this.isPlaying) return;
+        
+        const now = this.audioContext.currentTime;
+        this.scheduledNotes
+            .filter(note => note.time > now)
+            .forEach(note => this.cancelNote(note));
+        
+        // Schedule the same span again with the new settings
+        const scheduledEnd = this.scheduledUntil;
+        const position = this.getCurrentTime();
+        if (scheduledEnd > position) {
+            this.scheduleNotesInRange(position, scheduledEnd);
+        }
+    }
+    
+    /**
+     * Stop every note that has been scheduled
+     */
+    stopScheduledNotes() {
+        // Cancelling removes each note from the registry, so work from a copy
+        [...this.scheduledNotes].forEach(note => this.cancelNote(note));
+        this.scheduledNotes = [];
+    }
+
+    /**
+     * Stop a scheduled note, along with any MIDI copy of it, and drop its pending "noteStarted" event
+     * @param {Object} note - A note returned by playNote() or playVoiceNote()
+     */
+    cancelNote(note) {
+        try {
+            note.source.stop();
+        } catch (e) {
+            // Note might have already stopped
+        }
+        if (note.midiNote) {
+            note.midiNote.stop();
+        }
+        
+        // A source stopped before it started never fires "ended", so release it here
+        this.releaseNote(note);
+    }
+
+    /**
+     * Add a note to the registry of scheduled notes, stopping the oldest if it is full
+     * @param {Object} note - The note to track
+     */
+    trackNote(note) {
+        this.scheduledNotes.push(note);
+        
+        while (this.scheduledNotes.length > this.maxScheduledNotes) {
+            console.warn(`More than ${this.maxScheduledNotes} notes scheduled, stopping the oldest`);
+            this.cancelNote(this.scheduledNotes[0]);
+        }
+    }
+
+    /**
+     * Disconnect a finished or cancelled note's nodes and drop it from the registry
+     * Safe to call more than once
+     * @param {Object} note - The note to release
+     */
+    releaseNote(note) {
+        if (note.released) return;
+        note.released = true;
+        
+        note.nodes.forEach(node => node.disconnect());
+        this.liveNodeCount -= note.nodes.length;
+        note.source.onended = null;
+        
+        const index = this.scheduledNotes.indexOf(note);
+        if (index !== -1) {
+            this.scheduledNotes.splice(index, 1);
+        }
+    }
+
+    /**
+     * Get counts for spotting leaks during long sessions
+     * @returns {{liveNodes: number, scheduledNotes: number}} Note nodes not yet released, and notes in the registry
+     */
+    getNodeStats() {
+        return { liveNodes: this.liveNodeCount, scheduledNotes: this.scheduledNotes.length };
+    }
+
+    /**
+     * Play one note of a voice through its channel strip
+     * @param {Object} voice - The voice
+     * @param {number} voiceIndex - The index of the voice
+     * @param {number} time - The time to play the note (relative to audioContext.currentTime)
+     * @param {number} loop - The loop number of the note (1 for the first crossing)
+     * @returns {Object|null} The scheduled note, or null if it would already have finished
+     */
+    playVoiceNote(voice, voiceIndex, time, loop) {
+        const detune = this.getNoteDetune(voiceIndex, loop);
+        const velocity = this.getNoteVelocity(voiceIndex, loop);
+        
+        // MIDI notes don't pass through the channel strip, so mute and solo decide whether they are sent,
+        // and the channel level and the voice's fade scale their velocity
+        const midiNote = this.isVoiceAudible(voice) && voice.level > 0
+            ? this.midi.playNote(voiceIndex, voice.frequency, detune, time, voice.noteLength,
+                velocity * voice.level * this.getVoiceFade(voice, time))
+            : null;
+        if (midiNote && this.midi.muteInternal) {
+            // Track the MIDI note like a synth note so pausing, seeking and retuning end it
+            const note = { source: midiNote, time: time, stopTime: time + voice.noteLength, nodes: [] };
+            this.trackNote(note);
+            return note;
+        }
+        
+        const note = voice.timbre === 'choir'
+            ? this.playChoirNote(voice, time, detune, voice.gain * velocity)
+            : this.playNote(voice.frequency, time, voice.noteLength, voice.gain * velocity, {
+                detune: detune,
+                destination: voice.channel ? voice.channel.input : null
+            });
+        if (note && midiNote) {
+            note.midiNote = midiNote;
+        }
+        return note;
+    }
+
+    /**
+     * Sing one note of a voice with the choir
+     * @param {Object} voice - The voice
+     * @param {number} time - The time to play the note (relative to audioContext.currentTime)
+     * @param {number} detune - Detune in cents
+     * @param {number} gain - The note's level
+     * @returns {Object|null} The scheduled note, or null if it would already have finished
+     */
+    playChoirNote(voice, time, detune, gain) {
+        const note = this.choir.playNote(voice.frequency, time, voice.noteLength, gain, {
+            detune: detune,
+            destination: voice.channel ? voice.channel.input : this.dryGain
+        });
+        return note ? this.registerNote(note) : null;
+    }
+
+    /**
+     * Get the detune for a note, drawn from the arrangement seed
+     * Keyed by voice and loop number so live playback and offline renders agree note for note
+     * @param {number} voiceIndex - The index of the voice
+     * @param {number} loop - The loop number of the note (1 for the first crossing)
+     * @returns {number} Detune in cents (-5 to +5)
+     */
+    getNoteDetune(voiceIndex, loop) {
+        return SeededRandom.valueFor(this.seed, 'detune', voiceIndex, loop) * 10 - 5;
+    }
+
+    /**
+     * Get how hard a note is played, drawn from the arrangement seed
+     * @param {number} voiceIndex - The index of the voice
+     * @param {number} loop - The loop number of the note (1 for the first crossing)
+     * @returns {number} A factor on the voice's gain; always 1 outside living mode
+     */
+    getNoteVelocity(voiceIndex, loop) {
+        if (!this.livingSettings.enabled) return 1;
+        return 1 + (SeededRandom.valueFor(this.seed, 'velocity', voiceIndex, loop) * 2 - 1) * this.livingSettings.velocity;
+    }
+
+    /**
+     * Get when a voice crosses the playhead for a given loop
+     * Outside living mode this is n * loopDuration - randomOffset. In living mode each loop's
+     * length drifts slowly around the voice's loop duration, like tape stretching and recovering,
+     * and each crossing is nudged by a little timing jitter, both drawn from the arrangement seed
+     * This is the single source of truth for note times, shared by the scheduler, the
+     * visualization, convergence prediction and MIDI export
+     * @param {Object} voice - The voice
+     * @param {number} loop - The loop number (1 for the first crossing; 0 for where the voice starts)
+     * @returns {number} The crossing's position in seconds of playback (score) time
+     */
+    getNotePosition(voice, loop) {
+        const position = this.getLivingNotePosition(voice, loop);
+        const anchor = voice.livingAnchor;
+        if (!anchor) return position;
+        
+        // After a change while playing, the difference from the old timing at the crossings either side
+        // of the change fades out over the loops away from them
+        const after = loop >= anchor.loop;
+        const distance = after ? loop - anchor.loop : anchor.loop - 1 - loop;
+        const remaining = Math.max(0, 1 - distance / this.livingEaseLoops);
+        return position + (after ? anchor.after : anchor.before) * remaining;
+    }
+
+    /**
+     * Get when a voice crosses the playhead for a given loop with the current living settings,
+     * leaving out the easing after a change
+     * @param {Object} voice - The voice
+     * @param {number} loop - The loop number (1 for the first crossing; 0 for where the voice starts)
+     * @returns {number} The crossing's position in seconds of playback (score) time
+     */
+    getLivingNotePosition(voice, loop) {
+        const position = loop * voice.loopDuration - (voice.randomOffset || 0);
+        const voiceIndex = this.voices.indexOf(voice);
+        if (!this.livingSettings.enabled || loop < 1 || voiceIndex < 0) return position;
+        
+        // At most a quarter loop either way, so crossings never swap order in very short loops
+        const jitterRange = Math.min(this.livingSettings.jitter, voice.loopDuration / 4);
+        const jitter = (SeededRandom.valueFor(this.seed, 'jitter', voiceIndex, loop) * 2 - 1) * jitterRange;
+        
+        return position + voice.loopDuration * this.livingSettings.drift * this.getLoopDrift(voiceIndex, loop) + jitter;
+    }
+
+    /**
+     * Sum how far a voice's loops have drifted from their nominal length
+     * Loop k lasts loopDuration * (1 + drift * s(k)), where s(k) mixes two slow sine waves with
+     * seeded periods (8-24 loops) and phases. Their sums have a closed form, so any crossing can
+     * be found without stepping through the loops before it, and stay bounded, so a voice
+     * wanders around its place rather than away from it
+     * @param {number} voiceIndex - The index of the voice
+     * @param {number} loop - The number of loops to sum
+     * @returns {number} s(1) + ... + s(loop), in loop durations per unit of drift (within about ±8)
+     */
+    getLoopDrift(voiceIndex, loop) {
+        return [0.6, 0.4].reduce((sum, weight, wave) => {
+            const period = 8 + 16 * SeededRandom.valueFor(this.seed, 'drift-period', voiceIndex, wave);
+            const phase = 2 * Math.PI * SeededRandom.valueFor(this.seed, 'drift-phase', voiceIndex, wave);
+            const step = 2 * Math.PI / period;
             
-            // Only schedule if it's within our scheduling window
-            if (timeUntilCrossing < this.scheduleAheadTime) {
-                // Play the note with longer duration and slightly lower volume for ambient feel
-                this.playNote(voice.frequency, noteTime, 3.0, 0.35);
-                console.log(`Scheduled first note for ${voice.note} at time ${noteTime.toFixed(2)}s`);
+            // sin(step + phase) + ... + sin(n * step + phase)
+            return sum + weight * Math.sin(loop * step / 2) * Math.sin(phase + (loop + 1) * step / 2) / Math.sin(step / 2);
+        }, 0);
+    }
+
+    /**
+     * Whether a voice's crossings fall exactly every loop duration
+     * Not in living mode, nor while a voice is still easing in or out of it
+     * @param {Object} voice - The voice
+     * @returns {boolean} True when the plain loop formula gives its crossings
+     */
+    isOnGrid(voice) {
+        return !this.livingSettings.enabled && !voice.livingAnchor;
+    }
+
+    /**
+     * Get a voice's first crossing at or after a time
+     * @param {Object} voice - The voice
+     * @param {number} fromTime - Position in seconds of playback (score) time
+     * @returns {number} The loop number of the crossing (at least 1)
+     */
+    getFirstLoopFrom(voice, fromTime) {
+        const loop = Math.max(1, Math.ceil((fromTime + (voice.randomOffset || 0)) / voice.loopDuration));
+        if (this.isOnGrid(voice)) return loop;
+        
+        // Living crossings stay well within a loop of their nominal place
+        let livingLoop = Math.max(1, loop - 1);
+        while (this.getNotePosition(voice, livingLoop) < fromTime) {
+            livingLoop++;
+        }
+        return livingLoop;
+    }
+
+    /**
+     * Schedule every note that falls within a span of playback time
+     * The span includes its start and excludes its end, so consecutive spans never repeat a note
+     * Used by the live scheduler and for offline rendering, where the whole span is scheduled up front
+     * @param {number} fromTime - Start of the span in seconds of playback (score) time
+     * @param {number} toTime - End of the span in seconds of playback (score) time
+     * @returns {number} The number of notes scheduled
+     */
+    scheduleNotesInRange(fromTime, toTime) {
+        let notesScheduled = 0;
+        
+        this.voices.forEach((voice, voiceIndex) => {
+            for (let loop = this.getFirstLoopFrom(voice, fromTime); ; loop++) {
+                const position = this.getNotePosition(voice, loop);
+                if (position >= toTime) break;
                 
-                // Notify about the note start
-                if (this.onNoteStart) {
-                    this.onNoteStart(voiceIndex, noteTime);
+                if (this.scheduleVoiceNote(voice, voiceIndex, loop, position, this.toContextTime(position))) {
+                    notesScheduled++;
                 }
-            } else {
-                console.log(`First note for ${voice.note} will be scheduled later by the main scheduler`);
             }
         });
+        
+        return notesScheduled;
     }
 
     /**
-     * Stop playing the piece
+     * Play one loop crossing of a voice and announce it
+     * @param {Object} voice - The voice
+     * @param {number} voiceIndex - The index of the voice
+     * @param {number} loop - The loop number of the crossing (1 for the first)
+     * @param {number} position - The crossing's position in seconds of playback (score) time
+     * @param {number} time - When to play it, in audio context time
+     * @returns {Object|null} The scheduled note, or null if it would already have finished
+     */
+    scheduleVoiceNote(voice, voiceIndex, loop, position, time) {
+        const note = this.playVoiceNote(voice, voiceIndex, time, loop);
+        if (!note) return null;
+        
+        const event = { voiceIndex: voiceIndex, voice: voice, loop: loop, time: time, position: position };
+        this.emit('noteScheduled', event);
+        
+        // Only announce the start when someone is listening; offline renders schedule hours of notes
+        if (this.hasListeners('noteStarted')) {
+            note.startEvent = event;
+            if (time < this.noteStartTimerTime) {
+                this.scheduleNoteStartTimer();
+            }
+        }
+        
+        return note;
+    }
+
+    /**
+     * Stop playing the piece, keeping its position for when it resumes
      */
     pause() {
         if (!this.isPlaying) return;
         
+        // Remember where we are so playback resumes from the same phase
+        this.pausedPosition = this.getCurrentTime();
         this.isPlaying = false;
         
         // Stop the scheduler
-        if (this.schedulerTimer) {
-            clearTimeout(this.schedulerTimer);
-            this.schedulerTimer = null;
-        }
+        this.schedulerClock.stop();
+        this.clearNoteStartTimer();
         
         // Stop all scheduled notes
-        this.scheduledNotes.forEach(source => {
-            try {
-                source.stop();
-            } catch (e) {
-                // Note might have already stopped
-            }
-        });
-        this.scheduledNotes = [];
+        this.stopScheduledNotes();
         
-        // Notify about play state change
-        if (this.onPlayStateChange) {
-            this.onPlayStateChange(false);
-        }
+        // Drop the spatial motion scheduled past this point
+        this.spatial.reset();
+        
+        this.emit('pause', { position: this.pausedPosition });
     }
 
     /**
@@ -577,66 +1637,334 @@ class AudioEngine {
 
     /**
      * Schedule notes for all voices
+     * Each pass schedules the notes between where the previous pass stopped and the end
+     * of the look-ahead window, so a note is never scheduled twice. If a pass comes so late
+     * that the playhead has overtaken that point, the crossings in between are caught up
      */
     scheduleNotes() {
         const currentTime = this.audioContext.currentTime;
-        const lookAheadEnd = currentTime + this.scheduleAheadTime;
+        const hidden = typeof document !== 'undefined' && document.hidden;
+        
+        // Track how late ticks are arriving; the gap decays slowly once ticks are regular again
+        const sinceLastTick = this.lastTickTime !== null ? currentTime - this.lastTickTime : 0;
+        if (this.lastTickTime !== null) {
+            this.tickGap = Math.max(sinceLastTick, this.tickGap * 0.98);
+        }
+        this.lastTickTime = currentTime;
+        
+        // Let the system evolve, and take out voices that have finished fading away
+        this.evolution.advance(sinceLastTick);
+        this.removeRetiredVoices();
+        
+        // Meter the master bus and follow its loudness with the makeup gain
+        this.loudness.update(currentTime);
+        
+        const lookAheadEnd = currentTime + this.getScheduleAheadTime(hidden);
+        const scheduleUntil = (lookAheadEnd - this.startTime) / this.timeScale;
         
         console.log('Scheduling notes, current time:', currentTime.toFixed(2), 'looking ahead to:', lookAheadEnd.toFixed(2));
         
         let notesScheduled = 0;
+        const position = this.getCurrentTime();
+        if (position > this.scheduledUntil) {
+            notesScheduled += this.catchUpNotes(this.scheduledUntil, position);
+            this.scheduledUntil = position;
+        }
+        if (scheduleUntil > this.scheduledUntil) {
+            notesScheduled += this.scheduleNotesInRange(this.scheduledUntil, scheduleUntil);
+            this.scheduledUntil = scheduleUntil;
+        }
         
-        // For each voice, schedule notes within the look-ahead window
-        this.voices.forEach((voice, voiceIndex) => {
-            // Get the random offset for this voice
-            const randomOffset = voice.randomOffset || 0;
-            
-            // Calculate the adjusted elapsed time (accounting for random offset)
-            const adjustedElapsedTime = (currentTime - this.startTime) + randomOffset;
-            
-            // Calculate how many complete loops have occurred with the adjusted time
-            const completeLoops = Math.floor(adjustedElapsedTime / voice.loopDuration);
-            
-            // Calculate the next note time, accounting for the random offset
-            // The formula ensures the note plays exactly when the dot crosses the playhead
-            const nextNoteTime = this.startTime + (completeLoops + 1) * voice.loopDuration - randomOffset;
+        console.log(`Total notes scheduled this cycle: ${notesScheduled}`);
+        
+        // Announce the notes that have started since the last tick, late ones included
+        this.dispatchNoteStarts(currentTime);
+        
+        // Hand MIDI messages to the port only as far ahead as the next tick needs, not the whole look-ahead
+        const tickInterval = hidden ? this.hiddenLookahead : this.lookahead;
+        const midiAhead = Math.max(this.midi.sendAhead, tickInterval * 2, this.tickGap * 2);
+        this.midi.sendUntil(Math.min(lookAheadEnd, currentTime + midiAhead));
+        
+        // Release notes that have finished; synth notes also release themselves when their source
+        // ends, but notes sent only over MIDI have no source to tell us
+        this.scheduledNotes
+            .filter(note => note.stopTime <= currentTime)
+            .forEach(note => this.releaseNote(note));
+        
+        // Keep the spatial panners moving along with the orbits
+        this.spatial.scheduleMotion(scheduleUntil);
+        
+        // Tick less often while hidden; the longer look-ahead covers the wait
+        if (this.schedulerClock.interval !== tickInterval) {
+            this.schedulerClock.start(tickInterval);
+        }
+    }
+
+    /**
+     * Emit "noteStarted" for each scheduled note the audio clock has reached, then wait for the next
+     * The scheduler's ticks run this too, and they keep coming in hidden tabs, where timers are throttled;
+     * there an event arrives up to one tick after its note starts sounding, and its time says exactly when that was
+     * @param {number} currentTime - The audio context time now
+     */
+    dispatchNoteStarts(currentTime) {
+        this.scheduledNotes
+            .filter(note => note.startEvent && note.startEvent.time <= currentTime)
+            .sort((a, b) => a.startEvent.time - b.startEvent.time)
+            .forEach(note => {
+                const event = note.startEvent;
+                note.startEvent = null;
+                this.emit('noteStarted', event);
+            });
+        
+        this.scheduleNoteStartTimer();
+    }
+
+    /**
+     * Aim a timer at the next note waiting for its "noteStarted", so it's announced as it starts
+     * Hidden tabs are left to the scheduler's ticks
+     */
+    scheduleNoteStartTimer() {
+        this.clearNoteStartTimer();
+        if (!this.isPlaying || (typeof document !== 'undefined' && document.hidden)) return;
+        
+        const next = this.scheduledNotes.reduce((earliest, note) =>
+            note.startEvent ? Math.min(earliest, note.startEvent.time) : earliest, Infinity);
+        if (next === Infinity) return;
+        
+        // The audio clock moves in steps of a render quantum, so a timer can land just short of the
+        // note; wait at least a few milliseconds before looking again
+        const delay = Math.max(0.005, next - this.audioContext.currentTime);
+        this.noteStartTimerTime = next;
+        this.noteStartTimer = setTimeout(() => {
+            this.noteStartTimer = null;
+            this.noteStartTimerTime = Infinity;
+            this.dispatchNoteStarts(this.audioContext.currentTime);
+        }, delay * 1000);
+    }
+
+    /**
+     * Stop waiting for the next "noteStarted"
+     */
+    clearNoteStartTimer() {
+        clearTimeout(this.noteStartTimer);
+        this.noteStartTimer = null;
+        this.noteStartTimerTime = Infinity;
+    }
+
+    /**
+     * Get how far ahead of the audio clock to schedule
+     * At least twice the longest recent gap between ticks, so one late tick doesn't leave a hole
+     * @param {boolean} hidden - Whether the page is hidden
+     * @returns {number} The look-ahead in seconds of context time
+     */
+    getScheduleAheadTime(hidden) {
+        const base = hidden ? this.hiddenScheduleAheadTime : this.scheduleAheadTime;
+        return Math.min(this.maxScheduleAheadTime, Math.max(base, this.tickGap * 2));
+    }
+
+    /**
+     * Play the loop crossings that a late scheduler pass missed, late rather than never
+     * Each crossing is scheduled at its own time, so it starts now, as far into the note as it
+     * would have got; crossings whose notes would already have finished are skipped
+     * @param {number} fromTime - Start of the missed span in seconds of playback (score) time
+     * @param {number} toTime - End of the missed span (the playhead) in seconds of playback (score) time
+     * @returns {number} The number of notes played
+     */
+    catchUpNotes(fromTime, toTime) {
+        const notesScheduled = this.scheduleNotesInRange(fromTime, toTime);
+        
+        if (notesScheduled > 0) {
+            console.warn(`Scheduler fell ${(toTime - fromTime).toFixed(2)}s behind, playing ${notesScheduled} missed notes late`);
+        }
+        
+        return notesScheduled;
+    }
+
+    /**
+     * Get the current playback time
+     * @returns {number} The position in the piece in seconds (the paused position while paused)
+     */
+    getCurrentTime() {
+        if (!this.isPlaying) return this.pausedPosition;
+        return (this.audioContext.currentTime - this.startTime) / this.timeScale;
+    }
+
+    /**
+     * Convert a position in the piece to audio context time
+     * @param {number} position - Position in the piece in seconds of score time
+     * @returns {number} The context time at which the position is played
+     */
+    toContextTime(position) {
+        return this.startTime + position * this.timeScale;
+    }
+
+    /**
+     * Stretch or compress every loop duration by the same factor
+     * Each voice keeps its current phase, so changing it mid-playback doesn't make the dots jump
+     * @param {number} scale - The factor (e.g. 2 = every loop takes twice as long); 0.1 to 10
+     */
+    setTimeScale(scale) {
+        const position = this.getCurrentTime();
+        this.timeScale = Math.max(0.1, Math.min(10, scale));
+        
+        if (this.isPlaying) {
+            // Re-anchor the clock so the current position stays put at the new rate
+            this.startTime = this.audioContext.currentTime - position * this.timeScale;
             
-            console.log(`Voice ${voiceIndex} (${voice.note}): adjusted elapsed ${adjustedElapsedTime.toFixed(2)}s, next note at ${nextNoteTime.toFixed(2)}s (random offset: ${randomOffset.toFixed(2)}s)`);
+            // Spatial motion already scheduled at the old rate is replaced on the next scheduler pass
+            this.spatial.reset();
             
-            // If the next note is within our scheduling window, schedule it
-            if (nextNoteTime < lookAheadEnd) {
-                // Play the note with longer duration and slightly lower volume for ambient feel
-                this.playNote(voice.frequency, nextNoteTime, 3.0, 0.35);
-                notesScheduled++;
-                
-                console.log(`Scheduled note for voice ${voiceIndex} (${voice.note}) at time ${nextNoteTime.toFixed(2)}s`);
-                
-                // Notify about the note start
-                if (this.onNoteStart) {
-                    this.onNoteStart(voiceIndex, nextNoteTime);
-                }
-            }
-        });
+            // Notes scheduled at the old rate are moved to the new one
+            this.rescheduleUpcomingNotes();
+        }
         
-        console.log(`Total notes scheduled this cycle: ${notesScheduled}`);
+        console.log(`Time scale set to ${this.timeScale.toFixed(2)}`);
+        this.emit('settingsChanged', { setting: 'timeScale', value: this.timeScale });
+    }
+
+    /**
+     * Get how long a voice's loop lasts in real time
+     * @param {Object} voice - The voice
+     * @returns {number} The loop duration in seconds, with the time scale applied
+     */
+    getScaledLoopDuration(voice) {
+        return voice.loopDuration * this.timeScale;
+    }
+
+    /**
+     * Get how far through its loop a voice is
+     * This is the single source of truth for voice phase, shared by the visualization and spatial audio
+     * @param {Object} voice - The voice
+     * @param {number} time - Playback time in seconds
+     * @returns {number} The loop position (0-1), 0 when the voice crosses the playhead
+     */
+    getLoopPosition(voice, time = this.getCurrentTime()) {
+        if (this.isOnGrid(voice)) {
+            const adjustedElapsedTime = time + (voice.randomOffset || 0);
+            return (adjustedElapsedTime % voice.loopDuration) / voice.loopDuration;
+        }
         
-        // Schedule the next iteration of the scheduler
-        this.schedulerTimer = setTimeout(() => {
-            if (this.isPlaying) {
-                this.scheduleNotes();
-            } else {
-                console.log('Playback stopped, scheduler will not continue');
+        // Living loops vary in length, so run the phase evenly from one crossing to the next;
+        // the dot then reaches the playhead exactly as its note plays
+        const loop = this.getFirstLoopFrom(voice, time);
+        const next = this.getNotePosition(voice, loop);
+        if (next === time) return 0;
+        
+        const previous = this.getNotePosition(voice, loop - 1);
+        return (time - previous) / (next - previous);
+    }
+
+    /**
+     * Get the angle a voice is drawn at on its orbit
+     * The playhead is fixed, so voices move counterclockwise and cross it at the end of each loop
+     * @param {Object} voice - The voice
+     * @param {number} time - Playback time in seconds
+     * @param {number} playheadAngle - Angle of the playhead in radians
+     * @returns {number} The angle in radians
+     */
+    getVoiceAngle(voice, time = this.getCurrentTime(), playheadAngle = Math.PI / 2) {
+        return ((1 - this.getLoopPosition(voice, time)) * Math.PI * 2) + playheadAngle;
+    }
+
+    /**
+     * Get a voice's orbit radius relative to the outermost orbit
+     * Orbits are equidistant and ordered by loop duration, longest furthest out
+     * @param {Object} voice - The voice
+     * @returns {number} The relative radius (0.2-1)
+     */
+    getOrbitFraction(voice) {
+        const minFraction = 0.2; // The innermost orbit is 20% of the outermost
+        if (this.voices.length < 2) return 1;
+        
+        const sortedVoices = [...this.voices].sort((a, b) => b.loopDuration - a.loopDuration);
+        const index = sortedVoices.indexOf(voice);
+        return 1 - index * (1 - minFraction) / (this.voices.length - 1);
+    }
+
+    /**
+     * Find the next moment several audible voices reach the playhead together
+     * @param {number} fromTime - Position in seconds to search from
+     * @param {number} horizon - Most seconds past fromTime to search; the predictor's own limit if omitted
+     * @returns {{time: number, spread: number, voices: Array<Object>}|null} The cluster, or null if there is none
+     */
+    findNextConvergence(fromTime = this.getCurrentTime(), horizon) {
+        const audibleVoices = this.voices.filter(voice => this.isVoiceAudible(voice));
+        return new ConvergencePredictor(audibleVoices, { ...this.convergenceSettings, timing: this }).findNext(fromTime, horizon);
+    }
+
+    /**
+     * Change what counts as voices converging
+     * Values are clamped to their ranges, and the number of voices is rounded to a whole one
+     * @param {Object} changes - Any of minVoices (2-7) and tolerance (0.05-5 seconds)
+     */
+    setConvergenceSettings(changes) {
+        const limits = { minVoices: [2, 7], tolerance: [0.05, 5] };
+        Object.keys(limits).forEach(key => {
+            if (key in changes) {
+                const [min, max] = limits[key];
+                const value = Number(changes[key]);
+                changes = { ...changes, [key]: isFinite(value) ? Math.max(min, Math.min(max, value)) : this.convergenceSettings[key] };
             }
-        }, this.lookahead * 1000);
+        });
+        if ('minVoices' in changes) {
+            changes.minVoices = Math.round(changes.minVoices);
+        }
+        Object.assign(this.convergenceSettings, changes);
+        this.emit('settingsChanged', { setting: 'convergence', value: { ...this.convergenceSettings } });
     }
 
     /**
-     * Get the current playback time
-     * @returns {number} The current playback time in seconds
+     * Jump to just before the next convergence, so it can be heard arriving
+     * @param {number} leadTime - Seconds of playback before the cluster
+     * @returns {{time: number, spread: number, voices: Array<Object>}|null} The cluster skipped to, or null if there is none
      */
-    getCurrentTime() {
-        if (!this.isPlaying) return 0;
-        return this.audioContext.currentTime - this.startTime;
+    skipToNextConvergence(leadTime = 2) {
+        // Skip past a cluster that's about to arrive anyway
+        const lead = leadTime / this.timeScale;
+        const cluster = this.findNextConvergence(this.getCurrentTime() + lead);
+        if (!cluster) return null;
+        
+        this.seek(cluster.time - lead);
+        return cluster;
+    }
+
+    /**
+     * Try random seeds for this score and keep the ones whose arrangements open with the densest chords
+     * The seeds are tried in batches, handing the main thread back between them so the page stays responsive
+     * @param {Object} options - The search
+     * @param {number} options.attempts - How many seeds to try
+     * @param {number} options.window - Seconds from the start the chord must fall within
+     * @param {number} options.count - How many seeds to return
+     * @param {number} options.batchSize - How many seeds to try before yielding
+     * @param {Function} options.onProgress - Called after each batch with the fraction of seeds tried (0-1)
+     * @returns {Promise<Array<{seed: string, cluster: Object}>>} Resolves with the best seeds, densest first
+     */
+    async findDenseOpeningSeeds({ attempts = 500, window = 20, count = 5, batchSize = 25, onProgress = null } = {}) {
+        const results = [];
+        
+        for (let i = 0; i < attempts; i++) {
+            const seed = SeededRandom.generateSeed();
+            
+            // The same offsets generateRandomStartTimes() derives from the seed; living mode's
+            // drift is left out, as it only nudges notes within a voice's loop
+            const random = new SeededRandom(seed);
+            const voices = this.voices.map(voice => ({ ...voice, randomOffset: random.next() * voice.loopDuration }));
+            
+            const cluster = new ConvergencePredictor(voices, this.convergenceSettings).findDensest(0, window);
+            if (cluster) {
+                results.push({ seed: seed, cluster: cluster });
+            }
+            
+            if ((i + 1) % batchSize === 0 || i + 1 === attempts) {
+                if (onProgress) {
+                    onProgress((i + 1) / attempts);
+                }
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        
+        results.sort((a, b) => (b.cluster.voices.length - a.cluster.voices.length) || (a.cluster.spread - b.cluster.spread));
+        return results.slice(0, count);
     }
 
     /**
@@ -649,97 +1977,235 @@ class AudioEngine {
     
     /**
      * Set the octave shift and update all voice frequencies
+     * Applies from the next note while playing; ringing notes and the arrangement's phases are untouched
      * @param {number} shift - The octave shift value (-2, -1, 0, 1, 2, etc.)
      */
     setOctaveShift(shift) {
         // Store the new octave shift
         this.octaveShift = shift;
         
-        // Calculate the frequency multiplier
-        const octaveMultiplier = Math.pow(2, shift);
-        
         // Update all voice frequencies
-        this.voices.forEach(voice => {
-            voice.frequency = voice.baseFrequency * octaveMultiplier;
-        });
+        this.updateVoiceFrequencies();
         
-        console.log(`Octave shift set to ${shift} (multiplier: ${octaveMultiplier.toFixed(2)})`);
-        
-        // If we're currently playing, we need to stop and restart to apply the new frequencies
-        const wasPlaying = this.isPlaying;
-        if (wasPlaying) {
-            this.pause();
-            setTimeout(() => this.play(), 100);
-        }
+        console.log(`Octave shift set to ${shift} (multiplier: ${Math.pow(2, shift).toFixed(2)})`);
+        this.emit('settingsChanged', { setting: 'octaveShift', value: shift });
         
         return this.voices;
     }
     /**
      * Enable or disable binaural beats
+     * The tones fade in and out rather than switching abruptly
      * @param {boolean} enabled - true to enable binaural beats, false to disable
      */
     setBinauralBeats(enabled) {
+        if (!this.binaural) return;
+        
         if (enabled) {
-            this.enableBinauralBeats();
+            this.binaural.start();
         } else {
-            this.disableBinauralBeats();
+            this.binaural.stop();
         }
     }
 
     /**
-     * Start binaural beat oscillators
+     * Change the binaural carrier, beat frequency or level
+     * Setting the beat frequency ends any running program
+     * @param {Object} changes - Any of carrier (Hz), beat (Hz) and level (0-1)
      */
-    enableBinauralBeats() {
-        if (this.binauralEnabled || !this.audioContext) return;
-        const carrierFreq = 200;
-        const beatFreq = 7;
-        const leftFreq = carrierFreq + beatFreq / 2;
-        const rightFreq = carrierFreq - beatFreq / 2;
-        this.binauralLeftOsc = this.audioContext.createOscillator();
-        this.binauralRightOsc = this.audioContext.createOscillator();
-        this.binauralLeftOsc.type = 'sine';
-        this.binauralRightOsc.type = 'sine';
-        this.binauralLeftOsc.frequency.value = leftFreq;
-        this.binauralRightOsc.frequency.value = rightFreq;
-        this.binauralLeftPanner = this.audioContext.createStereoPanner();
-        this.binauralRightPanner = this.audioContext.createStereoPanner();
-        this.binauralLeftPanner.pan.value = -1;
-        this.binauralRightPanner.pan.value = 1;
-        this.binauralLeftOsc.connect(this.binauralLeftPanner).connect(this.binauralGain);
-        this.binauralRightOsc.connect(this.binauralRightPanner).connect(this.binauralGain);
-        this.binauralGain.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-        this.binauralLeftOsc.start();
-        this.binauralRightOsc.start();
-        this.binauralEnabled = true;
+    setBinauralSettings(changes) {
+        if ('beat' in changes) {
+            this.binauralSettings.programId = null;
+        }
+        Object.assign(this.binauralSettings, changes);
+        
+        if (this.binaural) {
+            this.binaural.update(changes);
+        }
+        this.emit('settingsChanged', { setting: 'binaural', value: { ...this.binauralSettings } });
     }
 
     /**
-     * Stop binaural beat oscillators
+     * Set the beat frequency to a brainwave band
+     * @param {string} presetId - "delta", "theta", "alpha" or "beta"
      */
-    disableBinauralBeats() {
-        if (!this.binauralEnabled) return;
-        this.binauralGain.gain.setValueAtTime(0, this.audioContext.currentTime);
-        if (this.binauralLeftOsc) {
-            try { this.binauralLeftOsc.stop(); } catch {}
-            this.binauralLeftOsc.disconnect();
-            this.binauralLeftOsc = null;
+    setBinauralPreset(presetId) {
+        const preset = BinauralBeats.PRESETS.find(p => p.id === presetId);
+        if (!preset) {
+            throw new Error(`Unknown binaural preset: ${presetId}`);
         }
-        if (this.binauralRightOsc) {
-            try { this.binauralRightOsc.stop(); } catch {}
-            this.binauralRightOsc.disconnect();
-            this.binauralRightOsc = null;
+        
+        this.setBinauralSettings({ beat: preset.beat });
+    }
+
+    /**
+     * Run a program that ramps the beat frequency over a session
+     * @param {string|null} programId - The program id, or null for a fixed beat frequency
+     */
+    setBinauralProgram(programId) {
+        this.binauralSettings.programId = programId;
+        
+        if (this.binaural) {
+            this.binaural.setProgram(programId);
         }
-        if (this.binauralLeftPanner) {
-            this.binauralLeftPanner.disconnect();
-            this.binauralLeftPanner = null;
+        this.emit('settingsChanged', { setting: 'binaural', value: { ...this.binauralSettings } });
+    }
+
+    /**
+     * Ask for access to MIDI devices
+     * @returns {Promise<Array<{id: string, name: string}>>} Resolves with the available output ports
+     */
+    async connectMidi() {
+        const ports = await this.midi.connect();
+        this.emit('settingsChanged', { setting: 'midi', value: this.midi.getSettings() });
+        return ports;
+    }
+
+    /**
+     * Change the MIDI output settings
+     * Turning MIDI on or off, or muting the internal synth, applies from the next note
+     * @param {Object} changes - Any of enabled, portId, channelMode ("per-voice" or "single"),
+     *                           channel (1-16), velocity (1-127) and muteInternal
+     */
+    setMidiSettings(changes) {
+        const midi = this.midi;
+        
+        if ('portId' in changes) {
+            midi.selectPort(changes.portId);
+        }
+        if ('channelMode' in changes) {
+            if (changes.channelMode !== 'per-voice' && changes.channelMode !== 'single') {
+                throw new Error(`Unknown MIDI channel mode: ${changes.channelMode}`);
+            }
+            midi.channelMode = changes.channelMode;
+        }
+        if ('channel' in changes) {
+            midi.channel = Math.max(1, Math.min(16, Math.round(changes.channel)));
+        }
+        if ('velocity' in changes) {
+            midi.velocity = Math.max(1, Math.min(127, Math.round(changes.velocity)));
+        }
+        if ('muteInternal' in changes) {
+            midi.muteInternal = changes.muteInternal;
+        }
+        if ('enabled' in changes) {
+            midi.enabled = changes.enabled;
+            if (!midi.enabled) {
+                midi.allNotesOff();
+            }
+        }
+        
+        // Notes already scheduled were routed under the old settings
+        if ('enabled' in changes || 'muteInternal' in changes) {
+            this.rescheduleUpcomingNotes();
+        }
+        
+        console.log('MIDI settings:', midi.getSettings());
+        this.emit('settingsChanged', { setting: 'midi', value: midi.getSettings() });
+    }
+
+    /**
+     * Set the sleep timer, or turn it off
+     * @param {number|null} minutes - Minutes until playback stops, or null to cancel the timer
+     * @param {number} fadeMinutes - Length of the fade-out that ends when the timer runs out
+     */
+    setSleepTimer(minutes, fadeMinutes = 10) {
+        if (minutes === null) {
+            this.sleepTimer.cancel();
+        } else {
+            this.sleepTimer.start(minutes, fadeMinutes);
+        }
+    }
+
+    /**
+     * Turn evolution on or off, or change how often and how it changes the system
+     * @param {Object} changes - Any of enabled, interval (minutes), crossfade (seconds), and pitch, loop
+     *     and voices to allow or rule out each kind of change
+     */
+    setEvolutionSettings(changes) {
+        this.evolution.update(changes);
+        
+        console.log('Evolution settings:', this.evolution.settings);
+        this.emit('settingsChanged', { setting: 'evolution', value: { ...this.evolution.settings } });
+    }
+
+    /**
+     * Choose the loudness the master bus is brought to
+     * @param {string} targetId - The id of one of LoudnessStage.TARGETS
+     */
+    setLoudnessTarget(targetId) {
+        if (!LoudnessStage.TARGETS.some(target => target.id === targetId)) {
+            throw new Error(`Unknown loudness target: ${targetId}`);
         }
-        if (this.binauralRightPanner) {
-            this.binauralRightPanner.disconnect();
-            this.binauralRightPanner = null;
+        this.loudnessSettings.target = targetId;
+        
+        if (this.loudness) {
+            this.loudness.setTarget(this.getLoudnessStageTarget());
         }
-        this.binauralEnabled = false;
+        console.log(`Loudness target: ${targetId}`);
+        this.emit('settingsChanged', { setting: 'loudness', value: { ...this.loudnessSettings } });
+    }
+
+    /**
+     * Get the chosen loudness target
+     * @returns {number|null} The loudness in LUFS, or null to leave the level as mixed
+     */
+    getLoudnessTarget() {
+        return LoudnessStage.TARGETS.find(target => target.id === this.loudnessSettings.target).lufs;
+    }
+
+    /**
+     * Get the target for the loudness stage, which sits before the master gain
+     * @returns {number|null} The loudness in LUFS the stage should reach, or null
+     */
+    getLoudnessStageTarget() {
+        const target = this.getLoudnessTarget();
+        return target === null ? null : target - 20 * Math.log10(this.masterLevel);
+    }
+
+    /**
+     * Get the loudness meter readings
+     * @returns {Object|null} The short-term loudness before the stage and at the output in LUFS, and the
+     *     makeup gain and limiter gain reduction in dB; null before the audio is initialized
+     */
+    getLoudness() {
+        if (!this.loudness) return null;
+        
+        const readings = this.loudness.getReadings();
+        const master = 20 * Math.log10(Math.max(1e-6, this.masterGain.gain.value));
+        return { ...readings, output: readings.output + master };
+    }
+
+    /**
+     * Get carrier frequencies that harmonize with the piece's key, in the current tuning
+     * @returns {Array<{name: string, frequency: number}>} The carriers
+     */
+    getHarmonicCarriers() {
+        return BinauralBeats.HARMONIC_CARRIERS.map(carrier => ({
+            name: carrier.name,
+            frequency: this.tuning.frequencyFor(carrier.midiNote + this.transposition)
+        }));
     }
 }
 
+// Engines a voice can be sung with
+AudioEngine.TIMBRES = ['piano', 'choir'];
+
+/**
+ * The events the engine emits, with their payloads:
+ * play, pause, seek (PositionEvent); noteScheduled, noteStarted (NoteEvent);
+ * arrangementChanged (ArrangementEvent); scoreLoaded (ScoreEvent); settingsChanged (SettingsEvent);
+ * voicesChanged (VoicesEvent); evolved (EvolutionEvent); sleepTimerTick (SleepTimerEvent);
+ * recordingTick (RecordingTickEvent); recordingStopped (RecordingEvent); loaded, sleepTimerEnd (no payload); error (ErrorEvent)
+ */
+AudioEngine.EVENTS = [
+    'play', 'pause', 'seek',
+    'noteScheduled', 'noteStarted',
+    'arrangementChanged', 'scoreLoaded', 'settingsChanged',
+    'voicesChanged', 'evolved',
+    'sleepTimerTick', 'sleepTimerEnd',
+    'recordingTick', 'recordingStopped',
+    'loaded', 'error'
+];
+
 // Create a global instance of the audio engine
-const audioEngine = new AudioEngine();
\ No newline at end of file
+const audioEngine = new AudioEngine();
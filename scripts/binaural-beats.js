@@ -0,0 +1,242 @@
+/**
+ * Binaural Beats for Brian Eno's "2/1" Web Recreation
+ * A pair of sine tones, one per ear, whose difference is heard as a slow beat
+ */
+
+class BinauralBeats {
+    /**
+     * @param {BaseAudioContext} audioContext - The audio context
+     * @param {AudioNode} destination - The node the tones feed
+     * @param {Object} settings - Initial settings
+     * @param {number} settings.carrier - Center frequency of the two tones in Hz
+     * @param {number} settings.beat - Beat frequency (difference between the ears) in Hz
+     * @param {number} settings.level - Output level (0-1)
+     * @param {string|null} settings.programId - Program that ramps the beat frequency, or null
+     */
+    constructor(audioContext, destination, settings) {
+        this.audioContext = audioContext;
+        this.settings = { ...settings };
+
+        this.fadeTime = 5.0; // seconds, for switching on and off
+
+        // Silent until started
+        this.output = audioContext.createGain();
+        this.output.gain.value = 0;
+        this.output.connect(destination);
+
+        this.leftOsc = null;
+        this.rightOsc = null;
+        this.panners = [];
+        this.isRunning = false;
+
+        // How far into the program playback had got, so pausing doesn't restart it
+        this.programElapsed = 0;
+        this.programStartTime = 0;
+    }
+
+    /**
+     * Fade the tones in, continuing the program from where it was stopped
+     * @param {number} time - Context time to start at (defaults to now)
+     */
+    start(time = this.audioContext.currentTime) {
+        if (this.isRunning) return;
+
+        // Stop any oscillators still fading out from a previous stop
+        this.disconnectOscillators();
+
+        this.leftOsc = this.audioContext.createOscillator();
+        this.rightOsc = this.audioContext.createOscillator();
+        [this.leftOsc, this.rightOsc].forEach((osc, index) => {
+            osc.type = 'sine';
+            const panner = this.audioContext.createStereoPanner();
+            panner.pan.value = index === 0 ? -1 : 1;
+            osc.connect(panner);
+            panner.connect(this.output);
+            this.panners.push(panner);
+        });
+
+        this.isRunning = true;
+        this.programStartTime = time;
+        this.scheduleFrequencies(time);
+
+        const gain = this.output.gain;
+        gain.cancelScheduledValues(time);
+        gain.setValueAtTime(gain.value, time);
+        gain.linearRampToValueAtTime(this.settings.level, time + this.fadeTime);
+        this.scheduleProgramEnd(time);
+
+        this.leftOsc.start(time);
+        this.rightOsc.start(time);
+    }
+
+    /**
+     * Fade the tones out and stop them
+     * @param {number} time - Context time to start fading at (defaults to now)
+     */
+    stop(time = this.audioContext.currentTime) {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        this.programElapsed += time - this.programStartTime;
+
+        const gain = this.output.gain;
+        gain.cancelScheduledValues(time);
+        gain.setValueAtTime(gain.value, time);
+        gain.linearRampToValueAtTime(0, time + this.fadeTime);
+
+        this.leftOsc.stop(time + this.fadeTime);
+        this.rightOsc.stop(time + this.fadeTime);
+    }
+
+    /**
+     * Release the oscillators and panners of the last run
+     */
+    disconnectOscillators() {
+        [this.leftOsc, this.rightOsc].forEach(osc => {
+            if (!osc) return;
+            try {
+                osc.stop();
+            } catch (e) {
+                // Oscillator might have already stopped
+            }
+            osc.disconnect();
+        });
+        this.panners.forEach(panner => panner.disconnect());
+
+        this.leftOsc = null;
+        this.rightOsc = null;
+        this.panners = [];
+    }
+
+    /**
+     * Change the carrier, beat frequency or level
+     * Setting the beat frequency by hand ends any running program
+     * @param {Object} changes - Any of carrier, beat and level
+     */
+    update(changes) {
+        if ('beat' in changes) {
+            this.settings.programId = null;
+        }
+        Object.assign(this.settings, changes);
+
+        if (!this.isRunning) return;
+
+        const now = this.audioContext.currentTime;
+        this.scheduleFrequencies(now);
+        // Ending a program also drops the fade scheduled for its end
+        if ('level' in changes || 'beat' in changes) {
+            this.output.gain.cancelScheduledValues(now);
+            this.output.gain.setTargetAtTime(this.settings.level, now, 0.1);
+            this.scheduleProgramEnd(now);
+        }
+    }
+
+    /**
+     * Run a program, or return to a fixed beat frequency with null
+     * @param {string|null} programId - The program id
+     */
+    setProgram(programId) {
+        if (programId !== null && !BinauralBeats.PROGRAMS.some(program => program.id === programId)) {
+            throw new Error(`Unknown binaural program: ${programId}`);
+        }
+
+        this.settings.programId = programId;
+        this.programElapsed = 0;
+
+        if (this.isRunning) {
+            const now = this.audioContext.currentTime;
+            this.programStartTime = now;
+            this.scheduleFrequencies(now);
+
+            this.output.gain.cancelScheduledValues(now);
+            this.output.gain.setTargetAtTime(this.settings.level, now, 0.1);
+            this.scheduleProgramEnd(now);
+        }
+    }
+
+    /**
+     * Get the running program
+     * @returns {Object|null} The program, or null when the beat frequency is fixed
+     */
+    getProgram() {
+        return BinauralBeats.PROGRAMS.find(program => program.id === this.settings.programId) || null;
+    }
+
+    /**
+     * Get the beat frequency at a point in the program
+     * @param {number} elapsed - Seconds into the program
+     * @returns {number} The beat frequency in Hz
+     */
+    getBeatAt(elapsed) {
+        const program = this.getProgram();
+        if (!program) return this.settings.beat;
+
+        const progress = Math.min(1, Math.max(0, elapsed / program.duration));
+        return program.from + (program.to - program.from) * progress;
+    }
+
+    /**
+     * Set the oscillator frequencies from the carrier and beat, ramping through the program if one is running
+     * @param {number} time - Context time to apply from
+     */
+    scheduleFrequencies(time) {
+        const carrier = this.settings.carrier;
+        const elapsed = this.programElapsed + (time - this.programStartTime);
+        const beat = this.getBeatAt(elapsed);
+
+        [[this.leftOsc, 1], [this.rightOsc, -1]].forEach(([osc, side]) => {
+            const frequency = osc.frequency;
+            frequency.cancelScheduledValues(time);
+            frequency.setValueAtTime(carrier + side * beat / 2, time);
+
+            const program = this.getProgram();
+            if (program && elapsed < program.duration) {
+                frequency.linearRampToValueAtTime(carrier + side * program.to / 2, time + program.duration - elapsed);
+            }
+        });
+    }
+
+    /**
+     * Fade the tones out when a program finishes
+     * @param {number} time - Context time the program is running from
+     */
+    scheduleProgramEnd(time) {
+        const program = this.getProgram();
+        if (!program) return;
+
+        const elapsed = this.programElapsed + (time - this.programStartTime);
+        const endTime = time + Math.max(0, program.duration - elapsed);
+        this.output.gain.setValueAtTime(this.settings.level, Math.max(time + this.fadeTime, endTime));
+        this.output.gain.linearRampToValueAtTime(0, Math.max(time + this.fadeTime, endTime) + this.fadeTime);
+    }
+}
+
+/**
+ * Beat frequencies typical of each brainwave band
+ */
+BinauralBeats.PRESETS = [
+    { id: 'delta', name: 'Delta (deep sleep)', beat: 2 },
+    { id: 'theta', name: 'Theta (drowsy, meditative)', beat: 6 },
+    { id: 'alpha', name: 'Alpha (relaxed)', beat: 10 },
+    { id: 'beta', name: 'Beta (alert)', beat: 18 }
+];
+
+/**
+ * Programs that ramp the beat frequency over a session, then fade out
+ */
+BinauralBeats.PROGRAMS = [
+    { id: 'wind-down', name: 'Wind down: 10 → 4 Hz over 30 minutes', from: 10, to: 4, duration: 30 * 60 },
+    { id: 'sleep', name: 'Sleep: 6 → 2 Hz over 60 minutes', from: 6, to: 2, duration: 60 * 60 },
+    { id: 'focus', name: 'Focus: 10 → 16 Hz over 20 minutes', from: 10, to: 16, duration: 20 * 60 }
+];
+
+/**
+ * Carriers that harmonize with the piece's key of D♭ major / F minor
+ * Given as MIDI notes so they follow the tuning; all sit in the comfortable 100-250 Hz range
+ */
+BinauralBeats.HARMONIC_CARRIERS = [
+    { name: 'D♭3 (tonic)', midiNote: 49 },
+    { name: 'F3 (third)', midiNote: 53 },
+    { name: 'A♭3 (fifth)', midiNote: 56 },
+    { name: 'C3 (fifth of F minor)', midiNote: 48 }
+];
@@ -0,0 +1,231 @@
+/**
+ * Choir Voice for Brian Eno's "2/1" Web Recreation
+ * Synthesizes sustained sung vowels, closer to the wordless vocals of the original tape loops
+ * than the piano samples
+ */
+
+class ChoirVoice {
+    /**
+     * @param {BaseAudioContext} audioContext - The audio context
+     * @param {Object} settings - Initial settings
+     * @param {string} settings.vowel - "aah", "ooh" or "mm"
+     * @param {number} settings.vibratoRate - Vibrato speed in Hz
+     * @param {number} settings.vibratoDepth - Vibrato depth in cents
+     * @param {number} settings.breath - Breath noise level (0-1)
+     */
+    constructor(audioContext, settings) {
+        this.audioContext = audioContext;
+        this.settings = { ...settings };
+
+        // A slow swell in and a long release, like a held sung note
+        this.attackTime = 0.35; // seconds
+        this.releaseTime = 0.8; // seconds
+
+        // The vibrato fades in after the note has settled, as singers do
+        this.vibratoDelay = 0.4; // seconds
+        this.vibratoFadeTime = 1.0; // seconds
+
+        this.maxBreathLevel = 0.25;
+
+        // Built the first time a note is played
+        this.glottalWave = null;
+        this.noiseBuffer = null;
+    }
+
+    /**
+     * Change settings; notes already sounding keep their vowel, vibrato and breath
+     * @param {Object} changes - The settings to change
+     */
+    update(changes) {
+        if ('vowel' in changes && !ChoirVoice.VOWELS[changes.vowel]) {
+            throw new Error(`Unknown vowel: ${changes.vowel}`);
+        }
+        Object.assign(this.settings, changes);
+    }
+
+    /**
+     * Sing one note
+     * A glottal pulse wave, with vibrato on its pitch and breath noise alongside, is shaped
+     * by a bank of formant band-pass filters into the chosen vowel
+     * @param {number} frequency - The frequency to sing in Hz
+     * @param {number} time - When the note starts, in audio context time
+     * @param {number} duration - How long the note lasts in seconds
+     * @param {number} gain - The note's level
+     * @param {Object} options - Note options
+     * @param {number} options.detune - Detune in cents; also varies the vibrato speed slightly from note to note
+     * @param {AudioNode} options.destination - The node the note feeds
+     * @returns {Object|null} The note, as AudioEngine.playNote() returns it, or null if it would already have finished
+     */
+    playNote(frequency, time, duration, gain, { detune = 0, destination }) {
+        const context = this.audioContext;
+
+        // A note whose start time has passed (e.g. after a seek) joins part-way through
+        const startAt = Math.max(time, context.currentTime);
+        if (startAt - time >= duration) {
+            return null;
+        }
+        const stopTime = time + duration + this.releaseTime;
+
+        // Source: the glottal pulse
+        const source = context.createOscillator();
+        source.setPeriodicWave(this.getGlottalWave());
+        source.frequency.value = frequency;
+        source.detune.value = detune;
+
+        // Vibrato on the source's pitch, fading in once the note has settled
+        const vibrato = context.createOscillator();
+        vibrato.frequency.value = this.settings.vibratoRate * (1 + detune / 100);
+        const vibratoDepth = context.createGain();
+        const vibratoStart = Math.max(startAt, time + this.vibratoDelay);
+        vibratoDepth.gain.setValueAtTime(0, startAt);
+        vibratoDepth.gain.setValueAtTime(0, vibratoStart);
+        vibratoDepth.gain.linearRampToValueAtTime(this.settings.vibratoDepth, vibratoStart + this.vibratoFadeTime);
+        vibrato.connect(vibratoDepth);
+        vibratoDepth.connect(source.detune);
+
+        // Breath: noise through the same formants, so it takes on the vowel's colour
+        const breath = context.createBufferSource();
+        breath.buffer = this.getNoiseBuffer();
+        breath.loop = true;
+        const breathGain = context.createGain();
+        breathGain.gain.value = this.settings.breath * this.maxBreathLevel;
+        breath.connect(breathGain);
+
+        // Formant filters in parallel, each at its level in the vowel, summed into the envelope
+        const envelope = context.createGain();
+        const formantNodes = [];
+        ChoirVoice.VOWELS[this.settings.vowel].forEach(formant => {
+            const filter = context.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = formant.frequency;
+            filter.Q.value = formant.frequency / formant.bandwidth;
+
+            const level = context.createGain();
+            level.gain.value = Math.pow(10, formant.gain / 20);
+
+            source.connect(filter);
+            breathGain.connect(filter);
+            filter.connect(level);
+            level.connect(envelope);
+            formantNodes.push(filter, level);
+        });
+        envelope.connect(destination);
+
+        // Envelope: swell in, hold, then let the note die away after its length
+        const sustainLevel = gain * ChoirVoice.OUTPUT_LEVEL / this.getFormantLevel(frequency, this.settings.vowel);
+        if (startAt === time) {
+            envelope.gain.setValueAtTime(0, time);
+            envelope.gain.linearRampToValueAtTime(sustainLevel, time + this.attackTime);
+        } else {
+            envelope.gain.setValueAtTime(sustainLevel, startAt);
+        }
+        envelope.gain.setTargetAtTime(0, Math.max(startAt, time + duration - this.releaseTime / 2), this.releaseTime / 3);
+
+        [source, vibrato, breath].forEach(node => {
+            node.start(startAt);
+            node.stop(stopTime);
+        });
+
+        return {
+            source: source,
+            time: time,
+            stopTime: stopTime,
+            nodes: [source, vibrato, vibratoDepth, breath, breathGain, envelope, ...formantNodes]
+        };
+    }
+
+    /**
+     * Estimate the RMS level of the glottal pulse after the formant filters
+     * How much of the source gets through depends on where its harmonics fall against the
+     * formants, so without this some notes and vowels would be much quieter than others
+     * @param {number} frequency - The note's frequency in Hz
+     * @param {string} vowel - The vowel
+     * @returns {number} The RMS level for a source of unit amplitude
+     */
+    getFormantLevel(frequency, vowel) {
+        const nyquist = this.audioContext.sampleRate / 2;
+        let power = 0;
+
+        for (let n = 1; n <= ChoirVoice.HARMONICS && n * frequency < nyquist; n++) {
+            const harmonic = n * frequency;
+
+            // Sum the band-pass responses; each peaks at 0 dB at its centre frequency
+            const response = ChoirVoice.VOWELS[vowel].reduce((sum, formant) => {
+                const q = formant.frequency / formant.bandwidth;
+                const detuning = harmonic / formant.frequency - formant.frequency / harmonic;
+                return sum + Math.pow(10, formant.gain / 20) / Math.sqrt(1 + q * q * detuning * detuning);
+            }, 0);
+
+            const amplitude = response / (n * n);
+            power += amplitude * amplitude / 2;
+        }
+
+        return Math.sqrt(power);
+    }
+
+    /**
+     * Get the glottal pulse waveform
+     * Its harmonics fall off at 12 dB per octave like the airflow through the vocal folds;
+     * the formants then pick out the ones that make the vowel
+     * @returns {PeriodicWave} The waveform
+     */
+    getGlottalWave() {
+        if (!this.glottalWave) {
+            const real = new Float32Array(ChoirVoice.HARMONICS + 1);
+            const imag = new Float32Array(ChoirVoice.HARMONICS + 1);
+            for (let n = 1; n <= ChoirVoice.HARMONICS; n++) {
+                imag[n] = 1 / (n * n);
+            }
+            this.glottalWave = this.audioContext.createPeriodicWave(real, imag, { disableNormalization: true });
+        }
+        return this.glottalWave;
+    }
+
+    /**
+     * Get two seconds of white noise for the breath, shared by every note
+     * @returns {AudioBuffer} The noise
+     */
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const sampleRate = this.audioContext.sampleRate;
+            this.noiseBuffer = this.audioContext.createBuffer(1, sampleRate * 2, sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        return this.noiseBuffer;
+    }
+}
+
+// Soprano formants: centre frequency and bandwidth in Hz, level in dB relative to the first
+// "mm" is a hum, with the mouth closed: a strong nasal murmur low down and little above it
+ChoirVoice.VOWELS = {
+    aah: [
+        { frequency: 800, bandwidth: 80, gain: 0 },
+        { frequency: 1150, bandwidth: 90, gain: -6 },
+        { frequency: 2900, bandwidth: 120, gain: -32 },
+        { frequency: 3900, bandwidth: 130, gain: -20 },
+        { frequency: 4950, bandwidth: 140, gain: -50 }
+    ],
+    ooh: [
+        { frequency: 350, bandwidth: 50, gain: 0 },
+        { frequency: 600, bandwidth: 60, gain: -20 },
+        { frequency: 2700, bandwidth: 170, gain: -17 },
+        { frequency: 2900, bandwidth: 180, gain: -14 },
+        { frequency: 3300, bandwidth: 200, gain: -26 }
+    ],
+    mm: [
+        { frequency: 280, bandwidth: 60, gain: 0 },
+        { frequency: 1000, bandwidth: 100, gain: -30 },
+        { frequency: 2200, bandwidth: 150, gain: -36 },
+        { frequency: 2900, bandwidth: 200, gain: -40 },
+        { frequency: 3800, bandwidth: 200, gain: -50 }
+    ]
+};
+
+// Harmonics in the glottal pulse waveform
+ChoirVoice.HARMONICS = 64;
+
+// RMS level of a note at full gain, after the formants; about that of the piano samples
+ChoirVoice.OUTPUT_LEVEL = 0.2;
@@ -0,0 +1,138 @@
+/**
+ * Convergence Predictor for Brian Eno's "2/1" Web Recreation
+ * Finds the moments when several voices reach the playhead close together
+ */
+
+class ConvergencePredictor {
+    /**
+     * @param {Array<Object>} voices - Voices with a loopDuration and randomOffset
+     * @param {Object} options - What counts as a convergence
+     * @param {number} options.minVoices - Fewest voices that make a cluster
+     * @param {number} options.tolerance - Most seconds (score time) between the first and last note of a cluster
+     * @param {Object|null} options.timing - Where the voices' notes fall, through getFirstLoopFrom(voice, time) and
+     *     getNotePosition(voice, loop) as the AudioEngine provides them; null for the plain loop formula
+     */
+    constructor(voices, { minVoices = 3, tolerance = 0.5, timing = null } = {}) {
+        this.voices = voices;
+        this.minVoices = minVoices;
+        this.tolerance = tolerance;
+        this.timing = timing;
+
+        // How far ahead findNext() searches at a time, and in total
+        this.searchStep = 600; // seconds
+        this.maxHorizon = 24 * 60 * 60; // seconds
+    }
+
+    /**
+     * Get the times a voice crosses the playhead
+     * Without a timing this is n * loopDuration - randomOffset, from n = 1, which is where
+     * AudioEngine.scheduleNotesInRange() plays them outside living mode
+     * @param {Object} voice - The voice
+     * @param {number} fromTime - Start of the range in seconds (inclusive)
+     * @param {number} toTime - End of the range in seconds (exclusive)
+     * @returns {Array<number>} The note times in seconds
+     */
+    getNoteTimes(voice, fromTime, toTime) {
+        if (this.timing) {
+            const times = [];
+            for (let loop = this.timing.getFirstLoopFrom(voice, fromTime); ; loop++) {
+                const time = this.timing.getNotePosition(voice, loop);
+                if (time >= toTime) break;
+                times.push(time);
+            }
+            return times;
+        }
+
+        const randomOffset = voice.randomOffset || 0;
+        const times = [];
+
+        const firstLoop = Math.max(1, Math.ceil((fromTime + randomOffset) / voice.loopDuration));
+        for (let loop = firstLoop; loop * voice.loopDuration - randomOffset < toTime; loop++) {
+            times.push(loop * voice.loopDuration - randomOffset);
+        }
+
+        return times;
+    }
+
+    /**
+     * List the clusters that start within a range
+     * Each cluster is the set of voices whose notes fall within the tolerance of its first note;
+     * clusters don't overlap, so a chord is reported once
+     * @param {number} fromTime - Start of the range in seconds
+     * @param {number} toTime - End of the range in seconds
+     * @param {number} minVoices - Fewest voices that make a cluster
+     * @returns {Array<{time: number, spread: number, voices: Array<Object>}>} The clusters in time order
+     */
+    findClusters(fromTime, toTime, minVoices = this.minVoices) {
+        // Include the notes just past the range so clusters starting near its end are complete
+        const notes = [];
+        this.voices.forEach(voice => {
+            this.getNoteTimes(voice, fromTime, toTime + this.tolerance).forEach(time => {
+                notes.push({ time: time, voice: voice });
+            });
+        });
+        notes.sort((a, b) => a.time - b.time);
+
+        const clusters = [];
+        let index = 0;
+        while (index < notes.length && notes[index].time < toTime) {
+            const start = notes[index].time;
+            const voices = [];
+            let end = index;
+            let last = start;
+            while (end < notes.length && notes[end].time - start <= this.tolerance) {
+                if (!voices.includes(notes[end].voice)) {
+                    voices.push(notes[end].voice);
+                    last = notes[end].time;
+                }
+                end++;
+            }
+
+            if (voices.length >= minVoices) {
+                clusters.push({ time: start, spread: last - start, voices: voices });
+                index = end;
+            } else {
+                index++;
+            }
+        }
+
+        return clusters;
+    }
+
+    /**
+     * Find the first cluster at or after a time
+     * @param {number} fromTime - Time in seconds to search from
+     * @param {number} horizon - Most seconds past fromTime to search
+     * @returns {{time: number, spread: number, voices: Array<Object>}|null} The cluster, or null if there is none within the horizon
+     */
+    findNext(fromTime, horizon = this.maxHorizon) {
+        if (this.voices.length < this.minVoices) return null;
+
+        const endTime = fromTime + horizon;
+        for (let start = fromTime; start < endTime; start += this.searchStep) {
+            const clusters = this.findClusters(start, Math.min(start + this.searchStep, endTime));
+            if (clusters.length > 0) {
+                return clusters[0];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the cluster with the most voices within a range, preferring the tightest
+     * Any number of voices counts here, so there is always a result when there are notes
+     * @param {number} fromTime - Start of the range in seconds
+     * @param {number} toTime - End of the range in seconds
+     * @returns {{time: number, spread: number, voices: Array<Object>}|null} The cluster, or null if no notes fall in the range
+     */
+    findDensest(fromTime, toTime) {
+        return this.findClusters(fromTime, toTime, 1).reduce((best, cluster) => {
+            if (!best || cluster.voices.length > best.voices.length ||
+                (cluster.voices.length === best.voices.length && cluster.spread < best.spread)) {
+                return cluster;
+            }
+            return best;
+        }, null);
+    }
+}
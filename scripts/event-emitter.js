@@ -0,0 +1,110 @@
+/**
+ * Event Emitter for Brian Eno's "2/1" Web Recreation
+ * Lets any number of listeners subscribe to named events
+ */
+
+class EventEmitter {
+    /**
+     * @param {Array<string>|null} eventTypes - The events that can be subscribed to, or null to allow any
+     */
+    constructor(eventTypes = null) {
+        this.eventTypes = eventTypes;
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - The event name
+     * @param {Function} listener - Called with the event's payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(type, listener) {
+        this.checkEventType(type);
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Listener for "${type}" must be a function`);
+        }
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} type - The event name
+     * @param {Function} listener - The listener passed to on() or once()
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        // once() wraps its listener, so match the wrapped one too
+        const index = listeners.findIndex(l => l === listener || l.listener === listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} type - The event name
+     * @param {Function} listener - Called with the event's payload
+     * @returns {Function} Call to unsubscribe before the event happens
+     */
+    once(type, listener) {
+        const wrapper = payload => {
+            this.off(type, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener;
+
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * Call every listener of an event
+     * A listener that throws doesn't stop the others; its error is reported as an "error" event
+     * @param {string} type - The event name
+     * @param {Object} payload - The event's payload
+     */
+    emit(type, payload = {}) {
+        this.checkEventType(type);
+
+        // Copy the list so listeners can unsubscribe while it is being called
+        const listeners = [...(this.listeners.get(type) || [])];
+        listeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+                if (type !== 'error' && this.hasListeners('error')) {
+                    this.emit('error', { message: `A "${type}" listener failed: ${error.message}`, error: error });
+                }
+            }
+        });
+    }
+
+    /**
+     * Whether anything is subscribed to an event
+     * Lets emitters skip work, such as timing an event, that nobody would receive
+     * @param {string} type - The event name
+     * @returns {boolean} True if the event has listeners
+     */
+    hasListeners(type) {
+        const listeners = this.listeners.get(type);
+        return !!listeners && listeners.length > 0;
+    }
+
+    /**
+     * Reject event names that aren't known, which are almost always typos
+     * @param {string} type - The event name
+     */
+    checkEventType(type) {
+        if (this.eventTypes && !this.eventTypes.includes(type)) {
+            throw new Error(`Unknown event "${type}"; expected one of ${this.eventTypes.join(', ')}`);
+        }
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * Evolution for Brian Eno's "2/1" Web Recreation
+ * Changes the system slowly over hours of playback, so all-day listening doesn't keep cycling
+ * through the same seven loops: a voice's note is swapped for another in D♭ major, a loop is
+ * lengthened or shortened a little, or a voice is added or retired, each as a crossfade
+ */
+
+class Evolution {
+    /**
+     * @param {AudioEngine} engine - The engine whose voices evolve
+     */
+    constructor(engine) {
+        this.engine = engine;
+
+        this.settings = {
+            enabled: false,
+            interval: 15, // minutes of playback between changes
+            crossfade: 60, // seconds
+            pitch: true, // swap a voice's note
+            loop: true, // nudge a voice's loop duration
+            voices: true // add or retire voices
+        };
+
+        // Limits that keep the system recognisably the piece
+        this.minVoices = 3;
+        this.maxVoices = 10;
+        this.minLoopDuration = 8; // seconds
+        this.maxLoopDuration = 40; // seconds
+        this.minNudge = 0.02; // fraction of the loop duration
+        this.maxNudge = 0.08;
+
+        // Seconds of playback since the last change
+        this.elapsed = 0;
+
+        // Changes made so far, oldest first
+        this.log = [];
+        this.maxLogEntries = 500;
+
+        // Each change draws its choices from the arrangement seed and its number
+        this.changeCount = 0;
+    }
+
+    /**
+     * Change the settings
+     * @param {Object} changes - Any of enabled, interval (minutes), crossfade (seconds), and pitch, loop
+     *     and voices to allow or rule out each kind of change
+     */
+    update(changes) {
+        Object.assign(this.settings, changes);
+
+        // Count the interval afresh when evolution is switched on
+        if (changes.enabled) {
+            this.elapsed = 0;
+        }
+    }
+
+    /**
+     * Count playback time, making a change each time the interval comes round
+     * Called by the engine's scheduler, so it keeps time in background tabs and stops while paused
+     * @param {number} seconds - Seconds of playback since the last call
+     * @returns {Object|null} The change made, or null if none was due
+     */
+    advance(seconds) {
+        if (!this.settings.enabled) return null;
+
+        this.elapsed += seconds;
+        if (this.elapsed < this.settings.interval * 60) return null;
+
+        this.elapsed = 0;
+        return this.evolve();
+    }
+
+    /**
+     * Make one change now
+     * @returns {Object|null} The log entry for the change, or null if no allowed change is possible
+     */
+    evolve() {
+        const random = new SeededRandom([this.engine.seed, 'evolution', this.changeCount].join(':'));
+        const active = this.getActiveVoices();
+
+        const kinds = [];
+        if (this.settings.pitch && active.length > 0) kinds.push('pitch');
+        if (this.settings.loop && active.length > 0) kinds.push('loop');
+        if (this.settings.voices && active.length < this.maxVoices) kinds.push('add');
+        if (this.settings.voices && active.length > this.minVoices) kinds.push('retire');
+        if (kinds.length === 0) return null;
+
+        this.changeCount++;
+        const kind = random.pick(kinds);
+        const fadeTime = this.settings.crossfade;
+        let description;
+
+        if (kind === 'add') {
+            const pitch = this.choosePitch(random);
+            const loopDurations = active.map(voice => voice.loopDuration);
+            const loopDuration = this.roundLoopDuration(active.length > 0
+                ? Math.min(...loopDurations) + random.next() * (Math.max(...loopDurations) - Math.min(...loopDurations))
+                : this.minLoopDuration + random.next() * (this.maxLoopDuration - this.minLoopDuration));
+
+            const voice = this.engine.addVoice(this.createVoiceData(pitch, loopDuration), random.next() * loopDuration, fadeTime);
+            description = `Added ${voice.note} on a ${loopDuration.toFixed(1)}s loop`;
+        } else {
+            const voice = random.pick(active);
+            const voiceIndex = this.engine.voices.indexOf(voice);
+            const voiceData = this.engine.score.voices[voiceIndex];
+
+            if (kind === 'retire') {
+                this.engine.retireVoice(voiceIndex, fadeTime);
+                description = `Retired ${voice.note}`;
+            } else if (kind === 'pitch') {
+                const pitch = this.choosePitch(random, voice);
+                const replacement = this.engine.replaceVoice(voiceIndex, { ...voiceData, ...this.createPitchData(pitch) }, fadeTime);
+                description = `Swapped ${voice.note} for ${replacement.note}`;
+            } else {
+                const nudge = (this.minNudge + random.next() * (this.maxNudge - this.minNudge)) * (random.next() < 0.5 ? -1 : 1);
+                const loopDuration = this.roundLoopDuration(voice.loopDuration * (1 + nudge));
+                this.engine.replaceVoice(voiceIndex, { ...voiceData, loopDuration: loopDuration }, fadeTime);
+                description = `Moved ${voice.note} from a ${voice.loopDuration.toFixed(1)}s to a ${loopDuration.toFixed(1)}s loop`;
+            }
+        }
+
+        const entry = {
+            time: Date.now(),
+            position: this.engine.getCurrentTime(),
+            kind: kind,
+            description: description
+        };
+        this.log.push(entry);
+        if (this.log.length > this.maxLogEntries) {
+            this.log.shift();
+        }
+
+        console.log(`Evolution: ${description}`);
+        this.engine.emit('evolved', { entry: entry });
+
+        return entry;
+    }
+
+    /**
+     * Get the voices that aren't fading out
+     * @returns {Array<Object>} The voices
+     */
+    getActiveVoices() {
+        return this.engine.voices.filter(voice => !voice.retiring);
+    }
+
+    /**
+     * Choose a note from the D♭ major pitch set, preferring one no voice is playing
+     * @param {SeededRandom} random - Where to draw the choice from
+     * @param {Object|null} replacing - A voice whose note must change, if any
+     * @returns {string} The pitch, as a note name
+     */
+    choosePitch(random, replacing = null) {
+        const playing = this.getActiveVoices().map(voice => voice.midiNote);
+        const others = Evolution.PITCHES.filter(pitch => !replacing || Score.parsePitch(pitch).midiNote !== replacing.midiNote);
+        const unused = others.filter(pitch => !playing.includes(Score.parsePitch(pitch).midiNote));
+
+        return random.pick(unused.length > 0 ? unused : others);
+    }
+
+    /**
+     * Build a score voice for a new note
+     * @param {string} pitch - The pitch, as a note name
+     * @param {number} loopDuration - The loop duration in seconds
+     * @returns {Object} The voice, as Score.parse() gives them
+     */
+    createVoiceData(pitch, loopDuration) {
+        return {
+            ...this.createPitchData(pitch),
+            loopDuration: loopDuration,
+            color: '#000000',
+            noteLength: this.engine.score.noteLength,
+            gain: this.engine.score.gain
+        };
+    }
+
+    /**
+     * Get the pitch fields of a score voice
+     * @param {string} pitch - The pitch, as a note name
+     * @returns {Object} The note label, pitch, MIDI note and frequency
+     */
+    createPitchData(pitch) {
+        const { midiNote, frequency } = Score.parsePitch(pitch);
+        return { note: pitch, pitch: pitch, midiNote: midiNote, baseFrequency: frequency };
+    }
+
+    /**
+     * Keep a loop duration within the limits, to the tenth of a second like the score's
+     * @param {number} loopDuration - The loop duration in seconds
+     * @returns {number} The rounded, limited loop duration
+     */
+    roundLoopDuration(loopDuration) {
+        const limited = Math.max(this.minLoopDuration, Math.min(this.maxLoopDuration, loopDuration));
+        return Math.round(limited * 10) / 10;
+    }
+}
+
+// The notes of D♭ major around the piece's register; the score's own notes are all among them
+Evolution.PITCHES = ['D♭4', 'E♭4', 'F4', 'G♭4', 'A♭4', 'B♭4', 'C5', 'D♭5', 'E♭5', 'F5', 'G♭5', 'A♭5'];
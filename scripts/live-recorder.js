@@ -0,0 +1,154 @@
+/**
+ * Live Recorder for Brian Eno's "2/1" Web Recreation
+ * Records what is playing, from the master gain, to a compressed audio file
+ */
+
+class LiveRecorder {
+    /**
+     * @param {AudioEngine} engine - The engine whose output is recorded
+     */
+    constructor(engine) {
+        this.engine = engine;
+
+        this.mediaRecorder = null;
+        this.destination = null;
+        this.chunks = [];
+        this.format = null;
+        this.tickInterval = null;
+
+        // Wall-clock time (ms) the recording started, and the arrangement it started with
+        this.startTime = null;
+        this.seed = null;
+
+        // Encoded audio is handed over every second, so little is lost if the recorder fails
+        this.timeslice = 1000; // ms
+        this.bitRate = 128000; // bits per second
+    }
+
+    /**
+     * Get the formats this browser can record
+     * @returns {Array<{id: string, name: string, mimeType: string, extension: string}>} The formats
+     */
+    static getSupportedFormats() {
+        if (typeof MediaRecorder === 'undefined') return [];
+        return LiveRecorder.FORMATS.filter(format => MediaRecorder.isTypeSupported(format.mimeType));
+    }
+
+    /**
+     * Start recording
+     * The master gain feeds the recorder directly, so it keeps running in background tabs and
+     * through pauses, regenerated arrangements and anything else that doesn't rebuild the audio graph
+     * @param {string} formatId - The id of one of LiveRecorder.FORMATS
+     */
+    start(formatId) {
+        if (this.isRecording()) {
+            throw new Error('Already recording');
+        }
+
+        const format = LiveRecorder.getSupportedFormats().find(candidate => candidate.id === formatId);
+        if (!format) {
+            throw new Error(`Recording format not supported: ${formatId}`);
+        }
+
+        this.destination = this.engine.audioContext.createMediaStreamDestination();
+        this.engine.masterGain.connect(this.destination);
+
+        this.chunks = [];
+        this.format = format;
+        this.mediaRecorder = new MediaRecorder(this.destination.stream, {
+            mimeType: format.mimeType,
+            audioBitsPerSecond: this.bitRate
+        });
+        this.mediaRecorder.addEventListener('dataavailable', event => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        });
+        this.mediaRecorder.addEventListener('error', event => {
+            this.engine.emit('error', { message: 'Recording failed', error: event.error || new Error('Recording failed') });
+            this.stop();
+        });
+        this.mediaRecorder.addEventListener('stop', () => this.finish());
+        this.mediaRecorder.start(this.timeslice);
+
+        this.startTime = Date.now();
+        this.seed = this.engine.seed;
+        this.tickInterval = setInterval(() => this.tick(), 1000);
+        this.tick();
+
+        console.log(`Recording started as ${format.name}`);
+    }
+
+    /**
+     * Stop recording; the "recordingStopped" event brings the file once the last audio is encoded
+     */
+    stop() {
+        if (!this.isRecording()) return;
+
+        this.mediaRecorder.stop();
+    }
+
+    /**
+     * Put the recorded audio together, release the stream and hand the file on
+     */
+    finish() {
+        const blob = new Blob(this.chunks, { type: this.format.mimeType });
+        const fileName = this.getFileName();
+        const duration = (Date.now() - this.startTime) / 1000;
+
+        clearInterval(this.tickInterval);
+        this.tickInterval = null;
+        this.engine.masterGain.disconnect(this.destination);
+        this.destination = null;
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.startTime = null;
+
+        console.log(`Recording stopped after ${duration.toFixed(0)}s`);
+
+        this.engine.emit('recordingTick', { elapsed: null });
+        this.engine.emit('recordingStopped', { blob: blob, fileName: fileName, duration: duration });
+    }
+
+    /**
+     * Check whether a recording is in progress
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+        return this.mediaRecorder !== null && this.mediaRecorder.state !== 'inactive';
+    }
+
+    /**
+     * Get the seconds recorded so far
+     * @returns {number|null} The seconds, or null when not recording
+     */
+    getElapsed() {
+        return this.startTime === null ? null : (Date.now() - this.startTime) / 1000;
+    }
+
+    /**
+     * Name the file after the arrangement the recording started with and when it started,
+     * e.g. eno-2-1-k3j9x0qa-2024-05-01-213005.webm
+     * @returns {string} The file name
+     */
+    getFileName() {
+        const start = new Date(this.startTime);
+        const pad = value => String(value).padStart(2, '0');
+        const date = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+        const time = `${pad(start.getHours())}${pad(start.getMinutes())}${pad(start.getSeconds())}`;
+        return `eno-2-1-${this.seed}-${date}-${time}.${this.format.extension}`;
+    }
+
+    /**
+     * Report the time recorded
+     */
+    tick() {
+        this.engine.emit('recordingTick', { elapsed: this.getElapsed() });
+    }
+}
+
+// Formats in order of preference; browsers support one or both
+LiveRecorder.FORMATS = [
+    { id: 'webm', name: 'WebM/Opus', mimeType: 'audio/webm;codecs=opus', extension: 'webm' },
+    { id: 'ogg', name: 'Ogg/Opus', mimeType: 'audio/ogg;codecs=opus', extension: 'ogg' }
+];
@@ -0,0 +1,485 @@
+/**
+ * Loudness Stage for Brian Eno's "2/1" Web Recreation
+ * Evens out the level on the master bus: a meter measures the music's loudness in LUFS,
+ * a makeup gain brings it to a chosen target, and a limiter catches the peaks of dense clusters.
+ * Exports are measured and limited the same way, a piece at a time
+ */
+
+class LoudnessStage {
+    /**
+     * @param {BaseAudioContext} audioContext - The audio context
+     * @param {number|null} target - Loudness to bring the output to in LUFS, or null to leave the level alone
+     */
+    constructor(audioContext, target = null) {
+        this.audioContext = audioContext;
+        this.target = target;
+
+        // Normalization follows the loudness of the recent past, so it rides the slow changes in
+        // density without pumping on each note
+        this.window = 30; // seconds of playback the program loudness is measured over
+        this.shortTermLength = 3; // seconds, as in EBU R128
+        this.maxMakeup = 24; // dB
+        this.minMakeup = -24; // dB
+        this.makeupTimeConstant = 4; // seconds
+
+        // Level the limiter holds peaks to
+        this.ceiling = -1; // dBFS
+
+        // The master bus feeds this node
+        this.input = audioContext.createGain();
+
+        // Makeup gain, then the limiter
+        this.makeup = audioContext.createGain();
+        this.limiter = audioContext.createDynamicsCompressor();
+        this.limiter.threshold.value = this.ceiling;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.002;
+        this.limiter.release.value = 0.25;
+        this.input.connect(this.makeup);
+        this.makeup.connect(this.limiter);
+
+        // This node feeds the destination
+        this.output = this.limiter;
+
+        // Meter: the input, K-weighted as BS.1770 specifies, read channel by channel
+        this.meterNodes = LoudnessStage.getKWeighting(audioContext.sampleRate)
+            .map(filter => audioContext.createIIRFilter(filter.b, filter.a));
+        const splitter = audioContext.createChannelSplitter(2);
+        this.analysers = [0, 1].map(channel => {
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = 4096;
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this.input.connect(this.meterNodes[0]);
+        this.meterNodes[0].connect(this.meterNodes[1]);
+        this.meterNodes[1].connect(splitter);
+        this.samples = new Float32Array(4096);
+
+        // Mean square of the K-weighted input at each reading, oldest first
+        this.blocks = [];
+    }
+
+    /**
+     * Change the loudness target
+     * @param {number|null} target - Loudness in LUFS, or null to return the makeup gain to unity
+     */
+    setTarget(target) {
+        this.target = target;
+
+        if (target === null) {
+            this.setMakeup(0);
+        } else {
+            this.normalize();
+        }
+    }
+
+    /**
+     * Take a reading from the meter and adjust the makeup gain towards the target
+     * Called regularly during playback; readings needn't be evenly spaced
+     * @param {number} time - Audio context time of the reading
+     */
+    update(time = this.audioContext.currentTime) {
+        const power = this.analysers.reduce((sum, analyser) => {
+            analyser.getFloatTimeDomainData(this.samples);
+            let squares = 0;
+            for (let i = 0; i < this.samples.length; i++) {
+                squares += this.samples[i] * this.samples[i];
+            }
+            return sum + squares / this.samples.length;
+        }, 0);
+
+        this.blocks.push({ time: time, power: power });
+        while (this.blocks.length > 0 && this.blocks[0].time < time - this.window) {
+            this.blocks.shift();
+        }
+
+        this.normalize();
+    }
+
+    /**
+     * Set the makeup gain that brings the program loudness to the target
+     */
+    normalize() {
+        if (this.target === null) return;
+
+        const program = LoudnessStage.gatedLoudness(this.blocks.map(block => block.power));
+        if (program === null) return;
+
+        this.setMakeup(Math.max(this.minMakeup, Math.min(this.maxMakeup, this.target - program)));
+    }
+
+    /**
+     * Glide the makeup gain to a new level
+     * @param {number} db - The gain in dB
+     */
+    setMakeup(db) {
+        this.makeup.gain.setTargetAtTime(Math.pow(10, db / 20), this.audioContext.currentTime, this.makeupTimeConstant);
+    }
+
+    /**
+     * Get the meter readings
+     * @param {number} time - Audio context time to read at
+     * @returns {{input: number, makeup: number, reduction: number, output: number}} The short-term loudness
+     *     of the input and output in LUFS (-Infinity in silence), the makeup gain and the limiter's gain reduction in dB
+     */
+    getReadings(time = this.audioContext.currentTime) {
+        const recent = this.blocks.filter(block => block.time > time - this.shortTermLength);
+        const power = recent.reduce((sum, block) => sum + block.power, 0) / Math.max(1, recent.length);
+        const input = LoudnessStage.toLufs(power);
+        const makeup = 20 * Math.log10(Math.max(1e-6, this.makeup.gain.value));
+        // Older implementations expose the reduction as an AudioParam
+        const limiterReduction = this.limiter.reduction;
+        const reduction = Math.min(0, (typeof limiterReduction === 'number' ? limiterReduction : limiterReduction && limiterReduction.value) || 0);
+
+        return { input: input, makeup: makeup, reduction: reduction, output: input + makeup + reduction };
+    }
+
+    /**
+     * Convert a K-weighted mean square, summed over channels, to LUFS
+     * @param {number} power - The mean square
+     * @returns {number} The loudness in LUFS; -Infinity for silence
+     */
+    static toLufs(power) {
+        return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+    }
+
+    /**
+     * Get the gated loudness of a series of blocks, as BS.1770 integrates it
+     * Blocks quieter than -70 LUFS, and then those more than 10 LU below the rest, are left out,
+     * so the silences between notes don't pull the measurement down
+     * @param {Array<number>} powers - Each block's K-weighted mean square, summed over channels
+     * @returns {number|null} The loudness in LUFS, or null if every block is below the gate
+     */
+    static gatedLoudness(powers) {
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        const audible = powers.filter(power => LoudnessStage.toLufs(power) > -70);
+        if (audible.length === 0) return null;
+
+        const relativeGate = LoudnessStage.toLufs(mean(audible)) - 10;
+        const gated = audible.filter(power => LoudnessStage.toLufs(power) > relativeGate);
+        return LoudnessStage.toLufs(mean(gated));
+    }
+
+    /**
+     * Get the BS.1770 K-weighting filters for a sample rate
+     * A high shelf for the head's effect on sound, then a high-pass that discounts the lowest frequencies;
+     * the coefficients match the standard's at 48kHz
+     * @param {number} sampleRate - The sample rate in Hz
+     * @returns {Array<{b: Array<number>, a: Array<number>}>} The two filters' feedforward and feedback coefficients
+     */
+    static getKWeighting(sampleRate) {
+        // Stage 1: high shelf
+        const shelfGain = 3.999843853973347; // dB
+        const shelfQ = 0.7071752369554196;
+        const shelfK = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        const vh = Math.pow(10, shelfGain / 20);
+        const vb = Math.pow(vh, 0.4996667741545416);
+        const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+        // Stage 2: high-pass
+        const passQ = 0.5003270373238773;
+        const passK = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        const passA0 = 1 + passK / passQ + passK * passK;
+
+        return [
+            {
+                b: [(vh + vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0, 2 * (shelfK * shelfK - vh) / shelfA0,
+                    (vh - vb * shelfK / shelfQ + shelfK * shelfK) / shelfA0],
+                a: [1, 2 * (shelfK * shelfK - 1) / shelfA0, (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0]
+            },
+            {
+                b: [1, -2, 1],
+                a: [1, 2 * (passK * passK - 1) / passA0, (1 - passK / passQ + passK * passK) / passA0]
+            }
+        ];
+    }
+
+    /**
+     * Measure the integrated loudness of rendered audio, as BS.1770 defines it
+     * @param {AudioBuffer} buffer - The audio
+     * @returns {number|null} The loudness in LUFS, or null if it is silent
+     */
+    static measureIntegrated(buffer) {
+        const integrator = new LoudnessIntegrator(buffer.sampleRate, buffer.numberOfChannels);
+        integrator.add(LoudnessStage.getChannels(buffer));
+        return integrator.getLoudness();
+    }
+
+    /**
+     * Bring rendered audio to a loudness target, limiting any peaks the gain pushes over the ceiling
+     * @param {AudioBuffer} buffer - The audio, changed in place
+     * @param {number} target - The loudness to reach in LUFS
+     * @param {number} ceiling - The highest peak allowed in dBFS
+     * @returns {{loudness: number|null, gain: number}} The loudness measured before and the gain applied in dB
+     */
+    static normalizeBuffer(buffer, target, ceiling = -1) {
+        const loudness = LoudnessStage.measureIntegrated(buffer);
+        if (loudness === null) {
+            return { loudness: null, gain: 0 };
+        }
+
+        const gain = target - loudness;
+        LoudnessStage.applyLimitedGain(buffer, Math.pow(10, gain / 20), Math.pow(10, ceiling / 20));
+        return { loudness: loudness, gain: gain };
+    }
+
+    /**
+     * Apply a gain to audio with a look-ahead limiter
+     * @param {AudioBuffer} buffer - The audio, changed in place
+     * @param {number} gain - The gain to apply
+     * @param {number} ceiling - The highest sample value allowed
+     */
+    static applyLimitedGain(buffer, gain, ceiling) {
+        const channels = LoudnessStage.getChannels(buffer);
+        const limiter = new LookaheadLimiter(buffer.sampleRate, channels.length, gain, ceiling);
+
+        // The limiter's output lags its input, so the last samples come from flushing it
+        const limited = limiter.process(channels);
+        const rest = limiter.flush();
+        channels.forEach((data, channel) => {
+            data.set(limited[channel], 0);
+            data.set(rest[channel], limited[channel].length);
+        });
+    }
+
+    /**
+     * Get each channel's samples from an audio buffer
+     * @param {AudioBuffer} buffer - The audio
+     * @returns {Array<Float32Array>} The channels' samples
+     */
+    static getChannels(buffer) {
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+        return channels;
+    }
+}
+
+// Loudness targets; "natural" leaves the level as the piece was mixed, with only the limiter
+LoudnessStage.TARGETS = [
+    { id: 'natural', name: 'Natural', lufs: null },
+    { id: 'background', name: 'Background', lufs: -30 },
+    { id: 'relaxed', name: 'Relaxed listening', lufs: -23 },
+    { id: 'focused', name: 'Focused listening', lufs: -18 },
+    { id: 'loud', name: 'Loud (streaming level)', lufs: -14 }
+];
+
+/**
+ * Measures integrated loudness as BS.1770 defines it, from audio fed in a piece at a time
+ * 400ms blocks overlapping by 75%, K-weighted and gated. Only the 100ms segments the blocks are
+ * built from are kept, so an hour of audio never has to be in memory at once
+ */
+class LoudnessIntegrator {
+    /**
+     * @param {number} sampleRate - The sample rate in Hz
+     * @param {number} channelCount - Number of channels
+     */
+    constructor(sampleRate, channelCount) {
+        this.segmentLength = Math.round(sampleRate * 0.1);
+        [this.shelf, this.highPass] = LoudnessStage.getKWeighting(sampleRate);
+
+        // Each channel's filter memory: the last two inputs, shelf outputs and high-pass outputs
+        this.filterStates = Array.from({ length: channelCount }, () => new Float64Array(6));
+
+        // Sum of squares of the filtered signal in each finished segment, over all channels,
+        // and of the segment still being filled
+        this.segments = [];
+        this.partialSum = 0;
+        this.partialLength = 0;
+    }
+
+    /**
+     * Measure the next piece of audio
+     * @param {Array<Float32Array>} channels - Each channel's samples, all the same length
+     */
+    add(channels) {
+        const length = channels[0].length;
+        const segmentLength = this.segmentLength;
+        const shelf = this.shelf;
+        const highPass = this.highPass;
+        const sums = new Float64Array(Math.ceil((this.partialLength + length) / segmentLength));
+
+        // Both filter stages are written out, as this runs over every sample of long renders
+        channels.forEach((data, channel) => {
+            const state = this.filterStates[channel];
+            let [x1, x2, y1, y2, z1, z2] = state;
+
+            let i = 0;
+            for (let segment = 0; i < length; segment++) {
+                const end = Math.min(length, i + segmentLength - (segment === 0 ? this.partialLength : 0));
+                let squares = 0;
+                for (; i < end; i++) {
+                    const x = data[i];
+                    const y = shelf.b[0] * x + shelf.b[1] * x1 + shelf.b[2] * x2 - shelf.a[1] * y1 - shelf.a[2] * y2;
+                    const z = y - 2 * y1 + y2 - highPass.a[1] * z1 - highPass.a[2] * z2;
+                    x2 = x1;
+                    x1 = x;
+                    y2 = y1;
+                    y1 = y;
+                    z2 = z1;
+                    z1 = z;
+                    squares += z * z;
+                }
+                sums[segment] += squares;
+            }
+
+            state.set([x1, x2, y1, y2, z1, z2]);
+        });
+
+        // The first segment continues the one left unfinished last time
+        if (sums.length > 0) {
+            sums[0] += this.partialSum;
+        }
+        const finished = Math.floor((this.partialLength + length) / segmentLength);
+        for (let segment = 0; segment < finished; segment++) {
+            this.segments.push(sums[segment]);
+        }
+        this.partialSum = finished < sums.length ? sums[finished] : 0;
+        this.partialLength = (this.partialLength + length) % segmentLength;
+    }
+
+    /**
+     * Get the loudness of everything measured so far
+     * A segment left unfinished at the end is left out
+     * @returns {number|null} The loudness in LUFS, or null if it is silent
+     */
+    getLoudness() {
+        // Each block is four consecutive segments
+        const segments = this.segments;
+        const powers = [];
+        for (let i = 0; i + 4 <= segments.length; i++) {
+            powers.push((segments[i] + segments[i + 1] + segments[i + 2] + segments[i + 3]) / (4 * this.segmentLength));
+        }
+        return LoudnessStage.gatedLoudness(powers);
+    }
+}
+
+/**
+ * Applies a gain with a look-ahead limiter, to audio fed in a piece at a time
+ * The gain each sample can take without passing the ceiling is reduced to its lowest over the
+ * look-ahead and averaged over the same span, so it ramps down smoothly and is never above that gain
+ * when the peak arrives; it then recovers gradually. All channels move together so the stereo image holds.
+ * The output lags the input by the look-ahead, less one sample; flush() returns the rest at the end
+ */
+class LookaheadLimiter {
+    /**
+     * @param {number} sampleRate - The sample rate in Hz
+     * @param {number} channelCount - Number of channels
+     * @param {number} gain - The gain to apply
+     * @param {number} ceiling - The highest sample value allowed
+     */
+    constructor(sampleRate, channelCount, gain, ceiling) {
+        this.gain = gain;
+        this.ceiling = ceiling;
+        this.lookahead = Math.max(1, Math.round(sampleRate * 0.005));
+        this.release = Math.exp(-1 / (sampleRate * 0.2));
+
+        // Samples waiting for the limiter to see past them, a ring indexed by sample number
+        this.delay = Array.from({ length: channelCount }, () => new Float32Array(this.lookahead));
+
+        // Allowed gains in the look-ahead window as a queue of rising values, so the lowest is always first;
+        // a ring of sample numbers and their gains
+        this.queueIndex = new Float64Array(this.lookahead + 1);
+        this.queueGain = new Float64Array(this.lookahead + 1);
+        this.head = 0;
+        this.count = 0;
+
+        // The last lookahead window minimums, for their average
+        this.minimums = new Float64Array(this.lookahead);
+        this.position = 0;
+        this.sum = 0;
+
+        this.envelope = gain;
+        this.received = 0; // samples fed in so far
+    }
+
+    /**
+     * Limit the next piece of audio
+     * @param {Array<Float32Array>} channels - Each channel's samples, all the same length
+     * @returns {Array<Float32Array>} Each channel's limited samples; the earliest still waiting are held back
+     */
+    process(channels) {
+        return this.run(channels, channels[0].length);
+    }
+
+    /**
+     * Limit the samples still held back, once all the audio has been fed in
+     * @returns {Array<Float32Array>} Each channel's last limited samples
+     */
+    flush() {
+        return this.run(null, this.lookahead - 1);
+    }
+
+    /**
+     * Advance the limiter by a number of samples
+     * @param {Array<Float32Array>|null} channels - The samples entering the look-ahead, or null to pad the end
+     * @param {number} length - Number of samples to advance by
+     * @returns {Array<Float32Array>} Each channel's samples leaving the limiter
+     */
+    run(channels, length) {
+        const { gain, ceiling, lookahead, release, delay, queueIndex, queueGain, minimums } = this;
+        const size = lookahead + 1;
+        let { head, count, position, sum, envelope } = this;
+
+        const outputLength = Math.min(length, Math.max(0, this.received + length - lookahead + 1));
+        const output = delay.map(() => new Float32Array(outputLength));
+        let written = 0;
+
+        for (let n = 0; n < length; n++) {
+            const ahead = this.received + n;
+            const slot = ahead % lookahead;
+
+            // The gain the sample entering the window allows (the end is padded with the full gain)
+            let allowed = gain;
+            if (channels) {
+                let peak = 0;
+                for (let channel = 0; channel < channels.length; channel++) {
+                    const sample = channels[channel][n];
+                    delay[channel][slot] = sample;
+                    peak = Math.max(peak, Math.abs(sample));
+                }
+                if (peak * gain > ceiling) {
+                    allowed = ceiling / peak;
+                }
+            }
+            while (count > 0 && queueGain[(head + count - 1) % size] >= allowed) count--;
+            queueIndex[(head + count) % size] = ahead;
+            queueGain[(head + count) % size] = allowed;
+            count++;
+
+            // The sample leaving the window; the windows that start before the audio are
+            // counted too, so the first samples are averaged over minimums that include them
+            const i = ahead - lookahead + 1;
+            while (queueIndex[head] < i) {
+                head = (head + 1) % size;
+                count--;
+            }
+
+            sum += queueGain[head] - minimums[position];
+            minimums[position] = queueGain[head];
+            position = (position + 1) % lookahead;
+            if (position === 0) {
+                // Start the running sum afresh now and then so rounding can't build up
+                sum = minimums.reduce((total, value) => total + value, 0);
+            }
+
+            if (i < 0) continue;
+            const average = sum / lookahead;
+            envelope = average < envelope ? average : average + (envelope - average) * release;
+
+            const leaving = i % lookahead;
+            for (let channel = 0; channel < delay.length; channel++) {
+                output[channel][written] = delay[channel][leaving] * envelope;
+            }
+            written++;
+        }
+
+        Object.assign(this, { head, count, position, sum, envelope });
+        this.received += length;
+        return output;
+    }
+}
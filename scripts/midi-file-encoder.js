@@ -0,0 +1,153 @@
+/**
+ * MIDI File Encoder for Brian Eno's "2/1" Web Recreation
+ * Encodes notes as a format 1 Standard MIDI File with one track per voice
+ */
+
+class MidiFileEncoder {
+    /**
+     * Encode tracks of notes as a Standard MIDI File
+     * The first track is a conductor track holding the title and the tempo map; each
+     * track after it holds one voice's notes on its own channel
+     * @param {Array<Object>} tracks - The tracks to write
+     * @param {string} tracks[].name - The track name
+     * @param {number} tracks[].channel - The MIDI channel (0-15)
+     * @param {Array<Object>} tracks[].notes - Notes with a time and duration in seconds, a noteNumber,
+     *     a velocity and an optional pitch bend in semitones
+     * @param {Object} options - File settings
+     * @param {string} options.title - Name of the conductor track
+     * @param {number} options.ticksPerSecond - Time resolution, e.g. the sample rate for sample-accurate timing
+     * @param {number} options.pitchBendRange - The receiving synth's bend range in semitones
+     * @returns {ArrayBuffer} The MIDI file contents
+     */
+    static encode(tracks, { title = '', ticksPerSecond = 44100, pitchBendRange = 2 } = {}) {
+        const { division, tempo } = MidiFileEncoder.getTiming(ticksPerSecond);
+        const toTicks = seconds => Math.max(0, Math.round(seconds * ticksPerSecond));
+
+        // The tempo never changes, so every tick lasts exactly 1 / ticksPerSecond seconds
+        const conductor = MidiFileEncoder.encodeTrack([
+            { tick: 0, order: 0, data: MidiFileEncoder.textEvent(0x03, title) },
+            { tick: 0, order: 0, data: [0xFF, 0x51, 0x03, (tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF] }
+        ]);
+
+        const voiceTracks = tracks.map(track => {
+            const events = [{ tick: 0, order: 0, data: MidiFileEncoder.textEvent(0x03, track.name) }];
+
+            track.notes.forEach(note => {
+                const start = toTicks(note.time);
+                const end = Math.max(start + 1, toTicks(note.time + note.duration));
+
+                // Note-offs go before anything else at the same tick so a repeated key isn't cut short
+                if (typeof note.bend === 'number') {
+                    events.push({ tick: start, order: 1,
+                        data: [0xE0 | track.channel, ...MidiOutput.pitchBendBytes(note.bend, pitchBendRange)] });
+                }
+                events.push({ tick: start, order: 2, data: [0x90 | track.channel, note.noteNumber, note.velocity] });
+                events.push({ tick: end, order: 0, data: [0x80 | track.channel, note.noteNumber, 0] });
+            });
+
+            return MidiFileEncoder.encodeTrack(events);
+        });
+
+        // Header chunk: format 1, number of tracks, ticks per quarter note
+        const header = [
+            ...MidiFileEncoder.stringBytes('MThd'),
+            0, 0, 0, 6,
+            0, 1,
+            ((voiceTracks.length + 1) >> 8) & 0xFF, (voiceTracks.length + 1) & 0xFF,
+            (division >> 8) & 0xFF, division & 0xFF
+        ];
+
+        const chunks = [header, conductor, ...voiceTracks];
+        const bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        return bytes.buffer;
+    }
+
+    /**
+     * Choose a tempo and division where a whole number of ticks makes one second
+     * Prefers 120 bpm, the tempo a DAW assumes, and falls back to other tempos whose
+     * quarter note is a whole number of microseconds
+     * @param {number} ticksPerSecond - The wanted resolution
+     * @returns {{division: number, tempo: number}} Ticks per quarter note, and microseconds per quarter note
+     * @throws {Error} If no division fits in the header's 15 bits
+     */
+    static getTiming(ticksPerSecond) {
+        for (const quartersPerSecond of [2, 1, 4, 8, 16, 32, 64]) {
+            const division = ticksPerSecond / quartersPerSecond;
+            if (Number.isInteger(division) && division <= 0x7FFF) {
+                return { division: division, tempo: 1000000 / quartersPerSecond };
+            }
+        }
+
+        throw new Error(`Cannot write a MIDI file at ${ticksPerSecond} ticks per second`);
+    }
+
+    /**
+     * Encode a track chunk from events with absolute times
+     * @param {Array<{tick: number, order: number, data: Array<number>}>} events - The events, in any order;
+     *     events at the same tick are written in ascending order
+     * @returns {Array<number>} The chunk bytes, ending with an end-of-track event
+     */
+    static encodeTrack(events) {
+        const sorted = events
+            .map((event, index) => ({ ...event, index: index }))
+            .sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index);
+
+        const body = [];
+        let lastTick = 0;
+        sorted.forEach(event => {
+            body.push(...MidiFileEncoder.variableLength(event.tick - lastTick), ...event.data);
+            lastTick = event.tick;
+        });
+        body.push(0x00, 0xFF, 0x2F, 0x00);
+
+        return [
+            ...MidiFileEncoder.stringBytes('MTrk'),
+            (body.length >>> 24) & 0xFF, (body.length >> 16) & 0xFF, (body.length >> 8) & 0xFF, body.length & 0xFF,
+            ...body
+        ];
+    }
+
+    /**
+     * Encode a meta event carrying text, such as a track name
+     * The text is written as UTF-8, which DAWs read, so names like "A♭" survive
+     * @param {number} type - The meta event type (0x03 for a track name)
+     * @param {string} text - The text
+     * @returns {Array<number>} The event bytes
+     */
+    static textEvent(type, text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        return [0xFF, type, ...MidiFileEncoder.variableLength(bytes.length), ...bytes];
+    }
+
+    /**
+     * Encode a number as a MIDI variable-length quantity
+     * @param {number} value - A whole number up to 0x0FFFFFFF
+     * @returns {Array<number>} Seven bits per byte, most significant first, with the top bit set on all but the last
+     */
+    static variableLength(value) {
+        if (value > 0x0FFFFFFF) {
+            throw new Error(`MIDI delta time too large: ${value}`);
+        }
+
+        const bytes = [value & 0x7F];
+        for (let rest = value >>> 7; rest > 0; rest >>>= 7) {
+            bytes.unshift((rest & 0x7F) | 0x80);
+        }
+        return bytes;
+    }
+
+    /**
+     * Convert an ASCII chunk ID to bytes
+     * @param {string} text - The chunk ID, such as "MThd"
+     * @returns {Array<number>} One byte per character
+     */
+    static stringBytes(text) {
+        return Array.from(text, character => character.charCodeAt(0));
+    }
+}
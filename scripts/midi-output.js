@@ -0,0 +1,260 @@
+/**
+ * MIDI Output for Brian Eno's "2/1" Web Recreation
+ * Sends each scheduled note to an external synth or DAW through Web MIDI
+ */
+
+class MidiOutput {
+    /**
+     * @param {AudioEngine} engine - The engine whose notes are sent
+     */
+    constructor(engine) {
+        this.engine = engine;
+
+        this.access = null;
+        this.output = null;
+        this.enabled = false;
+
+        // Whether the built-in synth is silent while MIDI is on
+        this.muteInternal = true;
+
+        // "per-voice" sends voice n on channel n + 1; "single" sends every voice on one channel
+        this.channelMode = 'per-voice';
+        this.channel = 1; // 1-16, for the single channel mode
+        this.velocity = 80; // 1-127
+
+        // With a channel per voice, each note is pitch bent to the exact tuned and detuned frequency;
+        // this should match the receiving synth's bend range
+        this.pitchBendRange = 2; // semitones
+
+        // Web MIDI can't take back a message once it has been handed to the port, so messages wait here
+        // until they are due within a short horizon; a note cancelled before then (by a retune, a seek
+        // or a pause) sends nothing, instead of a stale note-off or bend reaching the synth later
+        this.sendAhead = 0.3; // seconds, the shortest horizon
+        this.pending = []; // {message, time}
+        this.sentUntil = 0; // audio context time up to which messages have been sent
+    }
+
+    /**
+     * Ask for MIDI access, prompting the user if needed
+     * @returns {Promise<Array<{id: string, name: string}>>} Resolves with the available output ports
+     * @throws {Error} If the browser doesn't support Web MIDI or access is refused
+     */
+    async connect() {
+        if (!navigator.requestMIDIAccess) {
+            throw new Error('This browser does not support Web MIDI');
+        }
+
+        if (!this.access) {
+            this.access = await navigator.requestMIDIAccess();
+
+            // Drop the port if it is unplugged
+            this.access.addEventListener('statechange', event => {
+                if (this.output && event.port.id === this.output.id && event.port.state === 'disconnected') {
+                    console.warn(`MIDI port "${event.port.name}" disconnected`);
+                    this.output = null;
+                }
+            });
+        }
+
+        const ports = this.getPorts();
+        if (!this.output && ports.length > 0) {
+            this.selectPort(ports[0].id);
+        }
+
+        return ports;
+    }
+
+    /**
+     * Get the available output ports
+     * @returns {Array<{id: string, name: string}>} The ports
+     */
+    getPorts() {
+        if (!this.access) return [];
+        return Array.from(this.access.outputs.values()).map(port => ({ id: port.id, name: port.name }));
+    }
+
+    /**
+     * Send to another output port
+     * @param {string} portId - The port's id, from getPorts()
+     */
+    selectPort(portId) {
+        const port = this.access && this.access.outputs.get(portId);
+        if (!port) {
+            throw new Error(`Unknown MIDI output port: ${portId}`);
+        }
+
+        this.allNotesOff();
+        this.output = port;
+
+        console.log(`MIDI output set to "${port.name}"`);
+    }
+
+    /**
+     * Whether notes are being sent
+     * @returns {boolean} True when MIDI is on and a port is selected
+     */
+    isActive() {
+        return this.enabled && this.output !== null;
+    }
+
+    /**
+     * Get the MIDI settings
+     * @returns {Object} The port, channel mode, channel, velocity and whether the internal synth is muted
+     */
+    getSettings() {
+        return {
+            enabled: this.enabled,
+            portId: this.output ? this.output.id : null,
+            channelMode: this.channelMode,
+            channel: this.channel,
+            velocity: this.velocity,
+            muteInternal: this.muteInternal
+        };
+    }
+
+    /**
+     * Send a voice's note: a note-on at its start and a note-off at its end
+     * Notes that have already started (e.g. after a seek) start now, and finished ones are skipped.
+     * The messages are held back until sendUntil() reaches them
+     * @param {number} voiceIndex - The index of the voice
+     * @param {number} frequency - The note's frequency in Hz
+     * @param {number} detune - The note's detune in cents
+     * @param {number} time - When the note starts, in audio context time
+     * @param {number} duration - How long the note lasts in seconds
+     * @param {number} velocityScale - A factor on the velocity setting, from living mode
+     * @returns {{stop: Function}|null} The sent note, whose stop() ends it early, or null if it has already finished
+     */
+    playNote(voiceIndex, frequency, detune, time, duration, velocityScale = 1) {
+        if (!this.isActive()) return null;
+
+        const now = this.engine.audioContext.currentTime;
+        if (time + duration <= now) return null;
+
+        const channel = this.channelMode === 'per-voice' ? voiceIndex % 16 : this.channel - 1;
+
+        const { noteNumber, bend } = MidiOutput.getNoteAndBend(frequency, detune);
+
+        const startAt = Math.max(time, now);
+        const noteOn = { message: [0x90 | channel, noteNumber, MidiOutput.scaleVelocity(this.velocity, velocityScale)], time: startAt };
+        const messages = [noteOn, { message: [0x80 | channel, noteNumber, 0], time: time + duration }];
+        if (this.channelMode === 'per-voice') {
+            messages.unshift({ message: [0xE0 | channel, ...MidiOutput.pitchBendBytes(bend, this.pitchBendRange)], time: startAt });
+        }
+        messages.forEach(entry => this.queue(entry));
+
+        // Stopping drops the messages not yet sent; a note whose note-on has gone out is ended early,
+        // or as it starts if it hasn't started yet
+        return {
+            stop: () => {
+                const noteOnSent = !this.pending.includes(noteOn);
+                this.pending = this.pending.filter(entry => !messages.includes(entry));
+                if (noteOnSent) {
+                    const stopAt = Math.max(startAt, this.engine.audioContext.currentTime);
+                    this.send([0x80 | channel, noteNumber, 0], stopAt);
+                }
+            }
+        };
+    }
+
+    /**
+     * Send a message now if it falls within the horizon, or hold it back until it does
+     * @param {{message: Array<number>, time: number}} entry - The MIDI bytes and when to send them, in audio context time
+     */
+    queue(entry) {
+        if (entry.time <= this.sentUntil) {
+            this.send(entry.message, entry.time);
+        } else {
+            this.pending.push(entry);
+        }
+    }
+
+    /**
+     * Move the horizon on, sending the held-back messages due before it
+     * Called on every scheduler tick, with a horizon that reaches past the next one
+     * @param {number} time - Audio context time up to which messages may be sent
+     */
+    sendUntil(time) {
+        if (!this.isActive()) {
+            this.pending = [];
+            return;
+        }
+
+        this.sentUntil = Math.max(this.sentUntil, time);
+
+        const due = this.pending.filter(entry => entry.time <= this.sentUntil);
+        this.pending = this.pending.filter(entry => entry.time > this.sentUntil);
+        due.sort((a, b) => a.time - b.time).forEach(entry => this.send(entry.message, entry.time));
+    }
+
+    /**
+     * Send a message at an audio context time
+     * @param {Array<number>} message - The MIDI bytes
+     * @param {number} time - When to send it, in audio context time
+     */
+    send(message, time) {
+        if (!this.output) return;
+        this.output.send(message, this.toTimestamp(time));
+    }
+
+    /**
+     * Convert an audio context time to the performance.now() time Web MIDI timestamps use
+     * Uses the context's output timestamp where available so MIDI lines up with what is heard
+     * @param {number} time - Audio context time in seconds
+     * @returns {number} The timestamp in milliseconds
+     */
+    toTimestamp(time) {
+        const context = this.engine.audioContext;
+        if (context.getOutputTimestamp) {
+            const stamp = context.getOutputTimestamp();
+            if (stamp.performanceTime) {
+                return stamp.performanceTime + (time - stamp.contextTime) * 1000;
+            }
+        }
+
+        return performance.now() + (time - context.currentTime) * 1000;
+    }
+
+    /**
+     * Silence everything on every channel, e.g. when MIDI is switched off or the port changes
+     */
+    allNotesOff() {
+        if (!this.output) return;
+
+        for (let channel = 0; channel < 16; channel++) {
+            this.output.send([0xB0 | channel, 123, 0]);
+        }
+    }
+
+    /**
+     * Find the nearest key to a pitch, and the bend from it to the exact pitch
+     * @param {number} frequency - The frequency in Hz
+     * @param {number} detune - Detune in cents
+     * @returns {{noteNumber: number, bend: number}} The MIDI note number (0-127) and the bend in semitones
+     */
+    static getNoteAndBend(frequency, detune = 0) {
+        const exactNote = 69 + 12 * Math.log2(frequency / 440) + detune / 100;
+        const noteNumber = Math.max(0, Math.min(127, Math.round(exactNote)));
+        return { noteNumber: noteNumber, bend: exactNote - noteNumber };
+    }
+
+    /**
+     * Scale a note-on velocity, keeping it within the range that sounds a note
+     * @param {number} velocity - The velocity (1-127)
+     * @param {number} scale - The factor
+     * @returns {number} The scaled velocity (1-127)
+     */
+    static scaleVelocity(velocity, scale) {
+        return Math.max(1, Math.min(127, Math.round(velocity * scale)));
+    }
+
+    /**
+     * Get the data bytes of a pitch bend message
+     * @param {number} semitones - The bend in semitones
+     * @param {number} range - The synth's bend range in semitones
+     * @returns {Array<number>} The least and most significant 7 bits
+     */
+    static pitchBendBytes(semitones, range) {
+        const value = Math.max(0, Math.min(16383, Math.round(8192 + (semitones / range) * 8192)));
+        return [value & 0x7F, value >> 7];
+    }
+}
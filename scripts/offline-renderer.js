@@ -0,0 +1,209 @@
+/**
+ * Offline Renderer for Brian Eno's "2/1" Web Recreation
+ * Renders the current arrangement faster than real time and exports it as a WAV file,
+ * or writes its notes out as a MIDI file
+ */
+
+class OfflineRenderer {
+    /**
+     * @param {AudioEngine} engine - The live engine whose arrangement and settings are rendered
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.isRendering = false;
+
+        // Long exports are rendered a chunk at a time, so only one chunk's audio is ever held in memory
+        this.chunkLength = 60; // seconds
+        // Consecutive chunks overlap by this much and are crossfaded, hiding any step between them
+        // where the tape's free-running modulation doesn't line up
+        this.overlap = 0.05; // seconds
+        this.ceiling = -1; // dBFS, the highest peak a normalized export may reach
+    }
+
+    /**
+     * Render the arrangement from the start of the piece, a chunk at a time
+     * @param {number} duration - Length to render in seconds
+     * @param {Function} onChunk - Called with each chunk's channels, in order; may return a promise to wait for
+     * @returns {Promise<number>} Resolves with the number of samples per channel rendered
+     */
+    async renderChunks(duration, onChunk) {
+        if (this.isRendering) {
+            throw new Error('A render is already in progress');
+        }
+
+        this.isRendering = true;
+
+        try {
+            const sampleRate = this.engine.audioContext.sampleRate;
+            const totalFrames = Math.ceil(duration * sampleRate);
+            const chunkFrames = Math.round(this.chunkLength * sampleRate);
+            const overlapFrames = Math.round(this.overlap * sampleRate);
+            console.log(`Rendering ${duration}s offline in ${Math.ceil(totalFrames / chunkFrames)} chunks at ${sampleRate}Hz`);
+
+            let tail = null;
+            for (let start = 0; start < totalFrames; start += chunkFrames) {
+                const end = Math.min(totalFrames, start + chunkFrames);
+
+                // Render on past the end of the chunk, for the next one to fade in over
+                const channels = await this.renderSpan(start, Math.min(totalFrames, end + overlapFrames));
+                if (tail) {
+                    const length = tail[0].length;
+                    channels.forEach((data, channel) => {
+                        for (let i = 0; i < length; i++) {
+                            const mix = (i + 0.5) / length;
+                            data[i] = tail[channel][i] * (1 - mix) + data[i] * mix;
+                        }
+                    });
+                }
+
+                tail = channels.map(data => data.slice(end - start));
+                await onChunk(channels.map(data => data.subarray(0, end - start)));
+            }
+
+            console.log('Offline render complete');
+            return totalFrames;
+        } finally {
+            this.isRendering = false;
+        }
+    }
+
+    /**
+     * Render one span of the arrangement in its own offline context
+     * The context starts early enough for the reverb and the binaural fade-in to have built up by the
+     * start of the span, and notes still ringing then join part-way through, as they do after a seek
+     * @param {number} fromFrame - Start of the span in samples from the start of the piece
+     * @param {number} toFrame - End of the span in samples from the start of the piece
+     * @returns {Promise<Array<Float32Array>>} Resolves with each channel's samples for the span
+     */
+    async renderSpan(fromFrame, toFrame) {
+        const sampleRate = this.engine.audioContext.sampleRate;
+        const leadInLength = Math.max(this.engine.reverb.getTailLength(), this.engine.binaural.fadeTime);
+        const leadIn = Math.min(fromFrame, Math.ceil(leadInLength * sampleRate));
+
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new OfflineContext(2, toFrame - fromFrame + leadIn, sampleRate);
+
+        // Build an engine on the offline context with the same arrangement, samples and reverb,
+        // its time 0 standing for the start of the lead-in
+        const offset = (fromFrame - leadIn) / sampleRate;
+        const renderEngine = await this.engine.createRenderCopy(context, offset);
+        renderEngine.startTime = -offset;
+        renderEngine.pausedPosition = offset / renderEngine.timeScale;
+
+        // Schedule the whole span up front; the offline context has no real-time scheduler
+        // The span is in score time, which runs slower than real time when loops are stretched
+        const fromTime = offset / renderEngine.timeScale;
+        const toTime = toFrame / sampleRate / renderEngine.timeScale;
+        const longestNote = Math.max(...renderEngine.voices.map(voice => voice.noteLength));
+        renderEngine.scheduleNotesInRange(Math.max(0, fromTime - longestNote / renderEngine.timeScale), toTime);
+
+        // Coarser position updates than live playback keep long renders manageable
+        renderEngine.spatial.scheduleMotion(toTime, 0.25 / renderEngine.timeScale);
+
+        const renderedBuffer = await context.startRendering();
+        return [0, 1].map(channel => renderedBuffer.getChannelData(channel).subarray(leadIn));
+    }
+
+    /**
+     * Render the arrangement and encode it as a WAV file
+     * Each chunk is encoded as soon as it is rendered and kept as a Blob part, which the browser can
+     * hold outside the page's memory; the header only needs the length, which is known up front.
+     * A render has no history for the live makeup gain to follow, so a normalized file takes a first
+     * pass to measure its loudness, and is brought to the target while it is encoded in the second
+     * @param {number} duration - Length to render in seconds
+     * @param {number} bitDepth - Bits per sample (16 or 24)
+     * @param {boolean} normalize - Whether to bring the file to the engine's loudness target
+     * @returns {Promise<Blob>} Resolves with the WAV file
+     */
+    async renderToWav(duration, bitDepth = 16, normalize = false) {
+        const sampleRate = this.engine.audioContext.sampleRate;
+
+        let limiter = null;
+        const target = this.engine.getLoudnessTarget();
+        if (normalize && target !== null) {
+            const integrator = new LoudnessIntegrator(sampleRate, 2);
+            await this.renderChunks(duration, channels => integrator.add(channels));
+
+            const loudness = integrator.getLoudness();
+            if (loudness !== null) {
+                const gain = target - loudness;
+                limiter = new LookaheadLimiter(sampleRate, 2, Math.pow(10, gain / 20), Math.pow(10, this.ceiling / 20));
+                console.log(`Normalizing from ${loudness.toFixed(1)} to ${target} LUFS (${gain.toFixed(1)} dB)`);
+            }
+        }
+
+        const parts = [];
+        const frameCount = await this.renderChunks(duration, channels => {
+            const samples = limiter ? limiter.process(channels) : channels;
+            parts.push(new Blob([WavEncoder.encodeSamples(samples, bitDepth)]));
+        });
+        if (limiter) {
+            parts.push(new Blob([WavEncoder.encodeSamples(limiter.flush(), bitDepth)]));
+        }
+
+        const header = WavEncoder.createHeader(frameCount, 2, sampleRate, bitDepth);
+        return new Blob([header, ...parts], { type: 'audio/wav' });
+    }
+
+    /**
+     * Write the notes that start within a span of the piece as a Standard MIDI File
+     * Times are in seconds from the start of the span, stretched by the time scale, with one tick
+     * per sample so the loops keep their non-integer lengths
+     * @param {number} fromTime - Start of the span in seconds of playback (score) time
+     * @param {number} toTime - End of the span in seconds of playback (score) time
+     * @param {number} sampleRate - Ticks per second; defaults to the audio context's sample rate
+     * @returns {Blob} The MIDI file
+     */
+    renderToMidi(fromTime, toTime, sampleRate = this.engine.audioContext.sampleRate) {
+        const tracks = this.getMidiTracks(fromTime, toTime);
+
+        const noteCount = tracks.reduce((count, track) => count + track.notes.length, 0);
+        console.log(`Writing ${noteCount} notes from ${fromTime}s to ${toTime}s as MIDI`);
+
+        const midiData = MidiFileEncoder.encode(tracks, {
+            title: this.engine.score.title,
+            ticksPerSecond: sampleRate,
+            pitchBendRange: this.engine.midi.pitchBendRange
+        });
+
+        return new Blob([midiData], { type: 'audio/midi' });
+    }
+
+    /**
+     * Collect each voice's notes within a span as MIDI tracks
+     * Each voice gets a track named after its note, on its own channel, with each note's pitch bent
+     * to its exact tuned and detuned frequency as the live MIDI output sends it
+     * @param {number} fromTime - Start of the span in seconds of playback (score) time
+     * @param {number} toTime - End of the span in seconds of playback (score) time
+     * @returns {Array<Object>} One track per voice, as MidiFileEncoder.encode() takes them
+     */
+    getMidiTracks(fromTime, toTime) {
+        if (!(toTime > fromTime)) {
+            throw new Error('The end of the MIDI export must come after its start');
+        }
+
+        const engine = this.engine;
+
+        return engine.voices.map((voice, voiceIndex) => {
+            const notes = [];
+
+            // The same note times and velocities as live playback, living mode included
+            for (let loop = engine.getFirstLoopFrom(voice, fromTime); ; loop++) {
+                const position = engine.getNotePosition(voice, loop);
+                if (position >= toTime) break;
+
+                // voice.frequency already includes the tuning, transposition and octave shift
+                const { noteNumber, bend } = MidiOutput.getNoteAndBend(voice.frequency, engine.getNoteDetune(voiceIndex, loop));
+                notes.push({
+                    time: (position - fromTime) * engine.timeScale,
+                    duration: voice.noteLength,
+                    noteNumber: noteNumber,
+                    velocity: MidiOutput.scaleVelocity(engine.midi.velocity, engine.getNoteVelocity(voiceIndex, loop)),
+                    bend: bend
+                });
+            }
+
+            return { name: voice.note, channel: voiceIndex % 16, notes: notes };
+        });
+    }
+}
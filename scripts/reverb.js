@@ -0,0 +1,377 @@
+/**
+ * Reverb Processor for Brian Eno's "2/1" Web Recreation
+ * Convolution reverb with selectable impulse responses, crossfaded switching
+ * and an adjustable wet/dry balance
+ */
+
+class ReverbProcessor {
+    /**
+     * @param {BaseAudioContext} audioContext - The audio context
+     * @param {AudioNode} destination - The node both the dry and wet signals feed
+     */
+    constructor(audioContext, destination) {
+        this.audioContext = audioContext;
+
+        // Built-in procedural impulse responses
+        // Each entry describes the decay of the generated noise tail
+        this.presets = [
+            {
+                id: 'small-room',
+                name: 'Small room',
+                procedural: { duration: 1.5, preDelay: 0.01, earlyReflectionsTime: 0.05, decayScale: 12 }
+            },
+            {
+                id: 'cathedral',
+                name: 'Cathedral',
+                procedural: { duration: 8.0, preDelay: 0.03, earlyReflectionsTime: 0.12, decayScale: 2.5 }
+            },
+            {
+                id: 'infinite',
+                name: 'Infinite',
+                procedural: { duration: 20.0, preDelay: 0.05, earlyReflectionsTime: 0.2, decayScale: 1 }
+            }
+        ];
+        this.manifestUrl = 'assets/reverb/manifest.json';
+
+        // Impulse responses are generated or loaded on first use and kept for later switches
+        this.buffers = new Map();
+
+        this.currentPresetId = null;
+        this.wetLevel = 0.6;
+        this.crossfadeTime = 2.0; // seconds
+
+        // Preset changes run one after another; each waits for the previous crossfade to end
+        // on the audio clock before reusing its idle slot
+        this.crossfadeEndTime = 0;
+        this.presetChanges = Promise.resolve();
+
+        // Notes feed the convolvers through this node
+        this.input = audioContext.createGain();
+
+        // Dry path, bypassing the convolvers
+        this.dryGain = audioContext.createGain();
+        this.dryGain.gain.value = 1 - this.wetLevel;
+        this.dryGain.connect(destination);
+
+        // Wet path, shared by both convolver slots
+        this.wetGain = audioContext.createGain();
+        this.wetGain.gain.value = this.wetLevel;
+        this.wetGain.connect(destination);
+
+        // Two convolver slots so one impulse response can fade into the next
+        this.slots = [0, 1].map(() => {
+            const gain = audioContext.createGain();
+            gain.gain.value = 0;
+            gain.connect(this.wetGain);
+            return { convolver: null, gain: gain };
+        });
+        this.activeSlot = 0;
+    }
+
+    /**
+     * Add the impulse responses listed in the reverb manifest
+     *
+     * Manifest format:
+     * {
+     *   "presets": [
+     *     { "id": "hall", "name": "Concert hall", "file": "hall.wav" }
+     *   ]
+     * }
+     *
+     * File paths are relative to the manifest. An entry with the id of a built-in
+     * preset replaces it.
+     * @returns {Promise<Array>} Resolves with the full preset list
+     */
+    async loadManifest() {
+        try {
+            const response = await fetch(this.manifestUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const manifest = await response.json();
+            const baseUrl = new URL(this.manifestUrl, window.location.href);
+
+            (manifest.presets || []).forEach(entry => {
+                if (!entry.id || !entry.file) {
+                    console.warn('Skipping reverb preset without id or file:', entry);
+                    return;
+                }
+
+                const preset = {
+                    id: entry.id,
+                    name: entry.name || entry.id,
+                    url: new URL(entry.file, baseUrl).href
+                };
+
+                const existingIndex = this.presets.findIndex(p => p.id === preset.id);
+                if (existingIndex >= 0) {
+                    this.presets[existingIndex] = preset;
+                } else {
+                    this.presets.push(preset);
+                }
+            });
+
+            console.log(`Loaded reverb manifest, ${this.presets.length} presets available`);
+        } catch (error) {
+            console.log('No reverb manifest found, using procedural impulse responses only:', error.message);
+        }
+
+        return this.presets;
+    }
+
+    /**
+     * Get the available presets
+     * @returns {Array<{id: string, name: string}>} The presets
+     */
+    getPresets() {
+        return this.presets.map(preset => ({ id: preset.id, name: preset.name }));
+    }
+
+    /**
+     * Switch to another impulse response, crossfading from the current one
+     * @param {string} presetId - The preset id
+     * @param {number} crossfadeTime - Length of the crossfade in seconds
+     * @returns {Promise<string>} Resolves with the active preset id
+     */
+    async setPreset(presetId, crossfadeTime = this.crossfadeTime) {
+        const preset = this.presets.find(p => p.id === presetId);
+        if (!preset) {
+            throw new Error(`Unknown reverb preset: ${presetId}`);
+        }
+
+        // Start loading now, but switch only once the changes asked for earlier have been made
+        const bufferLoad = this.getBuffer(preset);
+        const change = this.presetChanges.then(() => this.applyPreset(preset, bufferLoad, crossfadeTime));
+        this.presetChanges = change.catch(() => {});
+        return change;
+    }
+
+    /**
+     * Crossfade to a preset's impulse response, once any running crossfade has finished
+     * @param {Object} preset - The preset
+     * @param {Promise<AudioBuffer>} bufferLoad - Resolves with its impulse response
+     * @param {number} crossfadeTime - Length of the crossfade in seconds
+     * @returns {Promise<string>} Resolves with the active preset id
+     */
+    async applyPreset(preset, bufferLoad, crossfadeTime) {
+        const buffer = await bufferLoad;
+
+        if (preset.id === this.currentPresetId) {
+            return this.currentPresetId;
+        }
+
+        // The idle slot is still fading out until the previous crossfade ends
+        await this.waitUntil(this.crossfadeEndTime);
+
+        // Load the new impulse response into the idle slot
+        // A fresh convolver is used each time since some browsers only accept one buffer per node
+        const nextSlotIndex = this.currentPresetId === null ? this.activeSlot : 1 - this.activeSlot;
+        const nextSlot = this.slots[nextSlotIndex];
+        if (nextSlot.convolver) {
+            this.input.disconnect(nextSlot.convolver);
+            nextSlot.convolver.disconnect();
+        }
+        nextSlot.convolver = this.audioContext.createConvolver();
+        nextSlot.convolver.buffer = buffer;
+        this.input.connect(nextSlot.convolver);
+        nextSlot.convolver.connect(nextSlot.gain);
+
+        const now = this.audioContext.currentTime;
+
+        if (this.currentPresetId === null || crossfadeTime <= 0) {
+            // Nothing to fade from
+            this.slots.forEach((slot, index) => {
+                slot.gain.gain.cancelScheduledValues(now);
+                slot.gain.gain.setValueAtTime(index === nextSlotIndex ? 1 : 0, now);
+            });
+        } else {
+            // Equal-power crossfade so the reverb level doesn't dip halfway through
+            const steps = 64;
+            const fadeIn = new Float32Array(steps);
+            const fadeOut = new Float32Array(steps);
+            for (let i = 0; i < steps; i++) {
+                const x = i / (steps - 1);
+                fadeIn[i] = Math.sin(x * Math.PI / 2);
+                fadeOut[i] = Math.cos(x * Math.PI / 2);
+            }
+
+            const previousSlot = this.slots[this.activeSlot];
+            previousSlot.gain.gain.cancelScheduledValues(now);
+            nextSlot.gain.gain.cancelScheduledValues(now);
+            previousSlot.gain.gain.setValueCurveAtTime(fadeOut, now, crossfadeTime);
+            nextSlot.gain.gain.setValueCurveAtTime(fadeIn, now, crossfadeTime);
+            this.crossfadeEndTime = now + crossfadeTime;
+        }
+
+        this.activeSlot = nextSlotIndex;
+        this.currentPresetId = preset.id;
+
+        console.log(`Reverb preset set to "${preset.name}"`);
+
+        return this.currentPresetId;
+    }
+
+    /**
+     * Wait until the audio clock reaches a time
+     * A silent source ending at that time keeps the wait on the audio clock, so it also holds
+     * while the context is suspended
+     * @param {number} time - The audio context time
+     * @returns {Promise<void>} Resolves once the time has passed
+     */
+    waitUntil(time) {
+        if (time <= this.audioContext.currentTime) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const source = this.audioContext.createConstantSource();
+            source.offset.value = 0;
+            source.connect(this.input);
+            source.onended = () => {
+                source.disconnect();
+                resolve();
+            };
+            source.start();
+            source.stop(time);
+        });
+    }
+
+    /**
+     * Set the wet/dry balance
+     * @param {number} wet - The wet (reverb) level, 0 (dry) to 1 (fully wet)
+     */
+    setMix(wet) {
+        this.wetLevel = Math.max(0, Math.min(1, wet));
+
+        const now = this.audioContext.currentTime;
+        this.wetGain.gain.setTargetAtTime(this.wetLevel, now, 0.05);
+        this.dryGain.gain.setTargetAtTime(1 - this.wetLevel, now, 0.05);
+    }
+
+    /**
+     * Get the wet/dry balance
+     * @returns {number} The wet level (0-1)
+     */
+    getMix() {
+        return this.wetLevel;
+    }
+
+    /**
+     * Get how long the current impulse response rings for
+     * @returns {number} The length in seconds; 0 before a preset is loaded
+     */
+    getTailLength() {
+        const buffer = this.buffers.get(this.currentPresetId);
+        return buffer ? buffer.duration : 0;
+    }
+
+    /**
+     * Get the impulse response for a preset, generating or loading it on first use
+     * @param {Object} preset - The preset
+     * @returns {Promise<AudioBuffer>} The impulse response
+     */
+    async getBuffer(preset) {
+        if (this.buffers.has(preset.id)) {
+            return this.buffers.get(preset.id);
+        }
+
+        let buffer;
+        if (preset.procedural) {
+            buffer = this.generateImpulseResponse(preset.procedural, preset.id);
+        } else {
+            const response = await fetch(preset.url);
+            if (!response.ok) {
+                throw new Error(`Impulse response not found: ${preset.url} (${response.status})`);
+            }
+            buffer = await this.audioContext.decodeAudioData(await response.arrayBuffer());
+        }
+
+        this.buffers.set(preset.id, buffer);
+        return buffer;
+    }
+
+    /**
+     * Generate a spacious, ambient impulse response
+     * Discrete early reflections are followed by a noise tail with
+     * frequency-dependent decay
+     * @param {Object} options - Duration, pre-delay, early reflection time and decay scale
+     * @param {string} seed - Seed for the noise, so a preset sounds the same on every load
+     * @returns {AudioBuffer} The impulse response
+     */
+    generateImpulseResponse({ duration, preDelay, earlyReflectionsTime, decayScale }, seed) {
+        const random = new SeededRandom(seed);
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(2, sampleRate * duration, sampleRate);
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+
+            const earlyReflectionsCount = 5; // Fewer, more spread out reflections
+            const decayStartTime = preDelay + earlyReflectionsTime;
+            const decayFactor = 0.98; // Slow decay for ambient feel
+
+            // Fill the buffer
+            for (let i = 0; i < buffer.length; i++) {
+                const t = i / sampleRate;
+                let sample = 0;
+
+                // Pre-delay (initial silence)
+                if (t < preDelay) {
+                    sample = 0;
+                }
+                // Early reflections (discrete echoes)
+                else if (t < decayStartTime) {
+                    for (let reflection = 1; reflection <= earlyReflectionsCount; reflection++) {
+                        const reflectionTime = preDelay + (reflection / earlyReflectionsCount) * earlyReflectionsTime;
+                        const reflectionStrength = 0.7 * (1 - reflection / earlyReflectionsCount);
+
+                        if (Math.abs(t - reflectionTime) < 0.001) {
+                            sample += reflectionStrength * (random.next() * 0.2 + 0.9);
+                        }
+                    }
+                }
+                // Late reverb (exponential decay)
+                else {
+                    const decayTime = (t - decayStartTime) * decayScale;
+                    // Higher frequencies decay faster than lower ones
+                    const highFreqDecay = Math.exp(-decayTime * 0.8);
+                    const midFreqDecay = Math.exp(-decayTime * 0.4);
+                    const lowFreqDecay = Math.exp(-decayTime * 0.2);
+
+                    // Combine different frequency bands with noise for natural sound
+                    const noise = random.next() * 2 - 1;
+                    const highFreq = noise * highFreqDecay * 0.2;
+                    const midFreq = noise * midFreqDecay * 0.3;
+                    const lowFreq = noise * lowFreqDecay * 0.5;
+
+                    sample = (highFreq + midFreq + lowFreq) * Math.pow(decayFactor, decayTime * 10);
+                }
+
+                // Slight stereo variation
+                const stereoOffset = channel === 0 ? 1.0 : 0.98;
+                data[i] = sample * stereoOffset;
+            }
+        }
+
+        // Normalize the impulse response to prevent clipping
+        let maxAmplitude = 0;
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < buffer.length; i++) {
+                maxAmplitude = Math.max(maxAmplitude, Math.abs(data[i]));
+            }
+        }
+
+        if (maxAmplitude > 0) {
+            for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+                const data = buffer.getChannelData(channel);
+                for (let i = 0; i < buffer.length; i++) {
+                    data[i] = data[i] / maxAmplitude * 0.9; // Leave some headroom
+                }
+            }
+        }
+
+        return buffer;
+    }
+}
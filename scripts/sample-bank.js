@@ -0,0 +1,147 @@
+/**
+ * Sample Bank for Brian Eno's "2/1" Web Recreation
+ * Loads a multisampled instrument described by a JSON manifest and picks
+ * the best sample for each note
+ */
+
+class SampleBank {
+    /**
+     * @param {BaseAudioContext} audioContext - The context used to decode the samples
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+
+        // Decoded samples ("zones"), each with its root frequency, velocity layer and loop points
+        this.zones = [];
+        this.name = null;
+    }
+
+    /**
+     * Load and decode every sample listed in a manifest
+     *
+     * Manifest format:
+     * {
+     *   "name": "Rhodes",
+     *   "samples": [
+     *     { "file": "rhodes-c4-p.wav", "rootNote": 60, "velocity": 0.35, "loopStart": 1.2, "loopEnd": 2.8 }
+     *   ]
+     * }
+     *
+     * File paths are relative to the manifest. Samples that fail to load are skipped.
+     * @param {string} manifestUrl - URL of the manifest JSON file
+     * @returns {Promise<SampleBank>} Resolves with the loaded bank
+     * @throws {Error} If the manifest is missing or no sample could be decoded
+     */
+    async load(manifestUrl) {
+        const response = await fetch(manifestUrl);
+        if (!response.ok) {
+            throw new Error(`Sample manifest not found: ${manifestUrl} (${response.status})`);
+        }
+
+        const manifest = await response.json();
+        if (!manifest || !Array.isArray(manifest.samples) || manifest.samples.length === 0) {
+            throw new Error(`Sample manifest ${manifestUrl} lists no samples`);
+        }
+
+        const baseUrl = new URL(manifestUrl, window.location.href);
+
+        const zones = await Promise.all(manifest.samples.map(async entry => {
+            try {
+                const fileUrl = new URL(entry.file, baseUrl).href;
+                const fileResponse = await fetch(fileUrl);
+                if (!fileResponse.ok) {
+                    throw new Error(`HTTP ${fileResponse.status}`);
+                }
+                const arrayBuffer = await fileResponse.arrayBuffer();
+                const buffer = await this.audioContext.decodeAudioData(arrayBuffer);
+
+                return SampleBank.createZone(entry, buffer);
+            } catch (error) {
+                console.warn(`Skipping sample ${entry.file}:`, error);
+                return null;
+            }
+        }));
+
+        this.zones = zones.filter(zone => zone !== null);
+        this.name = manifest.name || null;
+
+        if (this.zones.length === 0) {
+            throw new Error(`No samples in ${manifestUrl} could be decoded`);
+        }
+
+        console.log(`Loaded sample bank "${this.name || manifestUrl}" with ${this.zones.length} samples`);
+
+        return this;
+    }
+
+    /**
+     * Build a zone from a manifest entry and its decoded buffer
+     * @param {Object} entry - The manifest entry
+     * @param {AudioBuffer} buffer - The decoded sample
+     * @returns {Object} The zone
+     */
+    static createZone(entry, buffer) {
+        const rootNote = typeof entry.rootNote === 'number' ? entry.rootNote : 69;
+        const zone = {
+            file: entry.file,
+            buffer: buffer,
+            rootNote: rootNote,
+            rootFrequency: 440 * Math.pow(2, (rootNote - 69) / 12),
+            velocity: typeof entry.velocity === 'number' ? entry.velocity : 1,
+            loopStart: null,
+            loopEnd: null
+        };
+
+        // Only keep loop points that describe a valid region of the buffer
+        if (typeof entry.loopStart === 'number' && typeof entry.loopEnd === 'number' &&
+            entry.loopStart >= 0 && entry.loopEnd > entry.loopStart && entry.loopEnd <= buffer.duration) {
+            zone.loopStart = entry.loopStart;
+            zone.loopEnd = entry.loopEnd;
+        }
+
+        return zone;
+    }
+
+    /**
+     * Check whether any samples are available
+     * @returns {boolean} True if the bank holds at least one sample
+     */
+    isLoaded() {
+        return this.zones.length > 0;
+    }
+
+    /**
+     * Pick the sample to play for a note
+     * The velocity layer closest to the requested velocity is chosen first,
+     * then the sample in that layer whose root is nearest in pitch
+     * @param {number} frequency - The note frequency in Hz
+     * @param {number} velocity - The note velocity (0-1)
+     * @returns {Object|null} The selected zone, or null if the bank is empty
+     */
+    select(frequency, velocity = 1) {
+        if (this.zones.length === 0) return null;
+
+        // Find the nearest velocity layer
+        let layerVelocity = this.zones[0].velocity;
+        this.zones.forEach(zone => {
+            if (Math.abs(zone.velocity - velocity) < Math.abs(layerVelocity - velocity)) {
+                layerVelocity = zone.velocity;
+            }
+        });
+
+        // Within that layer, find the nearest root (measured in octaves, not Hz)
+        let best = null;
+        let bestDistance = Infinity;
+        this.zones.forEach(zone => {
+            if (zone.velocity !== layerVelocity) return;
+
+            const distance = Math.abs(Math.log2(frequency / zone.rootFrequency));
+            if (distance < bestDistance) {
+                best = zone;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Scheduler Clock for Brian Eno's "2/1" Web Recreation
+ * Calls the note scheduler at a steady interval from a Worker, whose timers keep running
+ * when browsers throttle the timers of a hidden tab
+ */
+
+class SchedulerClock {
+    /**
+     * @param {Function} onTick - Called on every tick
+     */
+    constructor(onTick) {
+        this.onTick = onTick;
+        this.interval = null; // seconds, or null while stopped
+
+        // Created on first start; falls back to a main-thread timer where Workers aren't available
+        this.worker = null;
+        this.fallbackTimer = null;
+    }
+
+    /**
+     * Start ticking, or change the interval if already running
+     * The first tick comes after one interval
+     * @param {number} interval - Seconds between ticks
+     */
+    start(interval) {
+        this.interval = interval;
+
+        const worker = this.getWorker();
+        if (worker) {
+            worker.postMessage({ command: 'start', interval: interval * 1000 });
+            return;
+        }
+
+        clearInterval(this.fallbackTimer);
+        this.fallbackTimer = setInterval(() => this.onTick(), interval * 1000);
+    }
+
+    /**
+     * Stop ticking
+     */
+    stop() {
+        this.interval = null;
+
+        if (this.worker) {
+            this.worker.postMessage({ command: 'stop' });
+        }
+        clearInterval(this.fallbackTimer);
+        this.fallbackTimer = null;
+    }
+
+    /**
+     * Whether the clock is ticking
+     * @returns {boolean} True between start() and stop()
+     */
+    isRunning() {
+        return this.interval !== null;
+    }
+
+    /**
+     * Get the tick Worker, creating it from an inline script the first time
+     * @returns {Worker|null} The worker, or null if Workers can't be created here
+     */
+    getWorker() {
+        if (this.worker || typeof Worker === 'undefined') return this.worker;
+
+        try {
+            const blob = new Blob([SchedulerClock.WORKER_SOURCE], { type: 'text/javascript' });
+            const url = URL.createObjectURL(blob);
+            this.worker = new Worker(url);
+            URL.revokeObjectURL(url);
+
+            this.worker.onmessage = () => {
+                if (this.isRunning()) this.onTick();
+            };
+        } catch (error) {
+            // e.g. a content security policy that forbids blob: workers
+            console.warn('Scheduler worker unavailable, using a main-thread timer:', error);
+            this.worker = null;
+        }
+
+        return this.worker;
+    }
+}
+
+// Posts a message at each interval until told to stop
+SchedulerClock.WORKER_SOURCE = `
+let timer = null;
+self.onmessage = event => {
+    clearInterval(timer);
+    timer = null;
+    if (event.data.command === 'start') {
+        timer = setInterval(() => self.postMessage('tick'), event.data.interval);
+    }
+};
+`;
@@ -0,0 +1,242 @@
+/**
+ * Score for Brian Eno's "2/1" Web Recreation
+ * Declarative description of a loop-based piece, with loading and validation
+ */
+
+/**
+ * The built-in score: Brian Eno's "2/1" from Music for Airports
+ */
+const DEFAULT_SCORE = {
+    title: 'Brian Eno\'s "2/1" Web Recreation',
+    artist: 'Music for Airports (1978)',
+    album: 'Ambient 1: Music for Airports',
+    noteLength: 3.0, // seconds
+    gain: 0.35,
+    voices: [
+        { note: "High A♭", pitch: "A♭5", loopDuration: 17.8, color: "#E57373" },
+        { note: "C", pitch: "C5", loopDuration: 20.1, color: "#FFB74D" },
+        { note: "D♭", pitch: "D♭5", loopDuration: 31.8, color: "#FFF176" },
+        { note: "High F", pitch: "F5", loopDuration: 19.6, color: "#AED581" },
+        { note: "E♭", pitch: "E♭5", loopDuration: 16.2, color: "#4FC3F7" },
+        { note: "Low A♭", pitch: "A♭4", loopDuration: 21.3, color: "#7986CB" },
+        { note: "Low F", pitch: "F4", loopDuration: 24.7, color: "#BA68C8" }
+    ]
+};
+
+/**
+ * Error thrown when a score is malformed
+ * The field path (e.g. "voices[2].loopDuration") is available as `field`
+ */
+class ScoreValidationError extends Error {
+    /**
+     * @param {string} field - Path of the offending field
+     * @param {string} message - What is wrong with it
+     */
+    constructor(field, message) {
+        super(`Invalid score field "${field}": ${message}`);
+        this.name = 'ScoreValidationError';
+        this.field = field;
+    }
+}
+
+class Score {
+    /**
+     * Load a score from a JSON file
+     * @param {string} url - URL of the score file
+     * @returns {Promise<Object>} Resolves with the validated score
+     * @throws {ScoreValidationError} If the score is malformed
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Score not found: ${url} (${response.status})`);
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new ScoreValidationError('(root)', `not valid JSON (${error.message})`);
+        }
+
+        return Score.parse(data);
+    }
+
+    /**
+     * Validate a score and fill in defaults
+     *
+     * Score format:
+     * {
+     *   "title": "2/1",                  required
+     *   "artist": "Music for Airports",  optional
+     *   "album": "Ambient 1",            optional
+     *   "noteLength": 3.0,               optional, seconds (default 3.0)
+     *   "gain": 0.35,                    optional, 0-1 (default 0.35)
+     *   "voices": [                      required, at least one
+     *     {
+     *       "note": "High A♭",           required, display label
+     *       "pitch": "A♭5",              required, note name or frequency in Hz
+     *       "loopDuration": 17.8,        required, seconds
+     *       "color": "#E57373",          optional
+     *       "noteLength": 3.0,           optional, overrides the score value
+     *       "gain": 0.35                 optional, overrides the score value
+     *     }
+     *   ]
+     * }
+     * @param {Object} data - The raw score
+     * @returns {Object} The validated score, with each voice's baseFrequency resolved
+     * @throws {ScoreValidationError} If the score is malformed
+     */
+    static parse(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new ScoreValidationError('(root)', 'must be an object');
+        }
+
+        if (typeof data.title !== 'string' || data.title.trim() === '') {
+            throw new ScoreValidationError('title', 'must be a non-empty string');
+        }
+
+        ['artist', 'album'].forEach(field => {
+            if (typeof data[field] !== 'undefined' && typeof data[field] !== 'string') {
+                throw new ScoreValidationError(field, 'must be a string');
+            }
+        });
+
+        const noteLength = Score.readPositiveNumber(data, 'noteLength', 'noteLength', 3.0);
+        const gain = Score.readGain(data, 'gain', 'gain', 0.35);
+
+        if (!Array.isArray(data.voices) || data.voices.length === 0) {
+            throw new ScoreValidationError('voices', 'must be a non-empty array');
+        }
+
+        const voices = data.voices.map((voiceData, index) => {
+            const path = `voices[${index}]`;
+
+            if (!voiceData || typeof voiceData !== 'object') {
+                throw new ScoreValidationError(path, 'must be an object');
+            }
+
+            if (typeof voiceData.note !== 'string' || voiceData.note.trim() === '') {
+                throw new ScoreValidationError(`${path}.note`, 'must be a non-empty string');
+            }
+
+            const pitch = Score.parsePitch(voiceData.pitch, `${path}.pitch`);
+            const loopDuration = Score.readPositiveNumber(voiceData, 'loopDuration', `${path}.loopDuration`);
+
+            if (typeof voiceData.color !== 'undefined' && typeof voiceData.color !== 'string') {
+                throw new ScoreValidationError(`${path}.color`, 'must be a string');
+            }
+
+            return {
+                note: voiceData.note,
+                pitch: voiceData.pitch,
+                midiNote: pitch.midiNote,
+                baseFrequency: pitch.frequency,
+                loopDuration: loopDuration,
+                color: voiceData.color || '#000000',
+                noteLength: Score.readPositiveNumber(voiceData, 'noteLength', `${path}.noteLength`, noteLength),
+                gain: Score.readGain(voiceData, 'gain', `${path}.gain`, gain)
+            };
+        });
+
+        return {
+            title: data.title,
+            artist: data.artist || '',
+            album: data.album || '',
+            noteLength: noteLength,
+            gain: gain,
+            voices: voices
+        };
+    }
+
+    /**
+     * Read a required or optional positive number
+     * @param {Object} data - The object holding the field
+     * @param {string} key - The field name
+     * @param {string} path - The field path used in errors
+     * @param {number} defaultValue - Value used when the field is absent; required if undefined
+     * @returns {number} The value
+     */
+    static readPositiveNumber(data, key, path, defaultValue) {
+        const value = data[key];
+        if (typeof value === 'undefined' && typeof defaultValue !== 'undefined') {
+            return defaultValue;
+        }
+        if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+            throw new ScoreValidationError(path, 'must be a positive number');
+        }
+        return value;
+    }
+
+    /**
+     * Read an optional gain between 0 and 1
+     * @param {Object} data - The object holding the field
+     * @param {string} key - The field name
+     * @param {string} path - The field path used in errors
+     * @param {number} defaultValue - Value used when the field is absent
+     * @returns {number} The value
+     */
+    static readGain(data, key, path, defaultValue) {
+        const value = data[key];
+        if (typeof value === 'undefined') {
+            return defaultValue;
+        }
+        if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+            throw new ScoreValidationError(path, 'must be a number between 0 and 1');
+        }
+        return value;
+    }
+
+    /**
+     * Resolve a pitch given as a note name or a frequency
+     * @param {string|number} pitch - A note name such as "A♭5", "Db4" or "F#3", or a frequency in Hz
+     * @param {string} path - The field path used in errors
+     * @returns {{midiNote: number|null, frequency: number}} The MIDI note (null for Hz pitches) and frequency
+     */
+    static parsePitch(pitch, path) {
+        if (typeof pitch === 'number') {
+            if (!isFinite(pitch) || pitch <= 0) {
+                throw new ScoreValidationError(path, 'frequency must be a positive number of Hz');
+            }
+            return { midiNote: null, frequency: pitch };
+        }
+
+        if (typeof pitch !== 'string') {
+            throw new ScoreValidationError(path, 'must be a note name or a frequency in Hz');
+        }
+
+        const midiNote = Score.noteNameToMidi(pitch);
+        if (midiNote === null) {
+            throw new ScoreValidationError(path, `unrecognised note name "${pitch}"`);
+        }
+
+        return { midiNote: midiNote, frequency: Score.midiToFrequency(midiNote) };
+    }
+
+    /**
+     * Convert a note name to a MIDI note number
+     * @param {string} name - A note name such as "A♭5", "Db4" or "F#3" (middle C is C4)
+     * @returns {number|null} The MIDI note number, or null if the name is not recognised
+     */
+    static noteNameToMidi(name) {
+        const match = /^([A-Ga-g])(♭|♯|b|#)?(-?\d+)$/.exec(name.trim());
+        if (!match) return null;
+
+        const semitones = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+        let pitchClass = semitones[match[1].toUpperCase()];
+        if (match[2] === '♭' || match[2] === 'b') pitchClass -= 1;
+        if (match[2] === '♯' || match[2] === '#') pitchClass += 1;
+
+        const octave = parseInt(match[3], 10);
+        return (octave + 1) * 12 + pitchClass;
+    }
+
+    /**
+     * Convert a MIDI note number to an equal-tempered frequency (A4 = 440Hz)
+     * @param {number} midiNote - The MIDI note number
+     * @returns {number} The frequency in Hz
+     */
+    static midiToFrequency(midiNote) {
+        return 440 * Math.pow(2, (midiNote - 69) / 12);
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Seeded Random for Brian Eno's "2/1" Web Recreation
+ * A small deterministic PRNG so arrangements can be reproduced from a seed
+ */
+
+class SeededRandom {
+    /**
+     * @param {string|number} seed - Any string or number; equal seeds produce equal sequences
+     */
+    constructor(seed) {
+        this.state = SeededRandom.hash(String(seed));
+    }
+
+    /**
+     * Get the next value in the sequence (mulberry32)
+     * @returns {number} A value in the range [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Choose one item using the next value in the sequence
+     * @param {Array} items - The items to choose from (at least one)
+     * @returns {*} The chosen item
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Hash a string to a 32-bit integer (FNV-1a)
+     * @param {string} text - The string to hash
+     * @returns {number} The hash
+     */
+    static hash(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Get a single value keyed by a seed and any number of extra keys
+     * Unlike a running sequence, the result doesn't depend on the order values are requested in,
+     * so e.g. the live scheduler and an offline render draw the same value for the same note
+     * @param {string|number} seed - The seed
+     * @param {...(string|number)} keys - Extra keys, e.g. a stream name, voice index and loop number
+     * @returns {number} A value in the range [0, 1)
+     */
+    static valueFor(seed, ...keys) {
+        return new SeededRandom([seed, ...keys].join(':')).next();
+    }
+
+    /**
+     * Create a new random seed
+     * @returns {string} An 8-character base-36 seed
+     */
+    static generateSeed() {
+        let seed = '';
+        for (let i = 0; i < 8; i++) {
+            seed += Math.floor(Math.random() * 36).toString(36);
+        }
+        return seed;
+    }
+}
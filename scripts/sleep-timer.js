@@ -0,0 +1,193 @@
+/**
+ * Sleep Timer for Brian Eno's "2/1" Web Recreation
+ * Fades the piece out slowly after a set time and then stops playback
+ */
+
+class SleepTimer {
+    /**
+     * @param {AudioEngine} engine - The engine to fade out and stop
+     */
+    constructor(engine) {
+        this.engine = engine;
+
+        // Wall-clock time (ms) at which the fade finishes, or null when the timer is off
+        this.endTime = null;
+        this.fadeDuration = 0; // seconds
+        this.tickInterval = null;
+
+        // Master level to fade from and restore afterwards
+        this.level = null;
+        // Unsubscribes the restore waiting for the next play after the timer ran out
+        this.cancelRestore = null;
+
+        // Number of points in the fade curve
+        this.curveLength = 256;
+    }
+
+    /**
+     * Start (or restart) the timer
+     * The fade ends when the timer runs out, so it starts fadeMinutes before then
+     * @param {number} minutes - Minutes until playback stops
+     * @param {number} fadeMinutes - Length of the fade-out in minutes (clamped to the timer length)
+     */
+    start(minutes, fadeMinutes) {
+        if (!(minutes > 0)) {
+            throw new Error('Sleep timer length must be a positive number of minutes');
+        }
+
+        // A running timer is replaced without restoring the level first, so the new one
+        // fades from the level before the first rather than from part-way down its fade
+        this.clear();
+        this.clearRestore();
+
+        const duration = minutes * 60;
+        this.fadeDuration = Math.max(0, Math.min(duration, (fadeMinutes || 0) * 60));
+        this.endTime = Date.now() + duration * 1000;
+
+        this.scheduleFade(duration);
+
+        this.tickInterval = setInterval(() => this.tick(), 1000);
+        this.tick();
+
+        console.log(`Sleep timer set for ${minutes} minutes with a ${this.fadeDuration / 60} minute fade`);
+    }
+
+    /**
+     * Schedule the fade on the master gain
+     * The curve falls slowly at first and gently into silence, which sounds more even than a linear ramp.
+     * A gain left lower by an earlier timer (part-way through its fade, or silent after it ran out)
+     * ramps back to the level first, and the fade starts no sooner than that ramp ends
+     * @param {number} duration - Seconds from now until the fade ends
+     */
+    scheduleFade(duration) {
+        const gain = this.engine.masterGain && this.engine.masterGain.gain;
+        if (!gain) return;
+
+        const now = this.engine.audioContext.currentTime;
+        // The level is only read while no timer has touched the gain
+        if (this.level === null) {
+            this.level = gain.value;
+        }
+
+        const rampEnd = now + Math.min(1.0, duration);
+        const current = gain.value;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(current, now);
+        gain.linearRampToValueAtTime(this.level, rampEnd);
+
+        const fadeEnd = now + duration;
+        const fadeStart = Math.max(rampEnd, fadeEnd - this.fadeDuration);
+        if (fadeEnd > fadeStart) {
+            const curve = new Float32Array(this.curveLength);
+            for (let i = 0; i < curve.length; i++) {
+                const progress = i / (curve.length - 1);
+                curve[i] = this.level * Math.pow(Math.cos(progress * Math.PI / 2), 2);
+            }
+            gain.setValueCurveAtTime(curve, fadeStart, fadeEnd - fadeStart);
+        } else {
+            gain.setValueAtTime(0, fadeEnd);
+        }
+    }
+
+    /**
+     * Turn the timer off, bringing the level back if the fade had started
+     */
+    cancel() {
+        if (this.endTime === null) return;
+
+        this.clear();
+        this.restoreLevel(1.0);
+
+        console.log('Sleep timer cancelled');
+
+        this.engine.emit('sleepTimerTick', { remaining: null });
+    }
+
+    /**
+     * Stop ticking and forget the end time
+     */
+    clear() {
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+        this.endTime = null;
+    }
+
+    /**
+     * Forget a restore waiting for the next play
+     */
+    clearRestore() {
+        if (this.cancelRestore) {
+            this.cancelRestore();
+            this.cancelRestore = null;
+        }
+    }
+
+    /**
+     * Drop the scheduled fade and ramp back to the level from before the timer
+     * @param {number} rampTime - Seconds to ramp over
+     */
+    restoreLevel(rampTime) {
+        const gain = this.engine.masterGain && this.engine.masterGain.gain;
+        if (!gain || this.level === null) return;
+
+        const now = this.engine.audioContext.currentTime;
+        const current = gain.value;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(current, now);
+        gain.linearRampToValueAtTime(this.level, now + rampTime);
+
+        this.level = null;
+    }
+
+    /**
+     * Get the time left before playback stops
+     * @returns {number|null} Seconds remaining, or null when the timer is off
+     */
+    getRemaining() {
+        if (this.endTime === null) return null;
+        return Math.max(0, (this.endTime - Date.now()) / 1000);
+    }
+
+    /**
+     * Whether the timer is running
+     * @returns {boolean} True while counting down
+     */
+    isActive() {
+        return this.endTime !== null;
+    }
+
+    /**
+     * Report the time left and finish once it runs out
+     */
+    tick() {
+        const remaining = this.getRemaining();
+
+        this.engine.emit('sleepTimerTick', { remaining: remaining });
+
+        if (remaining === 0) {
+            this.finish();
+        }
+    }
+
+    /**
+     * Stop playback and the binaural beats once the fade is over
+     * The master gain stays silent while the reverb tail and the binaural fade-out die away,
+     * and the level is restored when playback starts again
+     */
+    finish() {
+        this.clear();
+
+        console.log('Sleep timer finished, stopping playback');
+
+        this.engine.pause();
+        this.engine.setBinauralBeats(false);
+        this.cancelRestore = this.engine.once('play', () => {
+            this.cancelRestore = null;
+            this.restoreLevel(0.05);
+        });
+
+        this.engine.emit('sleepTimerEnd');
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * Spatial Audio for Brian Eno's "2/1" Web Recreation
+ * Places each voice around the listener with an HRTF panner that follows its orbit
+ */
+
+class SpatialAudio {
+    /**
+     * @param {AudioEngine} engine - The engine whose voices are placed
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.enabled = false;
+
+        // The listener sits at the center of the orbits, facing the top of the screen (-z)
+        // The outermost orbit is this far away in meters; inner orbits are proportionally closer
+        this.roomRadius = 5;
+
+        // Distance attenuation: voices on the innermost orbit play at full level
+        this.refDistance = 1;
+        this.rolloffFactor = 1;
+
+        // Seconds of playback time between scheduled position updates
+        this.motionStep = 0.1;
+
+        // Playback time up to which motion has been scheduled (null when nothing is scheduled)
+        this.scheduledUntil = null;
+    }
+
+    /**
+     * Create the HRTF panner for a voice's channel strip
+     * @param {Object} voice - The voice
+     * @returns {PannerNode} The panner, placed at the voice's current position
+     */
+    createPanner(voice) {
+        const panner = this.engine.audioContext.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = this.refDistance;
+        panner.rolloffFactor = this.rolloffFactor;
+        panner.maxDistance = this.roomRadius * 2;
+
+        const position = this.getPosition(voice, this.engine.getCurrentTime());
+        this.setPannerPosition(panner, position, this.engine.audioContext.currentTime, false);
+
+        return panner;
+    }
+
+    /**
+     * Switch between spatial and stereo placement
+     * In spatial mode the mixer's stereo pan is bypassed
+     * @param {boolean} enabled - Whether voices should be placed around the listener
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.reset();
+
+        this.engine.voices.forEach(voice => this.routeChannel(voice));
+
+        if (this.enabled && this.engine.isPlaying) {
+            this.scheduleMotion(this.engine.getCurrentTime() + this.engine.scheduleAheadTime);
+        }
+
+        console.log(`Spatial audio ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Send a voice's channel through either its HRTF panner or its stereo panner
+     * @param {Object} voice - The voice
+     */
+    routeChannel(voice) {
+        const channel = voice.channel;
+        if (!channel) return;
+
+        channel.gain.disconnect();
+        channel.gain.connect(this.enabled ? channel.spatialPanner : channel.panner);
+    }
+
+    /**
+     * Get a voice's position around the listener
+     * The angle is the one the visualization draws the voice's dot at, and the
+     * distance is proportional to its orbit radius
+     * @param {Object} voice - The voice
+     * @param {number} time - Playback time in seconds
+     * @returns {{x: number, z: number}} The position in meters
+     */
+    getPosition(voice, time) {
+        const angle = this.engine.getVoiceAngle(voice, time);
+        const distance = this.roomRadius * this.engine.getOrbitFraction(voice);
+
+        // Screen x maps to x and screen y (downwards) maps to z (behind the listener)
+        return {
+            x: Math.cos(angle) * distance,
+            z: Math.sin(angle) * distance
+        };
+    }
+
+    /**
+     * Move a panner, either immediately or with a linear ramp ending at the given time
+     * @param {PannerNode} panner - The panner
+     * @param {{x: number, z: number}} position - The position in meters
+     * @param {number} time - Context time at which the panner reaches the position
+     * @param {boolean} ramp - Whether to ramp from the previous position
+     */
+    setPannerPosition(panner, position, time, ramp) {
+        if (!panner.positionX) {
+            // Older browsers only support setting the position immediately
+            panner.setPosition(position.x, 0, position.z);
+            return;
+        }
+
+        if (ramp) {
+            panner.positionX.linearRampToValueAtTime(position.x, time);
+            panner.positionZ.linearRampToValueAtTime(position.z, time);
+        } else {
+            panner.positionX.setValueAtTime(position.x, time);
+            panner.positionY.setValueAtTime(0, time);
+            panner.positionZ.setValueAtTime(position.z, time);
+        }
+    }
+
+    /**
+     * Schedule each voice's movement up to a point in playback time
+     * Called from the note scheduler while playing, and once for the whole span when rendering offline
+     * @param {number} untilTime - Playback time in seconds to schedule motion up to
+     * @param {number} step - Seconds of playback time between position updates
+     */
+    scheduleMotion(untilTime, step = this.motionStep) {
+        if (!this.enabled) return;
+
+        const voices = this.engine.voices.filter(voice => voice.channel);
+
+        if (this.scheduledUntil === null) {
+            // Start from where the voices are now
+            const now = this.engine.getCurrentTime();
+            voices.forEach(voice => {
+                this.setPannerPosition(voice.channel.spatialPanner, this.getPosition(voice, now),
+                    this.engine.toContextTime(now), false);
+            });
+            this.scheduledUntil = now;
+        }
+
+        for (let time = this.scheduledUntil + step; time <= untilTime; time += step) {
+            voices.forEach(voice => {
+                this.setPannerPosition(voice.channel.spatialPanner, this.getPosition(voice, time),
+                    this.engine.toContextTime(time), true);
+            });
+            this.scheduledUntil = time;
+        }
+    }
+
+    /**
+     * Drop any scheduled motion, e.g. when playback stops
+     */
+    reset() {
+        const now = this.engine.audioContext ? this.engine.audioContext.currentTime : 0;
+
+        this.engine.voices.forEach(voice => {
+            const panner = voice.channel && voice.channel.spatialPanner;
+            if (!panner || !panner.positionX) return;
+
+            [panner.positionX, panner.positionY, panner.positionZ].forEach(param => {
+                param.cancelScheduledValues(now);
+            });
+        });
+
+        this.scheduledUntil = null;
+    }
+}
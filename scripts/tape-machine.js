@@ -0,0 +1,187 @@
+/**
+ * Tape Machine for Brian Eno's "2/1" Web Recreation
+ * Emulates the tape loops the piece was made with: wow and flutter, saturation and hiss
+ */
+
+class TapeMachine {
+    /**
+     * @param {BaseAudioContext} audioContext - The audio context
+     * @param {Object} settings - Initial settings
+     * @param {boolean} settings.bypass - Whether the stage passes the signal through untouched
+     * @param {number} settings.wow - Slow pitch drift amount (0-1)
+     * @param {number} settings.flutter - Fast pitch wobble amount (0-1)
+     * @param {number} settings.saturation - Soft clipping amount (0-1)
+     * @param {number} settings.hiss - Background hiss amount (0-1)
+     */
+    constructor(audioContext, settings) {
+        this.audioContext = audioContext;
+        this.settings = { ...settings };
+
+        // Modulation rates and maximum depths
+        this.wowRate = 0.6; // Hz, capstan and reel eccentricity
+        this.flutterRate = 7.5; // Hz, roller and bearing vibration
+        this.maxWowDepth = 0.003; // seconds of delay modulation
+        this.maxFlutterDepth = 0.0003;
+        this.baseDelay = 0.01; // seconds, leaves room for the modulation either side
+        this.maxHissLevel = 0.02;
+
+        // The rest of the graph feeds this node
+        this.input = audioContext.createGain();
+
+        // This node feeds the master gain
+        this.output = audioContext.createGain();
+
+        // Bypass path
+        this.bypassGain = audioContext.createGain();
+        this.input.connect(this.bypassGain);
+        this.bypassGain.connect(this.output);
+
+        // Processed path: modulated delay (wow and flutter) -> waveshaper (saturation)
+        this.delay = audioContext.createDelay(1.0);
+        this.delay.delayTime.value = this.baseDelay;
+        this.shaper = audioContext.createWaveShaper();
+        this.shaper.oversample = '2x';
+        this.processedGain = audioContext.createGain();
+        this.input.connect(this.delay);
+        this.delay.connect(this.shaper);
+        this.shaper.connect(this.processedGain);
+        this.processedGain.connect(this.output);
+
+        // Wow and flutter LFOs modulate the delay time
+        this.wowLfo = this.createLfo(this.wowRate);
+        this.wowDepth = audioContext.createGain();
+        this.wowLfo.connect(this.wowDepth);
+        this.wowDepth.connect(this.delay.delayTime);
+
+        this.flutterLfo = this.createLfo(this.flutterRate);
+        this.flutterDepth = audioContext.createGain();
+        this.flutterLfo.connect(this.flutterDepth);
+        this.flutterDepth.connect(this.delay.delayTime);
+
+        // Looping band-limited noise for the hiss
+        this.hissSource = audioContext.createBufferSource();
+        this.hissSource.buffer = this.generateHiss();
+        this.hissSource.loop = true;
+        const hissFilter = audioContext.createBiquadFilter();
+        hissFilter.type = 'highpass';
+        hissFilter.frequency.value = 2000;
+        this.hissGain = audioContext.createGain();
+        this.hissSource.connect(hissFilter);
+        hissFilter.connect(this.hissGain);
+        this.hissGain.connect(this.output);
+
+        this.wowLfo.start();
+        this.flutterLfo.start();
+        this.hissSource.start();
+
+        this.applySettings(0);
+    }
+
+    /**
+     * Create a sine LFO
+     * @param {number} rate - Frequency in Hz
+     * @returns {OscillatorNode} The (not yet started) oscillator
+     */
+    createLfo(rate) {
+        const lfo = this.audioContext.createOscillator();
+        lfo.type = 'sine';
+        lfo.frequency.value = rate;
+        return lfo;
+    }
+
+    /**
+     * Switch the stage in or out
+     * @param {boolean} bypass - true to pass the signal through untouched
+     */
+    setBypass(bypass) {
+        this.settings.bypass = bypass;
+        this.applySettings();
+    }
+
+    /**
+     * Set the amount of one effect
+     * @param {string} effect - "wow", "flutter", "saturation" or "hiss"
+     * @param {number} amount - The amount (0-1)
+     */
+    setAmount(effect, amount) {
+        if (!['wow', 'flutter', 'saturation', 'hiss'].includes(effect)) {
+            throw new Error(`Unknown tape effect: ${effect}`);
+        }
+
+        this.settings[effect] = Math.max(0, Math.min(1, amount));
+        this.applySettings();
+    }
+
+    /**
+     * Get the current settings
+     * @returns {Object} The bypass flag and each effect's amount
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Apply the settings to the nodes
+     * @param {number} rampTime - Time constant of the changes in seconds
+     */
+    applySettings(rampTime = 0.05) {
+        const { bypass, wow, flutter, saturation, hiss } = this.settings;
+        const now = this.audioContext.currentTime;
+
+        const setParam = (param, value) => {
+            if (rampTime > 0) {
+                param.setTargetAtTime(value, now, rampTime);
+            } else {
+                param.setValueAtTime(value, now);
+            }
+        };
+
+        setParam(this.bypassGain.gain, bypass ? 1 : 0);
+        setParam(this.processedGain.gain, bypass ? 0 : 1);
+        setParam(this.hissGain.gain, bypass ? 0 : hiss * this.maxHissLevel);
+        setParam(this.wowDepth.gain, wow * this.maxWowDepth);
+        setParam(this.flutterDepth.gain, flutter * this.maxFlutterDepth);
+
+        this.shaper.curve = TapeMachine.createSaturationCurve(saturation);
+    }
+
+    /**
+     * Generate a couple of seconds of stereo noise to loop as hiss
+     * @returns {AudioBuffer} The noise
+     */
+    generateHiss() {
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(2, sampleRate * 2, sampleRate);
+
+        // Fixed seed so the hiss is the same on every load and in offline renders
+        const random = new SeededRandom('tape-hiss');
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < buffer.length; i++) {
+                data[i] = random.next() * 2 - 1;
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Create a soft-clipping transfer curve
+     * Full scale still maps to ±1, so the level holds while the curve rounds off more as the amount rises
+     * @param {number} amount - The saturation amount (0 = linear, 1 = heavy)
+     * @returns {Float32Array} The curve
+     */
+    static createSaturationCurve(amount) {
+        const samples = 1024;
+        const curve = new Float32Array(samples);
+        const drive = 1 + amount * 4;
+
+        for (let i = 0; i < samples; i++) {
+            const x = (i / (samples - 1)) * 2 - 1;
+            curve[i] = amount > 0 ? Math.tanh(x * drive) / Math.tanh(drive) : x;
+        }
+
+        return curve;
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * Tuning for Brian Eno's "2/1" Web Recreation
+ * Tuning systems that turn the score's MIDI notes into frequencies
+ */
+
+/**
+ * Error thrown when a Scala (.scl) file or tuning description is malformed
+ * The 1-based line number of a Scala file, when known, is available as `line`
+ */
+class TuningError extends Error {
+    /**
+     * @param {string} message - What is wrong
+     * @param {number|null} line - Line of the Scala file the problem is on
+     */
+    constructor(message, line = null) {
+        super(line !== null ? `Scala file line ${line}: ${message}` : message);
+        this.name = 'TuningError';
+        this.line = line;
+    }
+}
+
+class Tuning {
+    /**
+     * @param {Object} options - The tuning
+     * @param {string} options.system - "12-tet", "just", "pythagorean" or "scala"
+     * @param {number} options.reference - Frequency of A4 in Hz
+     * @param {number} options.tonic - Pitch class the scale is built on (0 = C, 1 = D♭, ... 11 = B)
+     * @param {Object|null} options.scale - A scale from Tuning.parseScala(), for the "scala" system
+     */
+    constructor({ system = '12-tet', reference = 440, tonic = 1, scale = null } = {}) {
+        if (!Tuning.SYSTEMS[system]) {
+            throw new TuningError(`Unknown tuning system: ${system}`);
+        }
+        if (typeof reference !== 'number' || !isFinite(reference) || reference <= 0) {
+            throw new TuningError('Reference pitch must be a positive number of Hz');
+        }
+        if (!Number.isInteger(tonic) || tonic < 0 || tonic > 11) {
+            throw new TuningError('Tonic must be a pitch class from 0 to 11');
+        }
+        if (system === 'scala' && !scale) {
+            throw new TuningError('A Scala tuning needs a scale');
+        }
+
+        this.system = system;
+        this.reference = reference;
+        this.tonic = tonic;
+        this.scale = system === 'scala' ? scale : null;
+    }
+
+    /**
+     * Get the options this tuning was created with, e.g. to build a modified copy
+     * @returns {Object} The system, reference, tonic and scale
+     */
+    getOptions() {
+        return { system: this.system, reference: this.reference, tonic: this.tonic, scale: this.scale };
+    }
+
+    /**
+     * Get the frequency of a MIDI note in this tuning
+     * Non-equal tunings are built on the tonic nearest middle C, which keeps its
+     * equal-tempered pitch at the reference
+     * @param {number} midiNote - The MIDI note number
+     * @returns {number} The frequency in Hz
+     */
+    frequencyFor(midiNote) {
+        const equalTempered = note => this.reference * Math.pow(2, (note - 69) / 12);
+
+        if (this.system === '12-tet') {
+            return equalTempered(midiNote);
+        }
+
+        const tonicNote = 60 + this.tonic;
+        const ratios = this.system === 'scala' ? this.scale.ratios : Tuning.SYSTEMS[this.system].ratios;
+        const period = this.system === 'scala' ? this.scale.period : 2;
+
+        // Successive keys take successive scale degrees, repeating every period
+        const steps = midiNote - tonicNote;
+        const periods = Math.floor(steps / ratios.length);
+        const degree = steps - periods * ratios.length;
+
+        return equalTempered(tonicNote) * ratios[degree] * Math.pow(period, periods);
+    }
+
+    /**
+     * Describe the tuning for display
+     * @returns {string} e.g. "Just intonation on D♭, A4 = 440 Hz"
+     */
+    getDescription() {
+        const name = this.system === 'scala' ? this.scale.description : Tuning.SYSTEMS[this.system].name;
+        const tonic = this.system === '12-tet' ? '' : ` on ${Tuning.PITCH_CLASSES[this.tonic]}`;
+        return `${name}${tonic}, A4 = ${this.reference} Hz`;
+    }
+
+    /**
+     * Serialize the tuning for a shareable URL
+     * @returns {string} e.g. "just:Db:440" or "scala:Db:440:16/15,9/8,6/5,2/1"
+     */
+    toParam() {
+        const parts = [this.system, Tuning.PITCH_CLASS_NAMES[this.tonic], String(this.reference)];
+        if (this.system === 'scala') {
+            parts.push(this.scale.pitches.join(','));
+        }
+        return parts.join(':');
+    }
+
+    /**
+     * Read a tuning written by toParam()
+     * @param {string} text - The serialized tuning
+     * @returns {Tuning} The tuning
+     * @throws {TuningError} If the text is malformed
+     */
+    static fromParam(text) {
+        const [system, tonicName, referenceText, pitchesText] = String(text).split(':');
+
+        const tonicMidi = tonicName ? Score.noteNameToMidi(`${tonicName}4`) : null;
+        if (tonicMidi === null) {
+            throw new TuningError(`Unrecognised tonic "${tonicName}"`);
+        }
+
+        const options = {
+            system: system,
+            tonic: ((tonicMidi % 12) + 12) % 12,
+            reference: parseFloat(referenceText)
+        };
+
+        if (system === 'scala') {
+            const pitches = (pitchesText || '').split(',');
+            options.scale = Tuning.createScale(`Custom scale (${pitches.length} notes)`, pitches);
+        }
+
+        return new Tuning(options);
+    }
+
+    /**
+     * Parse a Scala (.scl) file
+     * See https://www.huygens-fokker.org/scala/scl_format.html
+     * @param {string} text - The file contents
+     * @returns {{description: string, pitches: Array<string>, ratios: Array<number>, period: number}} The scale
+     * @throws {TuningError} If the file is malformed
+     */
+    static parseScala(text) {
+        // Lines starting with "!" are comments
+        const lines = String(text).split(/\r?\n/)
+            .map((content, index) => ({ content: content.trim(), line: index + 1 }))
+            .filter(entry => !entry.content.startsWith('!'));
+
+        if (lines.length < 2) {
+            throw new TuningError('Scala file needs a description and a note count');
+        }
+
+        const description = lines[0].content || 'Untitled scale';
+        const count = parseInt(lines[1].content, 10);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new TuningError('note count must be a positive integer', lines[1].line);
+        }
+
+        const pitchLines = lines.slice(2).filter(entry => entry.content !== '');
+        if (pitchLines.length < count) {
+            throw new TuningError(`expected ${count} pitches but found ${pitchLines.length}`, lines[1].line);
+        }
+
+        // Only the first token of a pitch line counts; the rest is a comment
+        const pitches = pitchLines.slice(0, count).map(entry => {
+            const pitch = entry.content.split(/\s+/)[0];
+            Tuning.parseScalaPitch(pitch, entry.line);
+            return pitch;
+        });
+
+        return Tuning.createScale(description, pitches);
+    }
+
+    /**
+     * Build a scale from Scala pitch values
+     * @param {string} description - The scale's description
+     * @param {Array<string>} pitches - The scale's pitches above the tonic; the last one is the period
+     * @returns {{description: string, pitches: Array<string>, ratios: Array<number>, period: number}} The scale
+     */
+    static createScale(description, pitches) {
+        const values = pitches.map(pitch => Tuning.parseScalaPitch(pitch));
+        const period = values[values.length - 1];
+        if (period <= 1) {
+            throw new TuningError('The last pitch of a scale (its period) must be above the tonic');
+        }
+
+        return {
+            description: description,
+            pitches: pitches,
+            // Degree 0 is the tonic itself, which Scala files leave implicit
+            ratios: [1, ...values.slice(0, -1)],
+            period: period
+        };
+    }
+
+    /**
+     * Parse one Scala pitch: cents if it contains a period, otherwise a ratio or integer
+     * @param {string} pitch - e.g. "701.955", "3/2" or "2"
+     * @param {number|null} line - Line of the Scala file, for errors
+     * @returns {number} The frequency ratio above the tonic
+     */
+    static parseScalaPitch(pitch, line = null) {
+        if (pitch.includes('.')) {
+            const cents = Number(pitch);
+            if (!isFinite(cents)) {
+                throw new TuningError(`invalid cents value "${pitch}"`, line);
+            }
+            return Math.pow(2, cents / 1200);
+        }
+
+        const match = /^(\d+)(?:\/(\d+))?$/.exec(pitch);
+        if (!match || Number(match[1]) === 0 || (match[2] !== undefined && Number(match[2]) === 0)) {
+            throw new TuningError(`invalid ratio "${pitch}"`, line);
+        }
+        return Number(match[1]) / (match[2] !== undefined ? Number(match[2]) : 1);
+    }
+}
+
+/**
+ * The built-in tuning systems
+ * Just and Pythagorean ratios are for the twelve semitones above the tonic
+ */
+Tuning.SYSTEMS = {
+    '12-tet': { name: '12-tone equal temperament' },
+    'just': {
+        name: 'Just intonation',
+        ratios: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8]
+    },
+    'pythagorean': {
+        name: 'Pythagorean',
+        ratios: [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128]
+    },
+    'scala': { name: 'Scala file' }
+};
+
+// Pitch class names for display, and their ASCII spellings for URLs
+Tuning.PITCH_CLASSES = ['C', 'D♭', 'D', 'E♭', 'E', 'F', 'G♭', 'G', 'A♭', 'A', 'B♭', 'B'];
+Tuning.PITCH_CLASS_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
@@ -18,13 +18,18 @@ class UIControls {
         this.silentAudioInterval = null;
         this.heartbeatOscillator = null;
         this.heartbeatInterval = null;
+        // Set while a new arrangement briefly pauses playback, so the keep-alive carries on through it
+        this.holdKeepAlive = false;
         
         // Bind methods
         this.handlePlayPauseClick = this.handlePlayPauseClick.bind(this);
         this.handleRegenerateClick = this.handleRegenerateClick.bind(this);
         this.updatePlayPauseButton = this.updatePlayPauseButton.bind(this);
         this.handleAudioLoaded = this.handleAudioLoaded.bind(this);
-        this.handleNoteStart = this.handleNoteStart.bind(this);
+        this.handleScoreLoaded = this.handleScoreLoaded.bind(this);
+        this.handlePlay = this.handlePlay.bind(this);
+        this.handlePause = this.handlePause.bind(this);
+        this.handleEngineError = this.handleEngineError.bind(this);
         this.handleKeyDown = this.handleKeyDown.bind(this);
         this.setupMediaSession = this.setupMediaSession.bind(this);
         this.updateMediaSessionState = this.updateMediaSessionState.bind(this);
@@ -32,6 +37,135 @@ class UIControls {
         // Binaural beats toggle element and handler
         this.binauralCheckbox = document.getElementById('binauralToggle');
         this.handleBinauralToggle = this.handleBinauralToggle.bind(this);
+        // Binaural beats settings elements and handlers
+        this.binauralPresetSelect = document.getElementById('binauralPresetSelect');
+        this.binauralProgramSelect = document.getElementById('binauralProgramSelect');
+        this.binauralCarrierSelect = document.getElementById('binauralCarrierSelect');
+        this.binauralInputs = ['binauralBeatInput', 'binauralCarrierInput', 'binauralLevelSlider']
+            .map(id => document.getElementById(id))
+            .filter(input => input);
+        this.handleBinauralPresetChange = this.handleBinauralPresetChange.bind(this);
+        this.handleBinauralProgramChange = this.handleBinauralProgramChange.bind(this);
+        this.handleBinauralCarrierSelect = this.handleBinauralCarrierSelect.bind(this);
+        this.handleBinauralSettingChange = this.handleBinauralSettingChange.bind(this);
+        // Choir settings elements and handler
+        this.choirInputs = ['choirVowelSelect', 'choirVibratoRateInput', 'choirVibratoDepthInput', 'choirBreathSlider']
+            .map(id => document.getElementById(id))
+            .filter(input => input);
+        this.handleChoirSettingChange = this.handleChoirSettingChange.bind(this);
+        // Living mode elements and handler
+        this.livingInputs = ['livingToggle', 'livingVelocitySlider', 'livingJitterSlider', 'livingDriftSlider']
+            .map(id => document.getElementById(id))
+            .filter(input => input);
+        this.handleLivingSettingChange = this.handleLivingSettingChange.bind(this);
+        // Evolution elements and handlers
+        this.evolutionInputs = ['evolutionToggle', 'evolutionIntervalInput', 'evolutionCrossfadeInput',
+            'evolutionPitchToggle', 'evolutionLoopToggle', 'evolutionVoicesToggle']
+            .map(id => document.getElementById(id))
+            .filter(input => input);
+        this.evolutionLog = document.getElementById('evolutionLog');
+        this.handleEvolutionSettingChange = this.handleEvolutionSettingChange.bind(this);
+        this.handleEvolved = this.handleEvolved.bind(this);
+        this.handleVoicesChanged = this.handleVoicesChanged.bind(this);
+        // Convergence elements and handlers
+        this.convergenceCountdown = document.getElementById('convergenceCountdown');
+        this.skipToClusterButton = document.getElementById('skipToClusterButton');
+        this.denseOpeningButton = document.getElementById('denseOpeningButton');
+        this.convergenceInputs = ['convergenceVoicesInput', 'convergenceToleranceInput']
+            .map(id => document.getElementById(id))
+            .filter(input => input);
+        this.convergenceInterval = null;
+        this.convergenceHorizon = 60 * 60; // Seconds of score the countdown looks ahead
+        this.convergenceSearch = null; // The last search: {from, until, cluster}
+        this.handleSkipToClusterClick = this.handleSkipToClusterClick.bind(this);
+        this.handleDenseOpeningClick = this.handleDenseOpeningClick.bind(this);
+        this.handleConvergenceSettingChange = this.handleConvergenceSettingChange.bind(this);
+        this.updateConvergenceCountdown = this.updateConvergenceCountdown.bind(this);
+        this.clearConvergenceSearch = this.clearConvergenceSearch.bind(this);
+        // Sleep timer elements and handlers
+        this.sleepTimerSelect = document.getElementById('sleepTimerSelect');
+        this.sleepTimerCustomSetting = document.getElementById('sleepTimerCustomSetting');
+        this.sleepTimerCustomInput = document.getElementById('sleepTimerCustomInput');
+        this.sleepFadeInput = document.getElementById('sleepFadeInput');
+        this.sleepTimerDisplay = document.getElementById('sleepTimerDisplay');
+        this.sleepTimerMinutesShown = null; // Minutes left last shown in the MediaSession metadata
+        this.handleSleepTimerChange = this.handleSleepTimerChange.bind(this);
+        this.handleSleepTimerTick = this.handleSleepTimerTick.bind(this);
+        this.handleSleepTimerEnd = this.handleSleepTimerEnd.bind(this);
+        // Tuning elements and handlers
+        this.tuningDisplay = document.getElementById('tuningDisplay');
+        this.tuningSystemSelect = document.getElementById('tuningSystemSelect');
+        this.tuningTonicSelect = document.getElementById('tuningTonicSelect');
+        this.tuningReferenceInput = document.getElementById('tuningReferenceInput');
+        this.scalaFileInput = document.getElementById('scalaFileInput');
+        this.scalaScale = null; // The last Scala file loaded
+        this.handleTuningChange = this.handleTuningChange.bind(this);
+        this.handleScalaFileChange = this.handleScalaFileChange.bind(this);
+        // Octave and transposition elements and handlers
+        this.octaveShiftSelect = document.getElementById('octaveShiftSelect');
+        this.transpositionInput = document.getElementById('transpositionInput');
+        this.handleOctaveShiftChange = this.handleOctaveShiftChange.bind(this);
+        this.handleTranspositionChange = this.handleTranspositionChange.bind(this);
+        // Time scale elements and handler
+        this.timeScaleSlider = document.getElementById('timeScaleSlider');
+        this.timeScaleValue = document.getElementById('timeScaleValue');
+        this.handleTimeScaleInput = this.handleTimeScaleInput.bind(this);
+        // Reverb settings elements and handlers
+        this.reverbPresetSelect = document.getElementById('reverbPresetSelect');
+        this.reverbMixSlider = document.getElementById('reverbMixSlider');
+        this.handleReverbPresetChange = this.handleReverbPresetChange.bind(this);
+        this.handleReverbMixInput = this.handleReverbMixInput.bind(this);
+        // Loudness elements and handler
+        this.loudnessTargetSelect = document.getElementById('loudnessTargetSelect');
+        this.exportNormalizeToggle = document.getElementById('exportNormalizeToggle');
+        this.loudnessMeter = document.getElementById('loudnessMeter');
+        this.handleLoudnessTargetChange = this.handleLoudnessTargetChange.bind(this);
+        // WAV export elements and handler
+        this.exportButton = document.getElementById('exportButton');
+        this.exportDurationSelect = document.getElementById('exportDurationSelect');
+        this.exportBitDepthSelect = document.getElementById('exportBitDepthSelect');
+        this.handleExportClick = this.handleExportClick.bind(this);
+        this.offlineRenderer = new OfflineRenderer(audioEngine);
+        // MIDI file export elements and handler
+        this.midiExportButton = document.getElementById('midiExportButton');
+        this.midiExportStartInput = document.getElementById('midiExportStartInput');
+        this.midiExportEndInput = document.getElementById('midiExportEndInput');
+        this.handleMidiExportClick = this.handleMidiExportClick.bind(this);
+        // Recording elements and handlers
+        this.recordFormatSelect = document.getElementById('recordFormatSelect');
+        this.recordButton = document.getElementById('recordButton');
+        this.stopRecordingButton = document.getElementById('stopRecordingButton');
+        this.recordingTime = document.getElementById('recordingTime');
+        this.handleRecordClick = this.handleRecordClick.bind(this);
+        this.handleStopRecordingClick = this.handleStopRecordingClick.bind(this);
+        this.handleRecordingTick = this.handleRecordingTick.bind(this);
+        this.handleRecordingStopped = this.handleRecordingStopped.bind(this);
+        // Tape stage elements and handlers
+        this.tapeCheckbox = document.getElementById('tapeToggle');
+        this.tapeSliders = ['tapeWowSlider', 'tapeFlutterSlider', 'tapeSaturationSlider', 'tapeHissSlider']
+            .map(id => document.getElementById(id))
+            .filter(slider => slider);
+        this.handleTapeToggle = this.handleTapeToggle.bind(this);
+        this.handleTapeAmountInput = this.handleTapeAmountInput.bind(this);
+        // Spatial audio toggle element and handler
+        this.spatialCheckbox = document.getElementById('spatialToggle');
+        this.handleSpatialToggle = this.handleSpatialToggle.bind(this);
+        // MIDI output elements and handlers
+        this.midiCheckbox = document.getElementById('midiToggle');
+        this.midiPortSelect = document.getElementById('midiPortSelect');
+        this.midiChannelSelect = document.getElementById('midiChannelSelect');
+        this.midiSettingInputs = [this.midiPortSelect, this.midiChannelSelect,
+            document.getElementById('midiVelocityInput'), document.getElementById('midiMuteInternalToggle')]
+            .filter(input => input);
+        this.handleMidiToggle = this.handleMidiToggle.bind(this);
+        this.handleMidiSettingChange = this.handleMidiSettingChange.bind(this);
+        // Mixer panel container (filled with one channel strip per voice)
+        this.mixerPanel = document.getElementById('mixerPanel');
+        // Arrangement seed element and handler
+        this.seedInput = document.getElementById('seedInput');
+        this.handleSeedChange = this.handleSeedChange.bind(this);
+        // Live node counter, shown in debug mode
+        this.nodeCounter = document.getElementById('nodeCounter');
         
         // Initialize
         this.init();
@@ -54,23 +188,163 @@ class UIControls {
         if (this.binauralCheckbox) {
             this.binauralCheckbox.addEventListener('change', this.handleBinauralToggle);
         }
+        // Add event listeners for the binaural beats settings
+        if (this.binauralPresetSelect) {
+            this.populateBinauralControls();
+            
+            this.binauralPresetSelect.addEventListener('change', this.handleBinauralPresetChange);
+            this.binauralProgramSelect.addEventListener('change', this.handleBinauralProgramChange);
+            this.binauralCarrierSelect.addEventListener('change', this.handleBinauralCarrierSelect);
+        }
+        this.binauralInputs.forEach(input => {
+            input.addEventListener('change', this.handleBinauralSettingChange);
+        });
+        // Add event listeners for the choir controls
+        this.choirInputs.forEach(input => {
+            input.value = audioEngine.choirSettings[input.dataset.choirSetting];
+            input.addEventListener('change', this.handleChoirSettingChange);
+        });
+        // Add event listeners for the living mode controls
+        this.livingInputs.forEach(input => {
+            this.showLivingSetting(input);
+            input.addEventListener('change', this.handleLivingSettingChange);
+        });
+        // Add event listeners for the evolution controls and show the changes made so far
+        this.evolutionInputs.forEach(input => {
+            this.showEvolutionSetting(input);
+            input.addEventListener('change', this.handleEvolutionSettingChange);
+        });
+        audioEngine.evolution.log.forEach(entry => this.handleEvolved({ entry: entry }));
+        // Add event listeners for the convergence controls and keep the countdown ticking
+        if (this.skipToClusterButton) {
+            this.skipToClusterButton.addEventListener('click', this.handleSkipToClusterClick);
+        }
+        if (this.denseOpeningButton) {
+            this.denseOpeningButton.addEventListener('click', this.handleDenseOpeningClick);
+        }
+        this.convergenceInputs.forEach(input => {
+            input.addEventListener('change', this.handleConvergenceSettingChange);
+        });
+        if (this.convergenceCountdown) {
+            ['seek', 'arrangementChanged', 'scoreLoaded', 'settingsChanged', 'voicesChanged', 'evolved']
+                .forEach(event => audioEngine.on(event, this.clearConvergenceSearch));
+            this.convergenceInterval = setInterval(this.updateConvergenceCountdown, 1000);
+        }
+        // Add event listeners for the sleep timer controls
+        if (this.sleepTimerSelect) {
+            this.sleepTimerSelect.addEventListener('change', this.handleSleepTimerChange);
+            this.sleepTimerCustomInput.addEventListener('change', this.handleSleepTimerChange);
+            this.sleepFadeInput.addEventListener('change', this.handleSleepTimerChange);
+        }
+        // Add event listeners for the tuning controls
+        if (this.tuningSystemSelect) {
+            Tuning.PITCH_CLASSES.forEach((name, pitchClass) => {
+                const option = document.createElement('option');
+                option.value = pitchClass;
+                option.textContent = name;
+                this.tuningTonicSelect.appendChild(option);
+            });
+            
+            this.tuningSystemSelect.addEventListener('change', this.handleTuningChange);
+            this.tuningTonicSelect.addEventListener('change', this.handleTuningChange);
+            this.tuningReferenceInput.addEventListener('change', this.handleTuningChange);
+            this.scalaFileInput.addEventListener('change', this.handleScalaFileChange);
+        }
+        // Add event listeners for the octave and transposition controls
+        if (this.octaveShiftSelect) {
+            this.octaveShiftSelect.addEventListener('change', this.handleOctaveShiftChange);
+        }
+        if (this.transpositionInput) {
+            this.transpositionInput.addEventListener('change', this.handleTranspositionChange);
+        }
+        // Add event listener for the time scale
+        if (this.timeScaleSlider) {
+            this.timeScaleSlider.addEventListener('input', this.handleTimeScaleInput);
+        }
+        // Add event listeners for reverb settings
+        if (this.reverbPresetSelect) {
+            this.reverbPresetSelect.addEventListener('change', this.handleReverbPresetChange);
+        }
+        if (this.reverbMixSlider) {
+            this.reverbMixSlider.addEventListener('input', this.handleReverbMixInput);
+        }
+        // Add event listener for the loudness target and show the meter
+        if (this.loudnessTargetSelect) {
+            this.populateLoudnessTargets();
+            this.loudnessTargetSelect.addEventListener('change', this.handleLoudnessTargetChange);
+        }
+        this.startLoudnessMeter();
+        // Add event listeners for the tape stage
+        if (this.tapeCheckbox) {
+            this.tapeCheckbox.addEventListener('change', this.handleTapeToggle);
+        }
+        this.tapeSliders.forEach(slider => {
+            slider.addEventListener('input', this.handleTapeAmountInput);
+        });
+        // Add event listener for the spatial audio toggle
+        if (this.spatialCheckbox) {
+            this.spatialCheckbox.addEventListener('change', this.handleSpatialToggle);
+        }
+        // Add event listeners for MIDI output
+        if (this.midiCheckbox) {
+            for (let channel = 1; channel <= 16; channel++) {
+                const option = document.createElement('option');
+                option.value = channel;
+                option.textContent = `Channel ${channel}`;
+                this.midiChannelSelect.appendChild(option);
+            }
+            
+            this.midiCheckbox.addEventListener('change', this.handleMidiToggle);
+        }
+        this.midiSettingInputs.forEach(input => {
+            input.addEventListener('change', this.handleMidiSettingChange);
+        });
+        // Add event listener for the seed field
+        if (this.seedInput) {
+            this.seedInput.addEventListener('change', this.handleSeedChange);
+        }
+        // Add event listener for WAV export
+        if (this.exportButton) {
+            this.exportButton.addEventListener('click', this.handleExportClick);
+        }
+        // Add event listener for MIDI file export
+        if (this.midiExportButton) {
+            this.midiExportButton.addEventListener('click', this.handleMidiExportClick);
+        }
+        // Add event listeners for recording and list the formats this browser can record
+        if (this.recordButton) {
+            this.populateRecordingFormats();
+            this.recordButton.addEventListener('click', this.handleRecordClick);
+            this.stopRecordingButton.addEventListener('click', this.handleStopRecordingClick);
+        }
         
         // Add keyboard event listener for space bar to control play/pause
         this.handleKeyDown = this.handleKeyDown.bind(this);
         document.addEventListener('keydown', this.handleKeyDown);
         
-        // Connect audio engine events
-        audioEngine.onPlayStateChange = (isPlaying) => {
-            this.updatePlayPauseButton(isPlaying);
-            this.updateMediaSessionState(isPlaying);
-            if (this.binauralCheckbox && this.binauralCheckbox.checked) {
-                audioEngine.setBinauralBeats(isPlaying);
-            } else {
-                audioEngine.setBinauralBeats(false);
-            }
-        };
-        audioEngine.onLoaded = this.handleAudioLoaded;
-        audioEngine.onNoteStart = this.handleNoteStart;
+        // Subscribe to audio engine events (the visualization subscribes to its own)
+        audioEngine.on('play', this.handlePlay);
+        audioEngine.on('pause', this.handlePause);
+        audioEngine.on('loaded', this.handleAudioLoaded);
+        audioEngine.on('scoreLoaded', this.handleScoreLoaded);
+        audioEngine.on('voicesChanged', this.handleVoicesChanged);
+        audioEngine.on('evolved', this.handleEvolved);
+        audioEngine.on('sleepTimerTick', this.handleSleepTimerTick);
+        audioEngine.on('sleepTimerEnd', this.handleSleepTimerEnd);
+        audioEngine.on('recordingTick', this.handleRecordingTick);
+        audioEngine.on('recordingStopped', this.handleRecordingStopped);
+        audioEngine.on('error', this.handleEngineError);
+        
+        // Build the mixer for the current voices
+        this.buildMixerPanel();
+        
+        // Apply the score, tuning and arrangement seed from a shared link, then show them
+        this.updateSeedDisplay();
+        this.updateTuningDisplay();
+        this.applyUrlState().then(() => {
+            this.updateSeedDisplay();
+            this.updateTuningDisplay();
+        });
         
         // Set up MediaSession API for background playback
         this.setupMediaSession();
@@ -78,6 +352,11 @@ class UIControls {
         // Initialize silent audio for iOS background playback
         this.initSilentAudio();
         
+        // Show the live node count when the page is opened with ?debug
+        if (new URLSearchParams(window.location.search).has('debug')) {
+            this.startNodeCounter();
+        }
+        
         // Initialize audio engine
         audioEngine.init().catch(error => {
             console.error('Failed to initialize audio engine:', error);
@@ -246,14 +525,7 @@ class UIControls {
             console.log('Setting up MediaSession API for background playback');
             
             // Set metadata for the currently playing media
-            navigator.mediaSession.metadata = new MediaMetadata({
-                title: 'Brian Eno\'s "2/1" Web Recreation',
-                artist: 'Music for Airports (1978)',
-                album: 'Ambient 1: Music for Airports',
-                artwork: [
-                    { src: 'favicon.ico', sizes: '16x16', type: 'image/x-icon' }
-                ]
-            });
+            this.updateMediaSessionMetadata();
             
             // Set up action handlers
             navigator.mediaSession.setActionHandler('play', () => {
@@ -270,12 +542,270 @@ class UIControls {
                 }
             });
             
+            try {
+                navigator.mediaSession.setActionHandler('seekto', (details) => {
+                    console.log(`MediaSession seekto action triggered: ${details.seekTime}s`);
+                    if (this.isLoaded) {
+                        audioEngine.seek(details.seekTime);
+                    }
+                });
+            } catch (error) {
+                console.log('MediaSession seekto action not supported:', error.message);
+            }
+            
             console.log('MediaSession API setup complete');
         } else {
             console.log('MediaSession API not available in this browser');
         }
     }
     
+    /**
+     * Update the MediaSession metadata from the loaded score
+     */
+    updateMediaSessionMetadata() {
+        if (!('mediaSession' in navigator)) return;
+        
+        const score = audioEngine.score;
+        const remaining = audioEngine.sleepTimer.getRemaining();
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: score.title,
+            artist: score.artist,
+            album: remaining !== null ? `${score.album} · Sleep in ${Math.ceil(remaining / 60)} min` : score.album,
+            artwork: [
+                { src: 'favicon.ico', sizes: '16x16', type: 'image/x-icon' }
+            ]
+        });
+    }
+    
+    /**
+     * Show the time until the next cluster of voices
+     * The countdown is in real seconds, so it follows the time scale. The cluster found is kept until
+     * it has passed, the playhead moves back before the search, or the voices or their timing change
+     */
+    updateConvergenceCountdown() {
+        if (!this.isLoaded) return;
+        
+        const now = audioEngine.getCurrentTime();
+        const search = this.convergenceSearch;
+        if (!search || now < search.from || now > search.until) {
+            const cluster = audioEngine.findNextConvergence(now, this.convergenceHorizon);
+            this.convergenceSearch = {
+                from: now,
+                until: cluster ? cluster.time : now + this.convergenceHorizon,
+                cluster: cluster
+            };
+        }
+        
+        const cluster = this.convergenceSearch.cluster;
+        if (!cluster) {
+            this.convergenceCountdown.textContent = 'No cluster ahead';
+            return;
+        }
+        
+        const seconds = Math.ceil((cluster.time - now) * audioEngine.timeScale);
+        const minutes = Math.floor(seconds / 60);
+        this.convergenceCountdown.textContent =
+            `${cluster.voices.length} voices in ${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Forget the cached cluster, so the countdown searches again on its next update
+     */
+    clearConvergenceSearch() {
+        this.convergenceSearch = null;
+    }
+    
+    /**
+     * Handle the skip to next cluster button
+     */
+    handleSkipToClusterClick() {
+        if (!this.isLoaded) return;
+        
+        const cluster = audioEngine.skipToNextConvergence();
+        if (!cluster) {
+            this.showTemporaryMessage('No cluster of voices ahead');
+            return;
+        }
+        
+        this.showTemporaryMessage(`Skipped to ${cluster.voices.map(voice => voice.note).join(' ')}`);
+        this.updateConvergenceCountdown();
+    }
+    
+    /**
+     * Handle a change to the number of voices or the time window that make a cluster
+     * @param {Event} event - The change event; the input's data-convergence-setting names the setting
+     */
+    handleConvergenceSettingChange(event) {
+        const input = event.target;
+        const setting = input.dataset.convergenceSetting;
+        const value = parseFloat(input.value);
+        
+        if (isFinite(value)) {
+            audioEngine.setConvergenceSettings({ [setting]: value });
+        }
+        input.value = audioEngine.convergenceSettings[setting];
+        this.updateConvergenceCountdown();
+    }
+    
+    /**
+     * Search for a seed whose arrangement opens with a dense chord and load it from the start
+     * The button shows how far the search has got
+     */
+    async handleDenseOpeningClick() {
+        const label = this.denseOpeningButton.textContent;
+        this.denseOpeningButton.disabled = true;
+        
+        try {
+            const [best] = await audioEngine.findDenseOpeningSeeds({
+                onProgress: fraction => {
+                    this.denseOpeningButton.textContent = `Searching... ${Math.round(fraction * 100)}%`;
+                }
+            });
+            if (!best) return;
+            
+            // Play it from the beginning so the opening chord is heard
+            this.applyArrangement(best.seed);
+            audioEngine.seek(0);
+            this.showTemporaryMessage(
+                `Arrangement ${best.seed}: ${best.cluster.voices.length} voices at ${best.cluster.time.toFixed(1)}s`, 3000);
+        } finally {
+            this.denseOpeningButton.disabled = false;
+            this.denseOpeningButton.textContent = label;
+        }
+    }
+    
+    /**
+     * Handle a change to the sleep timer length or fade; the timer restarts from the new length
+     */
+    handleSleepTimerChange() {
+        const choice = this.sleepTimerSelect.value;
+        this.sleepTimerCustomSetting.classList.toggle('hidden', choice !== 'custom');
+        
+        const minutes = choice === 'custom' ? parseFloat(this.sleepTimerCustomInput.value) : parseFloat(choice);
+        if (!choice || !(minutes > 0)) {
+            audioEngine.setSleepTimer(null);
+            return;
+        }
+        
+        const fadeMinutes = Math.max(0, parseFloat(this.sleepFadeInput.value) || 0);
+        audioEngine.setSleepTimer(minutes, Math.min(fadeMinutes, minutes));
+    }
+    
+    /**
+     * Show the time left on the sleep timer, in the Settings panel and the MediaSession metadata
+     * @param {SleepTimerEvent} event - The seconds left, or null when the timer is off
+     */
+    handleSleepTimerTick({ remaining }) {
+        if (this.sleepTimerDisplay) {
+            if (remaining === null) {
+                this.sleepTimerDisplay.textContent = 'Off';
+            } else {
+                const seconds = Math.ceil(remaining);
+                const minutes = Math.floor(seconds / 60);
+                const fading = remaining <= audioEngine.sleepTimer.fadeDuration;
+                this.sleepTimerDisplay.textContent =
+                    `${fading ? 'Fading out' : 'Stopping'} in ${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+            }
+        }
+        
+        // The lock screen only shows whole minutes, so only update it when they change
+        const minutesShown = remaining === null ? null : Math.ceil(remaining / 60);
+        if (minutesShown !== this.sleepTimerMinutesShown) {
+            this.sleepTimerMinutesShown = minutesShown;
+            this.updateMediaSessionMetadata();
+        }
+    }
+    
+    /**
+     * Handle the sleep timer running out; the engine has already paused
+     */
+    handleSleepTimerEnd() {
+        if (this.sleepTimerSelect) {
+            this.sleepTimerSelect.value = '';
+            this.sleepTimerCustomSetting.classList.add('hidden');
+        }
+        this.handleSleepTimerTick({ remaining: null });
+    }
+    
+    /**
+     * Handle a new score being loaded into the audio engine
+     * @param {ScoreEvent} event - The loaded score
+     */
+    handleScoreLoaded({ score }) {
+        this.buildMixerPanel();
+        this.updateMediaSessionMetadata();
+        document.title = score.title;
+    }
+    
+    /**
+     * Handle evolution adding or removing a voice
+     */
+    handleVoicesChanged() {
+        this.buildMixerPanel();
+    }
+    
+    /**
+     * Add a change evolution made to the log, keeping the newest in view unless the
+     * listener has scrolled back through the earlier ones
+     * @param {EvolutionEvent} event - The change
+     */
+    handleEvolved({ entry }) {
+        if (!this.evolutionLog) return;
+        
+        const log = this.evolutionLog;
+        const atEnd = log.scrollHeight - log.scrollTop - log.clientHeight < 4;
+        
+        const item = document.createElement('li');
+        const time = document.createElement('time');
+        time.dateTime = new Date(entry.time).toISOString();
+        time.textContent = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        item.appendChild(time);
+        item.appendChild(document.createTextNode(entry.description));
+        log.appendChild(item);
+        
+        // The engine keeps a bounded log; so does the list
+        while (log.children.length > audioEngine.evolution.maxLogEntries) {
+            log.removeChild(log.firstChild);
+        }
+        
+        if (atEnd) {
+            log.scrollTop = log.scrollHeight;
+        }
+    }
+    
+    /**
+     * Handle playback starting
+     * The visualization starts its own animation; the keep-alive is started from the
+     * play button because iOS only allows it in response to a tap
+     */
+    handlePlay() {
+        this.updatePlayPauseButton(true);
+        this.updateMediaSessionState(true);
+        if (this.binauralCheckbox && this.binauralCheckbox.checked) {
+            audioEngine.setBinauralBeats(true);
+        }
+    }
+    
+    /**
+     * Handle playback stopping, whether from the play button, the sleep timer or a new arrangement
+     */
+    handlePause() {
+        this.updatePlayPauseButton(false);
+        this.updateMediaSessionState(false);
+        audioEngine.setBinauralBeats(false);
+        if (!this.holdKeepAlive) {
+            this.stopKeepAlive();
+        }
+    }
+    
+    /**
+     * Show an error reported by the audio engine
+     * @param {ErrorEvent} event - The error
+     */
+    handleEngineError({ message }) {
+        this.showError(message);
+    }
+    
     /**
      * Update the MediaSession playback state
      * @param {boolean} isPlaying - Whether audio is playing
@@ -315,128 +845,326 @@ class UIControls {
         audioEngine.togglePlayPause();
         console.log('Audio playback toggled, isPlaying:', audioEngine.isPlaying);
         
-        // Start or stop visualization animation and silent audio
+        // Start the silent audio while handling the tap; stopping it is left to the pause event
         if (audioEngine.isPlaying) {
-            console.log('Starting visualization animation');
-            visualization.startAnimation();
+            this.startKeepAlive();
+        }
+    }
+    
+    /**
+     * Start the silent audio element and, on iOS, the audio context heartbeat
+     * that keep the audio session alive in the background
+     */
+    startKeepAlive() {
+        // Play silent audio to keep iOS audio session alive
+        if (this.silentAudio) {
+            console.log('Playing silent audio for iOS background playback');
             
-            // Play silent audio to keep iOS audio session alive
-            if (this.silentAudio) {
-                console.log('Playing silent audio for iOS background playback');
-                
-                // Ensure audio context is resumed first
-                audioEngine.audioContext.resume().then(() => {
-                    // Use promise to handle autoplay restrictions
-                    this.silentAudio.play().catch(error => {
-                        console.warn('Could not play silent audio:', error);
-                        
-                        // If autoplay is blocked, show a message to the user
-                        if (this.isIOS()) {
-                            this.showTemporaryMessage('Tap again for background audio support', 3000);
-                        }
-                    });
-                });
-                
-                // Set up a periodic check to ensure silent audio keeps playing
-                // This helps with iOS potentially stopping the audio after some time
-                if (this.silentAudioInterval) {
-                    clearInterval(this.silentAudioInterval);
-                }
-                
-                this.silentAudioInterval = setInterval(() => {
-                    if (audioEngine.isPlaying && this.silentAudio.paused) {
-                        console.log('Silent audio stopped unexpectedly, restarting');
-                        this.silentAudio.play().catch(e => console.warn('Failed to restart silent audio:', e));
+            // Ensure audio context is resumed first
+            audioEngine.audioContext.resume().then(() => {
+                // Use promise to handle autoplay restrictions
+                this.silentAudio.play().catch(error => {
+                    console.warn('Could not play silent audio:', error);
+                    
+                    // If autoplay is blocked, show a message to the user
+                    if (this.isIOS()) {
+                        this.showTemporaryMessage('Tap again for background audio support', 3000);
                     }
-                }, 5000); // Check every 5 seconds
-                
-                // For iOS devices, also create an audio context heartbeat
-                if (this.isIOS()) {
-                    console.log('iOS device detected, creating audio context heartbeat');
-                    this.createAudioContextHeartbeat();
-                }
+                });
+            });
+            
+            // Set up a periodic check to ensure silent audio keeps playing
+            // This helps with iOS potentially stopping the audio after some time
+            if (this.silentAudioInterval) {
+                clearInterval(this.silentAudioInterval);
             }
-        } else {
-            console.log('Stopping visualization animation');
-            visualization.stopAnimation();
             
-            // Pause silent audio
-            if (this.silentAudio) {
-                console.log('Pausing silent audio');
-                this.silentAudio.pause();
-                
-                // Clear the interval when paused
-                if (this.silentAudioInterval) {
-                    clearInterval(this.silentAudioInterval);
-                    this.silentAudioInterval = null;
-                }
-                
-                // Stop the audio context heartbeat
-                if (this.heartbeatInterval) {
-                    clearInterval(this.heartbeatInterval);
-                    this.heartbeatInterval = null;
-                }
-                
-                if (this.heartbeatOscillator) {
-                    this.heartbeatOscillator.stop();
-                    this.heartbeatOscillator = null;
+            this.silentAudioInterval = setInterval(() => {
+                if (audioEngine.isPlaying && this.silentAudio.paused) {
+                    console.log('Silent audio stopped unexpectedly, restarting');
+                    this.silentAudio.play().catch(e => console.warn('Failed to restart silent audio:', e));
                 }
+            }, 5000); // Check every 5 seconds
+            
+            // For iOS devices, also create an audio context heartbeat
+            if (this.isIOS()) {
+                console.log('iOS device detected, creating audio context heartbeat');
+                this.createAudioContextHeartbeat();
+            }
+        }
+    }
+    
+    /**
+     * Stop the silent audio element and the audio context heartbeat
+     */
+    stopKeepAlive() {
+        // Pause silent audio
+        if (this.silentAudio) {
+            console.log('Pausing silent audio');
+            this.silentAudio.pause();
+            
+            // Clear the interval when paused
+            if (this.silentAudioInterval) {
+                clearInterval(this.silentAudioInterval);
+                this.silentAudioInterval = null;
+            }
+            
+            // Stop the audio context heartbeat
+            if (this.heartbeatInterval) {
+                clearInterval(this.heartbeatInterval);
+                this.heartbeatInterval = null;
+            }
+            
+            if (this.heartbeatOscillator) {
+                this.heartbeatOscillator.stop();
+                this.heartbeatOscillator = null;
             }
         }
     }
     
     /**
      * Handle regenerate button click
-     * This regenerates random offsets for all voices
+     * This regenerates random offsets for all voices from a new seed
      */
     handleRegenerateClick() {
         console.log('Regenerate button clicked');
         
+        this.applyArrangement(null);
+        
+        // Show a brief confirmation message
+        this.showTemporaryMessage('New arrangement generated!');
+    }
+    
+    /**
+     * Handle a seed typed into the seed field
+     * @param {Event} event - The change event on the seed input
+     */
+    handleSeedChange(event) {
+        const seed = event.target.value.trim();
+        if (!seed) {
+            // Restore the current seed rather than accepting an empty one
+            this.updateSeedDisplay();
+            return;
+        }
+        
+        if (seed !== audioEngine.seed) {
+            this.applyArrangement(seed);
+            this.showTemporaryMessage(`Arrangement ${seed}`);
+        }
+    }
+    
+    /**
+     * Replace the arrangement, keeping playback going if it was playing
+     * @param {string|null} seed - The seed to derive the arrangement from, or null for a new random seed
+     */
+    applyArrangement(seed) {
         // If currently playing, pause first
+        // The keep-alive is left running: iOS only lets it start again from a tap, and playback
+        // resumes after the handler has returned
         const wasPlaying = audioEngine.isPlaying;
         if (wasPlaying) {
+            this.holdKeepAlive = true;
             audioEngine.pause();
-            visualization.stopAnimation();
-            
-            // Pause silent audio
-            if (this.silentAudio) {
-                console.log('Pausing silent audio during regeneration');
-                this.silentAudio.pause();
-            }
+            this.holdKeepAlive = false;
         }
         
-        // Generate new random offsets (force regeneration)
-        audioEngine.generateRandomStartTimes(true);
-        
-        // Update visualization to match new offsets
-        visualization.calculateInitialOffsets();
+        // Generate new random offsets (force regeneration); the visualization redraws itself
+        audioEngine.generateRandomStartTimes(true, seed);
         
-        // Redraw visualization
-        visualization.draw();
+        // Show the seed and make the arrangement shareable
+        this.updateSeedDisplay();
+        this.updateUrlState();
         
-        console.log('Generated new random arrangement');
-        
-        // Show a brief confirmation message
-        this.showTemporaryMessage('New arrangement generated!');
+        console.log(`Generated arrangement from seed "${audioEngine.seed}"`);
         
         // Resume playback if it was playing before
         if (wasPlaying) {
             // Small delay to ensure everything is updated
             setTimeout(() => {
                 audioEngine.play();
-                visualization.startAnimation();
-                
-                // Resume silent audio
-                if (this.silentAudio) {
-                    console.log('Resuming silent audio after regeneration');
-                    this.silentAudio.play().catch(error => {
-                        console.warn('Could not resume silent audio:', error);
-                    });
-                }
             }, 100);
         }
     }
     
+    /**
+     * Show the current arrangement seed in the seed field
+     */
+    updateSeedDisplay() {
+        if (this.seedInput) {
+            this.seedInput.value = audioEngine.seed;
+        }
+    }
+    
+    /**
+     * Handle a change to the tuning system, tonic or reference pitch
+     */
+    handleTuningChange() {
+        const system = this.tuningSystemSelect.value;
+        
+        // A Scala tuning needs a file first
+        this.scalaFileInput.classList.toggle('hidden', system !== 'scala');
+        if (system === 'scala' && !this.scalaScale) {
+            return;
+        }
+        
+        try {
+            this.applyTuning(new Tuning({
+                system: system,
+                tonic: parseInt(this.tuningTonicSelect.value, 10),
+                reference: parseFloat(this.tuningReferenceInput.value),
+                scale: this.scalaScale
+            }));
+        } catch (error) {
+            console.error('Invalid tuning:', error);
+            this.showTemporaryMessage(error.message, 4000);
+            this.updateTuningDisplay();
+        }
+    }
+    
+    /**
+     * Handle a Scala (.scl) file being chosen
+     * @param {Event} event - The change event on the file input
+     */
+    async handleScalaFileChange(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        try {
+            this.scalaScale = Tuning.parseScala(await file.text());
+            console.log(`Loaded Scala scale "${this.scalaScale.description}" from ${file.name}`);
+            this.handleTuningChange();
+        } catch (error) {
+            console.error('Failed to load Scala file:', error);
+            this.showTemporaryMessage(error.message, 4000);
+        }
+    }
+    
+    /**
+     * Handle octave selection; the new octave applies from the next note
+     * @param {Event} event - The change event on the octave select
+     */
+    handleOctaveShiftChange(event) {
+        audioEngine.setOctaveShift(parseInt(event.target.value, 10));
+    }
+    
+    /**
+     * Handle a change to the transposition; it applies from the next note
+     * @param {Event} event - The change event on the transposition input
+     */
+    handleTranspositionChange(event) {
+        const semitones = Math.max(-12, Math.min(12, parseInt(event.target.value, 10) || 0));
+        event.target.value = semitones;
+        audioEngine.setTransposition(semitones);
+        this.updateBinauralControls();
+    }
+    
+    /**
+     * Retune the voices and make the tuning shareable
+     * @param {Tuning} tuning - The new tuning
+     */
+    applyTuning(tuning) {
+        audioEngine.setTuning(tuning);
+        this.updateTuningDisplay();
+        this.updateBinauralControls();
+        this.updateUrlState();
+    }
+    
+    /**
+     * Show the current tuning and sync the tuning controls to it
+     */
+    updateTuningDisplay() {
+        const tuning = audioEngine.tuning;
+        
+        if (this.tuningDisplay) {
+            this.tuningDisplay.textContent = tuning.getDescription();
+        }
+        if (this.tuningSystemSelect) {
+            this.tuningSystemSelect.value = tuning.system;
+            this.tuningTonicSelect.value = tuning.tonic;
+            this.tuningReferenceInput.value = tuning.reference;
+            this.scalaFileInput.classList.toggle('hidden', tuning.system !== 'scala');
+        }
+    }
+    
+    /**
+     * Apply settings carried in the page URL (e.g. ?score=assets/scores/1-1.json&seed=k3j9x2a1&tuning=just:Db:440)
+     * @returns {Promise} Resolves once the settings are applied
+     */
+    async applyUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        
+        const scoreUrl = params.get('score');
+        if (scoreUrl) {
+            try {
+                await audioEngine.loadScoreFromUrl(scoreUrl);
+            } catch (error) {
+                console.error('Failed to load score:', error);
+                this.showError(error.message);
+            }
+        }
+        
+        const tuning = params.get('tuning');
+        if (tuning) {
+            try {
+                audioEngine.setTuning(Tuning.fromParam(tuning));
+                this.scalaScale = audioEngine.tuning.scale;
+            } catch (error) {
+                console.error('Failed to apply tuning from URL:', error);
+                this.showError(error.message);
+            }
+        }
+        
+        const seed = params.get('seed');
+        if (seed) {
+            console.log(`Using arrangement seed "${seed}" from URL`);
+            audioEngine.generateRandomStartTimes(true, seed);
+        }
+    }
+    
+    /**
+     * Write the shareable settings into the page URL without reloading
+     */
+    updateUrlState() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', audioEngine.seed);
+        url.searchParams.set('tuning', audioEngine.tuning.toParam());
+        window.history.replaceState(null, '', url);
+    }
+    
+    /**
+     * Show the engine's live note nodes and scheduled notes, updated every few seconds
+     * Both should stay flat however long the piece plays
+     */
+    startNodeCounter() {
+        if (!this.nodeCounter) return;
+        
+        this.nodeCounter.classList.remove('hidden');
+        const update = () => {
+            const stats = audioEngine.getNodeStats();
+            this.nodeCounter.textContent = `Nodes: ${stats.liveNodes} · Notes: ${stats.scheduledNotes}`;
+        };
+        update();
+        setInterval(update, 2000);
+    }
+    
+    /**
+     * Show the short-term loudness at the output, the makeup gain and the limiter's gain reduction,
+     * updated every second
+     */
+    startLoudnessMeter() {
+        if (!this.loudnessMeter) return;
+        
+        const format = value => isFinite(value) ? value.toFixed(1) : '–';
+        const update = () => {
+            const readings = audioEngine.getLoudness();
+            if (!readings) return;
+            this.loudnessMeter.textContent = `${format(readings.output)} LUFS · makeup ${format(readings.makeup)} dB · ` +
+                `limiting ${format(-readings.reduction)} dB`;
+        };
+        update();
+        setInterval(update, 1000);
+    }
+    
     /**
      * Show a temporary message
      * @param {string} message - The message to show
@@ -481,19 +1209,38 @@ class UIControls {
         this.isLoaded = true;
         this.showLoading(false);
         this.playPauseButton.disabled = false;
+        if (this.exportButton) {
+            this.exportButton.disabled = false;
+        }
+        if (this.recordButton) {
+            this.recordButton.disabled = LiveRecorder.getSupportedFormats().length === 0;
+        }
+        if (this.skipToClusterButton) {
+            this.skipToClusterButton.disabled = false;
+        }
+        this.populateReverbControls();
     }
     
     /**
-     * Handle note start event
-     * @param {number} voiceIndex - The index of the voice
-     * @param {number} time - The time the note starts
+     * Fill the reverb preset list and sync the reverb controls with the audio engine
      */
-    handleNoteStart(voiceIndex, time) {
-        // Pass the event to visualization
-        if (visualization) {
-            visualization.onNoteStart(voiceIndex, time);
+    populateReverbControls() {
+        if (this.reverbPresetSelect) {
+            this.reverbPresetSelect.innerHTML = '';
+            audioEngine.getReverbPresets().forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                this.reverbPresetSelect.appendChild(option);
+            });
+            this.reverbPresetSelect.value = audioEngine.reverbPresetId;
+        }
+        
+        if (this.reverbMixSlider) {
+            this.reverbMixSlider.value = audioEngine.getReverbMix();
         }
     }
+    
     /**
      * Handle binaural beats toggle change event
      * @param {Event} event - The change event on the binaural beats checkbox
@@ -507,6 +1254,541 @@ class UIControls {
         }
     }
     
+    /**
+     * Fill the binaural preset and program lists and sync the binaural controls with the audio engine
+     */
+    populateBinauralControls() {
+        const fill = (select, items, noneLabel) => {
+            select.innerHTML = '';
+            [{ id: '', name: noneLabel }, ...items].forEach(item => {
+                const option = document.createElement('option');
+                option.value = item.id;
+                option.textContent = item.name;
+                select.appendChild(option);
+            });
+        };
+        
+        fill(this.binauralPresetSelect, BinauralBeats.PRESETS, 'Custom');
+        fill(this.binauralProgramSelect, BinauralBeats.PROGRAMS, 'None (steady beat)');
+        this.updateBinauralControls();
+    }
+    
+    /**
+     * Sync the binaural controls with the audio engine's binaural settings
+     * The in-key carriers are relisted because their frequencies follow the tuning and transposition
+     */
+    updateBinauralControls() {
+        if (!this.binauralPresetSelect) return;
+        
+        const settings = audioEngine.binauralSettings;
+        const preset = BinauralBeats.PRESETS.find(p => p.beat === settings.beat);
+        this.binauralPresetSelect.value = preset && !settings.programId ? preset.id : '';
+        this.binauralProgramSelect.value = settings.programId || '';
+        
+        this.binauralInputs.forEach(input => {
+            input.value = settings[input.dataset.binauralSetting];
+        });
+        
+        this.binauralCarrierSelect.innerHTML = '';
+        const custom = document.createElement('option');
+        custom.value = '';
+        custom.textContent = 'Custom';
+        this.binauralCarrierSelect.appendChild(custom);
+        
+        audioEngine.getHarmonicCarriers().forEach(carrier => {
+            const option = document.createElement('option');
+            option.value = carrier.frequency.toFixed(2);
+            option.textContent = `${carrier.name}, ${carrier.frequency.toFixed(1)} Hz`;
+            this.binauralCarrierSelect.appendChild(option);
+        });
+        this.binauralCarrierSelect.value = settings.carrier.toFixed(2);
+        if (this.binauralCarrierSelect.value !== settings.carrier.toFixed(2)) {
+            this.binauralCarrierSelect.value = '';
+        }
+    }
+    
+    /**
+     * Handle a brainwave preset being chosen
+     * @param {Event} event - The change event on the preset select
+     */
+    handleBinauralPresetChange(event) {
+        if (event.target.value) {
+            audioEngine.setBinauralPreset(event.target.value);
+        }
+        this.updateBinauralControls();
+    }
+    
+    /**
+     * Handle a binaural program being chosen; it starts from the beginning
+     * @param {Event} event - The change event on the program select
+     */
+    handleBinauralProgramChange(event) {
+        audioEngine.setBinauralProgram(event.target.value || null);
+        this.updateBinauralControls();
+    }
+    
+    /**
+     * Handle an in-key carrier being chosen
+     * @param {Event} event - The change event on the carrier select
+     */
+    handleBinauralCarrierSelect(event) {
+        if (event.target.value) {
+            audioEngine.setBinauralSettings({ carrier: parseFloat(event.target.value) });
+        }
+        this.updateBinauralControls();
+    }
+    
+    /**
+     * Handle a change to the binaural beat, carrier or level input
+     * @param {Event} event - The change event; the input's data-binaural-setting names the setting
+     */
+    handleBinauralSettingChange(event) {
+        const input = event.target;
+        const value = parseFloat(input.value);
+        
+        if (isFinite(value)) {
+            const min = parseFloat(input.min);
+            const max = parseFloat(input.max);
+            audioEngine.setBinauralSettings({ [input.dataset.binauralSetting]: Math.max(min, Math.min(max, value)) });
+        }
+        this.updateBinauralControls();
+    }
+    
+    /**
+     * Handle a change to the choir's vowel, vibrato or breath
+     * @param {Event} event - The change event; the input's data-choir-setting names the setting
+     */
+    handleChoirSettingChange(event) {
+        const input = event.target;
+        const setting = input.dataset.choirSetting;
+        
+        if (setting === 'vowel') {
+            audioEngine.setChoirSettings({ vowel: input.value });
+        } else {
+            const value = parseFloat(input.value);
+            if (isFinite(value)) {
+                audioEngine.setChoirSettings({ [setting]: Math.max(parseFloat(input.min), Math.min(parseFloat(input.max), value)) });
+            }
+        }
+        input.value = audioEngine.choirSettings[setting];
+    }
+    
+    /**
+     * Handle a change to living mode or its amounts
+     * @param {Event} event - The change event; the input's data-living-setting names the setting
+     */
+    handleLivingSettingChange(event) {
+        const input = event.target;
+        const setting = input.dataset.livingSetting;
+        
+        if (input.type === 'checkbox') {
+            audioEngine.setLivingSettings({ [setting]: input.checked });
+        } else {
+            const value = parseFloat(input.value);
+            if (isFinite(value)) {
+                audioEngine.setLivingSettings({ [setting]: value });
+            }
+        }
+        this.showLivingSetting(input);
+    }
+    
+    /**
+     * Handle a change to evolution or its settings
+     * @param {Event} event - The change event; the input's data-evolution-setting names the setting
+     */
+    handleEvolutionSettingChange(event) {
+        const input = event.target;
+        const setting = input.dataset.evolutionSetting;
+        
+        if (input.type === 'checkbox') {
+            audioEngine.setEvolutionSettings({ [setting]: input.checked });
+        } else {
+            const value = parseFloat(input.value);
+            if (isFinite(value)) {
+                audioEngine.setEvolutionSettings({ [setting]: Math.max(parseFloat(input.min), Math.min(parseFloat(input.max), value)) });
+            }
+        }
+        this.showEvolutionSetting(input);
+    }
+    
+    /**
+     * Show an evolution setting's current value on its control
+     * @param {HTMLInputElement} input - The control; its data-evolution-setting names the setting
+     */
+    showEvolutionSetting(input) {
+        const value = audioEngine.evolution.settings[input.dataset.evolutionSetting];
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+    }
+    
+    /**
+     * Show a living mode setting's current value on its control
+     * @param {HTMLInputElement} input - The control; its data-living-setting names the setting
+     */
+    showLivingSetting(input) {
+        const value = audioEngine.livingSettings[input.dataset.livingSetting];
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+    }
+    
+    /**
+     * Handle input on the time scale slider
+     * @param {Event} event - The input event on the time scale slider
+     */
+    handleTimeScaleInput(event) {
+        const scale = parseFloat(event.target.value);
+        audioEngine.setTimeScale(scale);
+        
+        if (this.timeScaleValue) {
+            this.timeScaleValue.textContent = `×${scale.toFixed(2)}`;
+        }
+    }
+    
+    /**
+     * Handle tape stage toggle change event
+     * @param {Event} event - The change event on the tape checkbox
+     */
+    handleTapeToggle(event) {
+        audioEngine.setTapeBypass(!event.target.checked);
+    }
+    
+    /**
+     * Handle input on one of the tape effect sliders
+     * @param {Event} event - The input event; the slider's data-tape-effect names the effect
+     */
+    handleTapeAmountInput(event) {
+        audioEngine.setTapeAmount(event.target.dataset.tapeEffect, parseFloat(event.target.value));
+    }
+    
+    /**
+     * Handle spatial audio toggle change event
+     * @param {Event} event - The change event on the spatial audio checkbox
+     */
+    handleSpatialToggle(event) {
+        audioEngine.setSpatialAudio(event.target.checked);
+    }
+    
+    /**
+     * Handle the MIDI output toggle, asking for MIDI access the first time
+     * @param {Event} event - The change event on the MIDI checkbox
+     */
+    async handleMidiToggle(event) {
+        const checkbox = event.target;
+        
+        if (checkbox.checked) {
+            try {
+                const ports = await audioEngine.connectMidi();
+                if (ports.length === 0) {
+                    throw new Error('No MIDI outputs found');
+                }
+                
+                this.midiPortSelect.innerHTML = '';
+                ports.forEach(port => {
+                    const option = document.createElement('option');
+                    option.value = port.id;
+                    option.textContent = port.name;
+                    this.midiPortSelect.appendChild(option);
+                });
+                this.midiPortSelect.value = audioEngine.midi.getSettings().portId;
+                this.midiPortSelect.disabled = false;
+            } catch (error) {
+                console.error('MIDI output unavailable:', error);
+                this.showTemporaryMessage(error.message, 4000);
+                checkbox.checked = false;
+                return;
+            }
+        }
+        
+        audioEngine.setMidiSettings({ enabled: checkbox.checked });
+    }
+    
+    /**
+     * Handle a change to the MIDI port, channel, velocity or internal synth mute
+     * @param {Event} event - The change event; the input's data-midi-setting names the setting
+     */
+    handleMidiSettingChange(event) {
+        const input = event.target;
+        const setting = input.dataset.midiSetting;
+        
+        if (setting === 'channel') {
+            audioEngine.setMidiSettings(input.value === 'per-voice'
+                ? { channelMode: 'per-voice' }
+                : { channelMode: 'single', channel: parseInt(input.value, 10) });
+        } else if (setting === 'velocity') {
+            audioEngine.setMidiSettings({ velocity: parseInt(input.value, 10) || audioEngine.midi.velocity });
+            input.value = audioEngine.midi.velocity;
+        } else if (setting === 'muteInternal') {
+            audioEngine.setMidiSettings({ muteInternal: input.checked });
+        } else {
+            audioEngine.setMidiSettings({ [setting]: input.value });
+        }
+    }
+    
+    /**
+     * Build the mixer panel with a channel strip (mute, solo, level, pan) per voice
+     */
+    buildMixerPanel() {
+        if (!this.mixerPanel) return;
+        
+        this.mixerPanel.innerHTML = '';
+        
+        audioEngine.getVoices().forEach((voice, voiceIndex) => {
+            const strip = document.createElement('div');
+            strip.className = 'mixer-strip';
+            
+            const label = document.createElement('span');
+            label.className = 'mixer-label';
+            label.textContent = voice.note;
+            
+            const muteButton = document.createElement('button');
+            muteButton.className = 'mixer-toggle';
+            muteButton.textContent = 'M';
+            muteButton.title = `Mute ${voice.note}`;
+            muteButton.classList.toggle('active', voice.mute);
+            muteButton.addEventListener('click', () => {
+                audioEngine.setVoiceMute(voiceIndex, !voice.mute);
+                muteButton.classList.toggle('active', voice.mute);
+            });
+            
+            const soloButton = document.createElement('button');
+            soloButton.className = 'mixer-toggle';
+            soloButton.textContent = 'S';
+            soloButton.title = `Solo ${voice.note}`;
+            soloButton.classList.toggle('active', voice.solo);
+            soloButton.addEventListener('click', () => {
+                audioEngine.setVoiceSolo(voiceIndex, !voice.solo);
+                soloButton.classList.toggle('active', voice.solo);
+            });
+            
+            const levelSlider = document.createElement('input');
+            levelSlider.type = 'range';
+            levelSlider.min = '0';
+            levelSlider.max = '1.5';
+            levelSlider.step = '0.01';
+            levelSlider.value = voice.level;
+            levelSlider.title = `${voice.note} level`;
+            levelSlider.addEventListener('input', () => {
+                audioEngine.setVoiceLevel(voiceIndex, parseFloat(levelSlider.value));
+            });
+            
+            const panSlider = document.createElement('input');
+            panSlider.type = 'range';
+            panSlider.min = '-1';
+            panSlider.max = '1';
+            panSlider.step = '0.01';
+            panSlider.value = voice.pan;
+            panSlider.title = `${voice.note} pan`;
+            panSlider.addEventListener('input', () => {
+                audioEngine.setVoicePan(voiceIndex, parseFloat(panSlider.value));
+            });
+            
+            const timbreSelect = document.createElement('select');
+            timbreSelect.title = `${voice.note} sound`;
+            AudioEngine.TIMBRES.forEach(timbre => {
+                const option = document.createElement('option');
+                option.value = timbre;
+                option.textContent = timbre === 'choir' ? 'Choir' : 'Piano';
+                timbreSelect.appendChild(option);
+            });
+            timbreSelect.value = voice.timbre;
+            timbreSelect.addEventListener('change', () => {
+                audioEngine.setVoiceTimbre(voiceIndex, timbreSelect.value);
+            });
+            
+            strip.append(label, muteButton, soloButton, timbreSelect, levelSlider, panSlider);
+            this.mixerPanel.appendChild(strip);
+        });
+    }
+    
+    /**
+     * Handle reverb preset selection
+     * @param {Event} event - The change event on the reverb preset select
+     */
+    handleReverbPresetChange(event) {
+        audioEngine.setReverbPreset(event.target.value).catch(error => {
+            console.error('Failed to switch reverb preset:', error);
+            this.showTemporaryMessage('Could not load that reverb');
+            this.reverbPresetSelect.value = audioEngine.reverbPresetId;
+        });
+    }
+    
+    /**
+     * Fill the loudness target list and select the engine's target
+     */
+    populateLoudnessTargets() {
+        this.loudnessTargetSelect.innerHTML = '';
+        LoudnessStage.TARGETS.forEach(target => {
+            const option = document.createElement('option');
+            option.value = target.id;
+            option.textContent = target.lufs === null ? target.name : `${target.name} (${target.lufs} LUFS)`;
+            this.loudnessTargetSelect.appendChild(option);
+        });
+        this.loudnessTargetSelect.value = audioEngine.loudnessSettings.target;
+    }
+    
+    /**
+     * Handle loudness target selection
+     * @param {Event} event - The change event on the loudness target select
+     */
+    handleLoudnessTargetChange(event) {
+        audioEngine.setLoudnessTarget(event.target.value);
+    }
+    
+    /**
+     * Handle reverb wet/dry slider movement
+     * @param {Event} event - The input event on the reverb mix slider
+     */
+    handleReverbMixInput(event) {
+        audioEngine.setReverbMix(parseFloat(event.target.value));
+    }
+    
+    /**
+     * Handle export button click
+     * Renders the current arrangement offline and downloads it as a WAV file
+     */
+    async handleExportClick() {
+        const minutes = parseInt(this.exportDurationSelect.value, 10);
+        const bitDepth = parseInt(this.exportBitDepthSelect.value, 10);
+        
+        this.exportButton.disabled = true;
+        this.exportButton.textContent = 'Rendering...';
+        
+        try {
+            const normalize = Boolean(this.exportNormalizeToggle && this.exportNormalizeToggle.checked);
+            const wavBlob = await this.offlineRenderer.renderToWav(minutes * 60, bitDepth, normalize);
+            this.downloadBlob(wavBlob, `eno-2-1-${audioEngine.seed}-${minutes}min-${bitDepth}bit.wav`);
+            this.showTemporaryMessage('Export complete');
+        } catch (error) {
+            console.error('Failed to export WAV:', error);
+            this.showTemporaryMessage('Export failed', 3000);
+        } finally {
+            this.exportButton.disabled = false;
+            this.exportButton.textContent = 'Export WAV';
+        }
+    }
+    
+    /**
+     * Handle MIDI export button click
+     * Writes the notes between the chosen start and end minutes to a MIDI file and downloads it
+     */
+    handleMidiExportClick() {
+        const startMinutes = parseFloat(this.midiExportStartInput.value);
+        const endMinutes = parseFloat(this.midiExportEndInput.value);
+        
+        if (!(startMinutes >= 0) || !(endMinutes > startMinutes)) {
+            this.showTemporaryMessage('Choose an end after the start', 3000);
+            return;
+        }
+        
+        try {
+            const midiBlob = this.offlineRenderer.renderToMidi(startMinutes * 60, endMinutes * 60);
+            this.downloadBlob(midiBlob, `eno-2-1-${audioEngine.seed}-${startMinutes}-${endMinutes}min.mid`);
+            this.showTemporaryMessage('Export complete');
+        } catch (error) {
+            console.error('Failed to export MIDI:', error);
+            this.showTemporaryMessage('Export failed', 3000);
+        }
+    }
+    
+    /**
+     * Fill the recording format list with the formats this browser can record
+     */
+    populateRecordingFormats() {
+        const formats = LiveRecorder.getSupportedFormats();
+        this.recordFormatSelect.innerHTML = '';
+        formats.forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.id;
+            option.textContent = format.name;
+            this.recordFormatSelect.appendChild(option);
+        });
+        
+        if (formats.length === 0) {
+            this.recordFormatSelect.disabled = true;
+            this.recordButton.title = 'Recording is not supported in this browser';
+        }
+    }
+    
+    /**
+     * Handle record button click
+     * Starts recording what is playing in the chosen format
+     */
+    handleRecordClick() {
+        try {
+            audioEngine.recorder.start(this.recordFormatSelect.value);
+        } catch (error) {
+            console.error('Failed to start recording:', error);
+            this.showTemporaryMessage('Could not start recording', 3000);
+            return;
+        }
+        
+        this.recordButton.disabled = true;
+        this.recordFormatSelect.disabled = true;
+        this.stopRecordingButton.disabled = false;
+    }
+    
+    /**
+     * Handle stop recording button click; the file is saved once the recorder has finished
+     */
+    handleStopRecordingClick() {
+        this.stopRecordingButton.disabled = true;
+        audioEngine.recorder.stop();
+    }
+    
+    /**
+     * Show how long the recording has been going
+     * @param {RecordingTickEvent} event - The seconds recorded, or null when not recording
+     */
+    handleRecordingTick({ elapsed }) {
+        if (!this.recordingTime) return;
+        
+        if (elapsed === null) {
+            this.recordingTime.textContent = '';
+        } else {
+            const seconds = Math.floor(elapsed);
+            this.recordingTime.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        }
+    }
+    
+    /**
+     * Save a finished recording and get the buttons ready for the next one
+     * @param {RecordingEvent} event - The recording and its file name
+     */
+    handleRecordingStopped({ blob, fileName }) {
+        this.downloadBlob(blob, fileName);
+        this.showTemporaryMessage('Recording saved');
+        
+        if (this.recordButton) {
+            this.recordButton.disabled = false;
+            this.recordFormatSelect.disabled = false;
+            this.stopRecordingButton.disabled = true;
+        }
+    }
+    
+    /**
+     * Offer a blob to the user as a file download
+     * @param {Blob} blob - The file contents
+     * @param {string} fileName - The suggested file name
+     */
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // Give the browser time to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+    
     /**
      * Show or hide loading indicator
      * @param {boolean} isLoading - Whether to show loading indicator
@@ -534,6 +1816,12 @@ class UIControls {
      * @param {KeyboardEvent} event - The keyboard event
      */
     handleKeyDown(event) {
+        // Leave keys typed into form fields and buttons alone; Space types a space or presses the button
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(target.tagName))) {
+            return;
+        }
+        
         // Check if the space bar was pressed
         if (event.code === 'Space' || event.key === ' ') {
             // Prevent default space bar behavior (scrolling)
@@ -26,6 +26,10 @@ class Visualization {
         this.dotRadius = 8;
         this.playheadWidth = 2;
         
+        // Orbits ease to their new sizes when voices are added or removed
+        this.orbitEaseTime = 1.5; // seconds
+        this.lastFrameTime = null;
+        
         // Bind methods
         this.draw = this.draw.bind(this);
         this.startAnimation = this.startAnimation.bind(this);
@@ -56,6 +60,38 @@ class Visualization {
         
         // Initial draw
         this.draw();
+        
+        // Follow playback, seeks and changes to the voices
+        this.subscribeToEngine();
+    }
+    
+    /**
+     * Subscribe to the audio engine events the visualization follows
+     */
+    subscribeToEngine() {
+        audioEngine.on('play', this.startAnimation);
+        audioEngine.on('pause', this.stopAnimation);
+        audioEngine.on('noteStarted', event => this.onNoteStart(event.voiceIndex, event.time));
+        
+        // A new arrangement or score changes the offsets and possibly the voices themselves
+        audioEngine.on('arrangementChanged', event => this.setVoices(event.voices));
+        
+        // Evolution adds and removes voices while playing
+        audioEngine.on('voicesChanged', event => this.updateVoices(event.voices));
+        
+        // While playing the animation picks up these changes by itself; while paused, redraw
+        const redrawIfPaused = () => {
+            if (!this.isAnimating) {
+                this.draw();
+            }
+        };
+        audioEngine.on('seek', redrawIfPaused);
+        audioEngine.on('settingsChanged', event => {
+            // Mute and solo change which dots are drawn hollow, and living mode where they are
+            if (event.setting === 'mute' || event.setting === 'solo' || event.setting === 'living') {
+                redrawIfPaused();
+            }
+        });
     }
     
     /**
@@ -68,17 +104,17 @@ class Visualization {
         // We just need to make sure they're properly initialized for the visualization
         let offsetsChanged = false;
         
-        this.voices.forEach(voice => {
-            if (typeof voice.randomOffset === 'undefined') {
-                // If the audio engine hasn't generated random offsets yet (e.g., before playback starts),
-                // initialize with a random value for the initial visualization
-                voice.randomOffset = Math.random() * voice.loopDuration;
-                console.log(`Voice ${voice.note}: initialized random offset ${voice.randomOffset.toFixed(2)}s for visualization`);
-                offsetsChanged = true;
-            } else {
+        if (this.voices.some(voice => typeof voice.randomOffset === 'undefined')) {
+            // If the audio engine hasn't generated random offsets yet (e.g., before playback starts),
+            // have it derive them from the arrangement seed so the visualization matches the audio
+            audioEngine.generateRandomStartTimes();
+            console.log(`Initialized random offsets for visualization from seed "${audioEngine.seed}"`);
+            offsetsChanged = true;
+        } else {
+            this.voices.forEach(voice => {
                 console.log(`Voice ${voice.note}: using audio engine random offset ${voice.randomOffset.toFixed(2)}s`);
-            }
-        });
+            });
+        }
         
         // If offsets changed or force update is requested, redraw the visualization
         if (offsetsChanged || forceUpdate) {
@@ -121,27 +157,59 @@ class Visualization {
      * with longest duration furthest from center
      */
     calculateOrbitRadii() {
-        // Number of voices
-        const voiceCount = this.voices.length;
-        
-        // Calculate equidistant radii
-        const minRadius = this.maxRadius * 0.2; // Minimum radius is 20% of max
-        const radiusStep = (this.maxRadius - minRadius) / (voiceCount - 1);
+        // The audio engine ranks the orbits (the spatial audio distances use the same ranking)
+        this.voices.forEach(voice => {
+            // Longest duration gets the largest radius (maxRadius), shortest the smallest (20% of max)
+            voice.orbitTarget = this.maxRadius * audioEngine.getOrbitFraction(voice);
+            voice.orbitRadius = voice.orbitTarget;
+            
+            console.log(`Voice ${voice.note}: loop duration ${voice.loopDuration}s, orbit radius ${voice.orbitRadius.toFixed(1)} (equidistant, by duration)`);
+        });
+    }
+    
+    /**
+     * Replace the voices being drawn, e.g. after a new score is loaded
+     * @param {Array} voices - The voices from the audio engine
+     */
+    setVoices(voices) {
+        this.voices = voices;
+        this.calculateOrbitRadii();
+        this.calculateInitialOffsets(true);
+    }
+    
+    /**
+     * Follow voices being added or removed, letting the orbits ease to their new sizes
+     * New orbits start at their own size and fade in as their voices do
+     * @param {Array} voices - The voices from the audio engine
+     */
+    updateVoices(voices) {
+        this.voices = voices;
+        this.voices.forEach(voice => {
+            voice.orbitTarget = this.maxRadius * audioEngine.getOrbitFraction(voice);
+            if (typeof voice.orbitRadius !== 'number') {
+                voice.orbitRadius = voice.orbitTarget;
+            }
+        });
         
-        // Sort voices by loop duration (longest first)
-        const sortedVoices = [...this.voices].sort((a, b) => b.loopDuration - a.loopDuration);
+        if (!this.isAnimating) {
+            this.draw();
+        }
+    }
+    
+    /**
+     * Move each orbit part of the way to its target size, by how long the last frame took
+     * While paused there is no animation, so orbits go straight to their size
+     */
+    easeOrbits() {
+        const now = performance.now();
+        const elapsed = this.lastFrameTime === null ? 0 : (now - this.lastFrameTime) / 1000;
+        this.lastFrameTime = now;
         
-        // Assign equidistant radii with longest duration furthest from center
-        sortedVoices.forEach((voice, index) => {
-            // Find the original voice in the voices array
-            const voiceIndex = this.voices.findIndex(v => v.note === voice.note);
-            
-            // Assign radius - longest duration gets largest radius (reverse the index)
-            // Index 0 (longest duration) should get the largest radius (maxRadius)
-            // Last index (shortest duration) should get the smallest radius (minRadius)
-            this.voices[voiceIndex].orbitRadius = this.maxRadius - (index * radiusStep);
-            
-            console.log(`Voice ${voice.note}: loop duration ${voice.loopDuration}s, orbit radius ${this.voices[voiceIndex].orbitRadius.toFixed(1)} (equidistant, by duration)`);
+        const step = this.isAnimating ? 1 - Math.exp(-elapsed / this.orbitEaseTime) : 1;
+        this.voices.forEach(voice => {
+            if (typeof voice.orbitTarget === 'number') {
+                voice.orbitRadius += (voice.orbitTarget - voice.orbitRadius) * step;
+            }
         });
     }
     
@@ -149,6 +217,8 @@ class Visualization {
      * Draw the visualization
      */
     draw() {
+        this.easeOrbits();
+        
         // Clear the canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
@@ -183,13 +253,15 @@ class Visualization {
             // Use a consistent thin line for all orbits
             const lineWidth = 1;
             
-            // Draw orbit in black
+            // Draw orbit in black, faded along with a voice evolution is bringing in or retiring
+            this.ctx.globalAlpha = audioEngine.getVoiceFade(voice);
             this.ctx.beginPath();
             this.ctx.arc(this.centerX, this.centerY, voice.orbitRadius, 0, Math.PI * 2);
             this.ctx.strokeStyle = '#000000'; // Black
             this.ctx.lineWidth = lineWidth;
             this.ctx.stroke();
         });
+        this.ctx.globalAlpha = 1;
     }
     
     /**
@@ -212,20 +284,19 @@ class Visualization {
      */
     drawDots() {
         if (!audioEngine.isPlaying) {
-            // Even when not playing, we should position the dots according to their random offsets
-            console.log('Not playing, drawing dots at their random offset positions');
+            // Even when not playing, position the dots where the piece was paused (or seeked to)
+            console.log('Not playing, drawing dots at their paused positions');
+            const pausedTime = audioEngine.getCurrentTime();
             this.voices.forEach(voice => {
-                // Calculate position based on random offset
-                const randomPosition = (voice.randomOffset || 0) / voice.loopDuration;
-                // Invert the position for counterclockwise movement
-                const loopPosition = 1 - randomPosition;
-                const angle = (loopPosition * Math.PI * 2) + this.playheadAngle;
+                const angle = audioEngine.getVoiceAngle(voice, pausedTime, this.playheadAngle);
                 
                 const dotX = this.centerX + Math.cos(angle) * voice.orbitRadius;
                 const dotY = this.centerY + Math.sin(angle) * voice.orbitRadius;
                 
-                this.drawDot(dotX, dotY, voice.color);
+                this.ctx.globalAlpha = audioEngine.getVoiceFade(voice);
+                this.drawDot(dotX, dotY, voice.color, !audioEngine.isVoiceAudible(voice));
             });
+            this.ctx.globalAlpha = 1;
             return;
         }
         
@@ -238,40 +309,36 @@ class Visualization {
             
             // Log each voice's position
             this.voices.forEach((voice, index) => {
-                const loopPosition = (currentTime % voice.loopDuration) / voice.loopDuration;
-                console.log(`Voice ${index} (${voice.note}): ${(loopPosition * 100).toFixed(1)}% through its ${voice.loopDuration}s loop`);
+                const loopPosition = audioEngine.getLoopPosition(voice, currentTime);
+                console.log(`Voice ${index} (${voice.note}): ${(loopPosition * 100).toFixed(1)}% through its ${audioEngine.getScaledLoopDuration(voice).toFixed(1)}s loop`);
             });
         }
         
         // Draw each voice's dot
         this.voices.forEach((voice, index) => {
-            // Get the random offset for this voice
-            const randomOffset = voice.randomOffset || 0;
-            
-            // Calculate the adjusted elapsed time (accounting for random offset)
-            // This exactly matches the calculation in the audio engine
-            const adjustedElapsedTime = currentTime + randomOffset;
-            
-            // Calculate the loop position (0-1 range)
-            // We need to invert the direction to match the audio scheduling
-            // The playhead is fixed, so dots move counterclockwise
-            const loopPosition = 1 - ((adjustedElapsedTime % voice.loopDuration) / voice.loopDuration);
-            const angle = (loopPosition * Math.PI * 2) + this.playheadAngle;
+            // The audio engine computes the phase (accounting for the random offset),
+            // so the dots, the notes and the spatial panners all agree
+            const loopPosition = 1 - audioEngine.getLoopPosition(voice, currentTime);
+            const angle = audioEngine.getVoiceAngle(voice, currentTime, this.playheadAngle);
             
             const dotX = this.centerX + Math.cos(angle) * voice.orbitRadius;
             const dotY = this.centerY + Math.sin(angle) * voice.orbitRadius;
             
-            // Draw the dot
-            this.drawDot(dotX, dotY, voice.color);
+            // Draw the dot (hollow when the voice is muted or silenced by a solo, faded while evolution fades the voice)
+            const isSilent = !audioEngine.isVoiceAudible(voice);
+            this.ctx.globalAlpha = audioEngine.getVoiceFade(voice);
+            this.drawDot(dotX, dotY, voice.color, isSilent);
             
             // Draw a pulse effect when a note is played (when dot crosses playhead)
             // Use a very tight threshold to ensure pulses happen exactly at the playhead
             // The playhead is at loopPosition = 0 or 1
+            // Silent voices don't pulse
             const distanceFromPlayhead = Math.min(loopPosition, 1 - loopPosition);
-            if (distanceFromPlayhead < 0.005) { // Much tighter threshold (0.5% of the loop)
+            if (!isSilent && distanceFromPlayhead < 0.005) { // Much tighter threshold (0.5% of the loop)
                 this.drawPulse(dotX, dotY, voice.color, distanceFromPlayhead);
             }
         });
+        this.ctx.globalAlpha = 1;
     }
     
     /**
@@ -279,8 +346,9 @@ class Visualization {
      * @param {number} x - The x coordinate
      * @param {number} y - The y coordinate
      * @param {string} color - The dot color (ignored, using black)
+     * @param {boolean} hollow - Draw only the outline, for voices that can't be heard
      */
-    drawDot(x, y, color) {
+    drawDot(x, y, color, hollow = false) {
         // Draw outer circle
         this.ctx.beginPath();
         this.ctx.arc(x, y, this.dotRadius * 1.5, 0, Math.PI * 2);
@@ -288,11 +356,15 @@ class Visualization {
         this.ctx.lineWidth = 1;
         this.ctx.stroke();
         
-        // Draw solid dot
+        // Draw solid dot, or just its outline when hollow
         this.ctx.beginPath();
         this.ctx.arc(x, y, this.dotRadius, 0, Math.PI * 2);
-        this.ctx.fillStyle = '#000000'; // Black
-        this.ctx.fill();
+        if (hollow) {
+            this.ctx.stroke();
+        } else {
+            this.ctx.fillStyle = '#000000'; // Black
+            this.ctx.fill();
+        }
     }
     
     /**
@@ -0,0 +1,126 @@
+/**
+ * WAV Encoder for Brian Eno's "2/1" Web Recreation
+ * Encodes rendered audio as 16- or 24-bit PCM WAV files, whole or a piece at a time
+ */
+
+class WavEncoder {
+    /**
+     * Encode an audio buffer as a PCM WAV file
+     * @param {AudioBuffer} audioBuffer - The audio to encode
+     * @param {number} bitDepth - Bits per sample (16 or 24)
+     * @returns {ArrayBuffer} The WAV file contents
+     */
+    static encode(audioBuffer, bitDepth = 16) {
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+
+        const header = WavEncoder.createHeader(audioBuffer.length, channels.length, audioBuffer.sampleRate, bitDepth);
+        const samples = WavEncoder.encodeSamples(channels, bitDepth);
+
+        const bytes = new Uint8Array(header.byteLength + samples.byteLength);
+        bytes.set(new Uint8Array(header), 0);
+        bytes.set(new Uint8Array(samples), header.byteLength);
+        return bytes.buffer;
+    }
+
+    /**
+     * Create the header of a PCM WAV file
+     * Only the length is needed, so long files can be written a piece at a time after it
+     * @param {number} frameCount - Number of samples per channel the file will hold
+     * @param {number} numberOfChannels - Number of channels
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} bitDepth - Bits per sample (16 or 24)
+     * @returns {ArrayBuffer} The 44-byte header
+     */
+    static createHeader(frameCount, numberOfChannels, sampleRate, bitDepth = 16) {
+        WavEncoder.checkBitDepth(bitDepth);
+
+        const blockAlign = numberOfChannels * bitDepth / 8;
+        const dataSize = frameCount * blockAlign;
+
+        const arrayBuffer = new ArrayBuffer(44);
+        const view = new DataView(arrayBuffer);
+
+        // RIFF header
+        WavEncoder.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        WavEncoder.writeString(view, 8, 'WAVE');
+
+        // Format chunk (PCM)
+        WavEncoder.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, numberOfChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+
+        // Data chunk
+        WavEncoder.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        return arrayBuffer;
+    }
+
+    /**
+     * Encode samples as interleaved PCM, the contents of a WAV file's data chunk
+     * @param {Array<Float32Array>} channels - Each channel's samples, all the same length
+     * @param {number} bitDepth - Bits per sample (16 or 24)
+     * @returns {ArrayBuffer} The PCM data
+     */
+    static encodeSamples(channels, bitDepth = 16) {
+        WavEncoder.checkBitDepth(bitDepth);
+
+        const length = channels.length > 0 ? channels[0].length : 0;
+        const bytesPerSample = bitDepth / 8;
+        const arrayBuffer = new ArrayBuffer(length * channels.length * bytesPerSample);
+        const view = new DataView(arrayBuffer);
+
+        // Interleave the channels, clamping and scaling each sample to a signed integer
+        const maxPositive = Math.pow(2, bitDepth - 1) - 1;
+        const maxNegative = Math.pow(2, bitDepth - 1);
+        let offset = 0;
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < channels.length; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                const value = Math.round(sample < 0 ? sample * maxNegative : sample * maxPositive);
+
+                if (bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    view.setUint8(offset, value & 0xff);
+                    view.setUint8(offset + 1, (value >> 8) & 0xff);
+                    view.setUint8(offset + 2, (value >> 16) & 0xff);
+                }
+                offset += bytesPerSample;
+            }
+        }
+
+        return arrayBuffer;
+    }
+
+    /**
+     * Reject bit depths the encoder can't write
+     * @param {number} bitDepth - Bits per sample
+     */
+    static checkBitDepth(bitDepth) {
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+        }
+    }
+
+    /**
+     * Write an ASCII string into a DataView
+     * @param {DataView} view - The view to write into
+     * @param {number} offset - The byte offset
+     * @param {string} text - The string to write
+     */
+    static writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+}
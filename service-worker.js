@@ -9,6 +9,26 @@ const ASSETS_TO_CACHE = [
   '/index.html',
   '/styles/main.css',
   '/scripts/main.js',
+  '/scripts/event-emitter.js',
+  '/scripts/seeded-random.js',
+  '/scripts/score.js',
+  '/scripts/tuning.js',
+  '/scripts/sample-bank.js',
+  '/scripts/reverb.js',
+  '/scripts/wav-encoder.js',
+  '/scripts/midi-file-encoder.js',
+  '/scripts/offline-renderer.js',
+  '/scripts/convergence.js',
+  '/scripts/spatial-audio.js',
+  '/scripts/tape-machine.js',
+  '/scripts/binaural-beats.js',
+  '/scripts/choir-voice.js',
+  '/scripts/sleep-timer.js',
+  '/scripts/loudness-stage.js',
+  '/scripts/evolution.js',
+  '/scripts/live-recorder.js',
+  '/scripts/midi-output.js',
+  '/scripts/scheduler-clock.js',
   '/scripts/audio-engine.js',
   '/scripts/visualization.js',
   '/scripts/ui-controls.js'
@@ -119,6 +119,297 @@ function runTests() {
         'Generating random offsets again should produce different values'
     );
     
+    // Test 8: Seeded arrangements are reproducible
+    engine.generateRandomStartTimes(true, 'airport');
+    const seededOffsets = engine.voices.map(voice => voice.randomOffset);
+    engine.generateRandomStartTimes(true);
+    engine.generateRandomStartTimes(true, 'airport');
+    const reseededOffsets = engine.voices.map(voice => voice.randomOffset);
+    
+    assert(
+        engine.seed === 'airport' &&
+        seededOffsets.every((offset, index) => offset === reseededOffsets[index]),
+        'The same seed should reproduce the same random offsets'
+    );
+    
+    // Test 9: Per-note detune is drawn from the seed
+    const detune = engine.getNoteDetune(2, 5);
+    assert(
+        detune >= -5 && detune <= 5 &&
+        engine.getNoteDetune(2, 5) === detune &&
+        engine.getNoteDetune(2, 6) !== detune,
+        'Note detune should be within ±5 cents and reproducible for the same voice and loop'
+    );
+    
+    // Test 10: Seeking while paused moves the position the piece resumes from
+    engine.seek(7200);
+    const seekedVoice = engine.voices[0];
+    const expectedPosition = ((7200 + seekedVoice.randomOffset) % seekedVoice.loopDuration) / seekedVoice.loopDuration;
+    assert(
+        engine.getCurrentTime() === 7200 &&
+        Math.abs(engine.getLoopPosition(seekedVoice) - expectedPosition) < 1e-9,
+        'Seeking while paused should set the position and phase playback resumes from'
+    );
+    
+    // Test 11: Changing the time scale keeps each voice's phase and stretches its loop
+    const phaseBefore = engine.getLoopPosition(seekedVoice);
+    engine.setTimeScale(2);
+    assert(
+        engine.getCurrentTime() === 7200 &&
+        engine.getLoopPosition(seekedVoice) === phaseBefore &&
+        engine.getScaledLoopDuration(seekedVoice) === seekedVoice.loopDuration * 2,
+        'Changing the time scale should keep the phase and stretch the loop duration'
+    );
+    engine.setTimeScale(1);
+    
+    // Test 12: Transposition moves every voice within the tuning
+    const frequencyBefore = engine.voices[0].frequency;
+    engine.setTransposition(12);
+    assert(
+        Math.abs(engine.voices[0].frequency - frequencyBefore * 2) < 1e-9,
+        'Transposing by 12 semitones should double every voice frequency'
+    );
+    engine.setTransposition(0);
+    
+    // Test 13: The sleep timer counts down and can be cancelled
+    engine.setSleepTimer(30, 45);
+    const remaining = engine.sleepTimer.getRemaining();
+    const fadeDuration = engine.sleepTimer.fadeDuration;
+    engine.setSleepTimer(null);
+    assert(
+        remaining > 30 * 60 - 5 && remaining <= 30 * 60 &&
+        fadeDuration === 30 * 60 &&
+        !engine.sleepTimer.isActive() && engine.sleepTimer.getRemaining() === null,
+        'The sleep timer should count down from its length, keep the fade within it and turn off when cancelled'
+    );
+    
+    // Test 14: Restarting the sleep timer during its fade keeps the level from before it
+    const automation = [];
+    const fakeGain = { value: 0.7 };
+    ['cancelScheduledValues', 'setValueAtTime', 'linearRampToValueAtTime', 'setValueCurveAtTime'].forEach(method => {
+        fakeGain[method] = (value, time) => automation.push({ method: method, value: value, time: time });
+    });
+    const timer = new SleepTimer({
+        masterGain: { gain: fakeGain },
+        audioContext: { currentTime: 0 },
+        emit: () => {}
+    });
+    timer.start(30, 30);
+    fakeGain.value = 0.3; // part-way down the fade
+    automation.length = 0;
+    timer.start(30, 10);
+    const rampBack = automation.find(event => event.method === 'linearRampToValueAtTime');
+    const restartLevel = timer.level;
+    timer.cancel();
+    const restoredTo = automation[automation.length - 1].value;
+    assert(
+        restartLevel === 0.7 && rampBack.value === 0.7 && restoredTo === 0.7,
+        'A timer restarted during its fade should fade and restore from the level before the first'
+    );
+    
+    // Test 15: Events reach every subscriber, once() fires a single time and off() unsubscribes
+    const received = [];
+    const first = event => received.push(`first:${event.setting}`);
+    engine.on('settingsChanged', first);
+    const unsubscribe = engine.on('settingsChanged', event => received.push(`second:${event.setting}`));
+    engine.once('settingsChanged', event => received.push(`once:${event.setting}`));
+    engine.setTransposition(2);
+    engine.off('settingsChanged', first);
+    unsubscribe();
+    engine.setTransposition(0);
+    assert(
+        received.join(',') === 'first:transposition,second:transposition,once:transposition',
+        'Every listener should receive an event, once() only the first and none after unsubscribing'
+    );
+    
+    // Test 16: The look-ahead grows while hidden and with late scheduler ticks, up to a limit
+    const visibleAhead = engine.getScheduleAheadTime(false);
+    const hiddenAhead = engine.getScheduleAheadTime(true);
+    engine.tickGap = 3;
+    const lateAhead = engine.getScheduleAheadTime(false);
+    engine.tickGap = 60;
+    const cappedAhead = engine.getScheduleAheadTime(true);
+    engine.tickGap = 0;
+    assert(
+        visibleAhead === engine.scheduleAheadTime &&
+        hiddenAhead === engine.hiddenScheduleAheadTime &&
+        lateAhead === 6 &&
+        cappedAhead === engine.maxScheduleAheadTime,
+        'The look-ahead should be longer while hidden, cover twice the tick gap and stay within its maximum'
+    );
+    
+    // Test 17: Finished notes release their nodes and the registry stays within its bound
+    const makeNote = () => {
+        const node = { disconnected: false, disconnect() { this.disconnected = true; }, stop() {} };
+        engine.liveNodeCount += 1;
+        return { source: node, time: 0, stopTime: 1, nodes: [node] };
+    };
+    engine.maxScheduledNotes = 2;
+    const notes = [makeNote(), makeNote(), makeNote()];
+    notes.forEach(note => engine.trackNote(note));
+    const afterBound = engine.getNodeStats();
+    engine.releaseNote(notes[1]);
+    engine.releaseNote(notes[1]);
+    engine.stopScheduledNotes();
+    engine.maxScheduledNotes = 128;
+    assert(
+        afterBound.scheduledNotes === 2 && afterBound.liveNodes === 2 &&
+        notes.every(note => note.source.disconnected) &&
+        engine.getNodeStats().liveNodes === 0 && engine.getNodeStats().scheduledNotes === 0,
+        'Notes should be disconnected when released, once only, and the oldest stopped when the registry is full'
+    );
+    
+    // Test 18: Voices switch between the piano and the choir, and only known vowels are accepted
+    engine.setVoiceTimbre(1, 'choir');
+    engine.setChoirSettings({ vowel: 'mm' });
+    let rejected = 0;
+    try { engine.setVoiceTimbre(1, 'organ'); } catch (e) { rejected++; }
+    try { engine.setChoirSettings({ vowel: 'eee' }); } catch (e) { rejected++; }
+    assert(
+        engine.voices[1].timbre === 'choir' && engine.voices[0].timbre === 'piano' &&
+        engine.choirSettings.vowel === 'mm' && rejected === 2,
+        'A voice should take the chosen timbre and unknown timbres and vowels should be rejected'
+    );
+    engine.setVoiceTimbre(1, 'piano');
+    engine.setChoirSettings({ vowel: 'aah' });
+    
+    // Test 19: Living mode moves notes reproducibly and dots still cross the playhead as they sound
+    engine.generateRandomStartTimes(true, 'living');
+    const livingVoice = engine.voices[3];
+    const gridPosition = engine.getNotePosition(livingVoice, 40);
+    engine.setLivingSettings({ enabled: true, drift: 1, jitter: 0.05 });
+    const livingPosition = engine.getNotePosition(livingVoice, 40);
+    const livingInOrder = [39, 40, 41].every(loop =>
+        engine.getNotePosition(livingVoice, loop) < engine.getNotePosition(livingVoice, loop + 1));
+    const crossing = engine.getLoopPosition(livingVoice, livingPosition);
+    const justBefore = engine.getLoopPosition(livingVoice, livingPosition - 0.01);
+    engine.generateRandomStartTimes(true, 'living');
+    const repeatedPosition = engine.getNotePosition(livingVoice, 40);
+    engine.setLivingSettings({ enabled: false });
+    assert(
+        engine.livingSettings.drift === 0.03 &&
+        livingPosition !== gridPosition && repeatedPosition === livingPosition && livingInOrder &&
+        crossing === 0 && justBefore > 0.99 && justBefore < 1 &&
+        engine.getNotePosition(livingVoice, 40) === gridPosition,
+        'Living notes should be clamped, seeded and in order, with each dot at the playhead exactly when its note plays'
+    );
+    
+    // Test 20: Recordings are named after their arrangement and start time, and unknown formats are refused
+    const recorder = engine.recorder;
+    let refused = false;
+    try { recorder.start('flac'); } catch (e) { refused = true; }
+    recorder.seed = 'airport';
+    recorder.startTime = new Date(2024, 4, 1, 21, 30, 5).getTime();
+    recorder.format = LiveRecorder.FORMATS.find(format => format.id === 'ogg');
+    const fileName = recorder.getFileName();
+    recorder.startTime = null;
+    recorder.format = null;
+    assert(
+        refused && !recorder.isRecording() &&
+        fileName === 'eno-2-1-airport-2024-05-01-213005.ogg',
+        'A recording should be named with its seed and start time, and an unknown format should be refused'
+    );
+    
+    // Test 21: Convergence settings are clamped to their ranges and announced
+    let convergenceChange = null;
+    const stopListening = engine.on('settingsChanged', change => { convergenceChange = change; });
+    engine.setConvergenceSettings({ minVoices: 4.6, tolerance: 60 });
+    stopListening();
+    assert(
+        engine.convergenceSettings.minVoices === 5 && engine.convergenceSettings.tolerance === 5 &&
+        convergenceChange.setting === 'convergence' && convergenceChange.value.tolerance === 5,
+        'Convergence settings should be rounded and clamped, and reported as a settings change'
+    );
+    engine.setConvergenceSettings({ minVoices: 3, tolerance: 0.5 });
+    
+    // Test 22: A stalled scheduler catches up on every crossing it missed, each at its own time
+    const playVoiceNote = engine.playVoiceNote;
+    const caughtUp = [];
+    engine.playVoiceNote = (voice, voiceIndex, time, loop) => {
+        caughtUp.push({ voice: voice, time: time, loop: loop });
+        return {};
+    };
+    const stalledVoice = engine.voices[0];
+    const missed = engine.catchUpNotes(0, stalledVoice.loopDuration * 3);
+    engine.playVoiceNote = playVoiceNote;
+    const stalledCrossings = caughtUp.filter(note => note.voice === stalledVoice);
+    assert(
+        missed === caughtUp.length && stalledCrossings.length >= 3 &&
+        stalledCrossings.every(note => note.time === engine.toContextTime(engine.getNotePosition(stalledVoice, note.loop))),
+        'Catching up should schedule every missed crossing at its own time, not only the latest'
+    );
+    
+    // Test 23: MIDI notes follow the mixer: mute and solo stop them and the level scales their velocity
+    const midiSent = [];
+    const midiPlayNote = engine.midi.playNote;
+    const synthPlayNote = engine.playNote;
+    engine.midi.playNote = (voiceIndex, frequency, detune, time, duration, velocityScale) => {
+        midiSent.push({ voiceIndex: voiceIndex, velocityScale: velocityScale });
+        return { stop() {} };
+    };
+    engine.playNote = () => null;
+    engine.setVoiceLevel(0, 0.5);
+    engine.playVoiceNote(engine.voices[0], 0, 0, 1);
+    engine.setVoiceMute(0, true);
+    engine.playVoiceNote(engine.voices[0], 0, 0, 1);
+    engine.setVoiceMute(0, false);
+    engine.setVoiceSolo(1, true);
+    engine.playVoiceNote(engine.voices[0], 0, 0, 1);
+    engine.setVoiceSolo(1, false);
+    engine.setVoiceLevel(0, 1);
+    engine.stopScheduledNotes();
+    engine.midi.playNote = midiPlayNote;
+    engine.playNote = synthPlayNote;
+    assert(
+        midiSent.length === 1 && midiSent[0].velocityScale === 0.5,
+        'MIDI notes should be skipped for muted or unsoloed voices and scaled by the channel level'
+    );
+    
+    // Test 24: MIDI messages wait for the send horizon, so a cancelled note sends nothing stale
+    const portMessages = [];
+    const midi = new MidiOutput({ audioContext: { currentTime: 0 } });
+    midi.enabled = true;
+    midi.output = { id: 'test', send: message => portMessages.push(message) };
+    midi.sendUntil(0.3);
+    const upcoming = midi.playNote(0, 440, 0, 5, 2);
+    const heldBack = portMessages.length;
+    upcoming.stop();
+    midi.sendUntil(10);
+    const afterCancel = portMessages.length;
+    const sounding = midi.playNote(0, 440, 0, 9.9, 2);
+    const sentOn = portMessages.length;
+    sounding.stop();
+    midi.sendUntil(20);
+    assert(
+        heldBack === 0 && afterCancel === 0 && sentOn === 2 &&
+        portMessages.length === 3 && (portMessages[2][0] & 0xF0) === 0x80,
+        'MIDI should hold notes back until they are due, and a stopped note should send one note-off only'
+    );
+    
+    // Test 25: Living changes while playing keep the crossings around the playhead and ease in from there
+    engine.setLivingSettings({ enabled: true, drift: 0.005 });
+    engine.audioContext = { currentTime: 500 };
+    engine.startTime = 0;
+    engine.isPlaying = true;
+    engine.scheduledUntil = 500;
+    const easedVoice = engine.voices[2];
+    const nextLoop = engine.getFirstLoopFrom(easedVoice, 500);
+    const aroundBefore = [nextLoop - 1, nextLoop].map(loop => engine.getNotePosition(easedVoice, loop));
+    const easedPhaseBefore = engine.getLoopPosition(easedVoice);
+    engine.setLivingSettings({ drift: 0.03, jitter: 0.1 });
+    const aroundAfter = [nextLoop - 1, nextLoop].map(loop => engine.getNotePosition(easedVoice, loop));
+    const settledLoop = nextLoop + engine.livingEaseLoops;
+    const settled = engine.getNotePosition(easedVoice, settledLoop) === engine.getLivingNotePosition(easedVoice, settledLoop);
+    const easedPhaseAfter = engine.getLoopPosition(easedVoice);
+    engine.isPlaying = false;
+    engine.audioContext = null;
+    engine.setLivingSettings({ enabled: false, drift: 0.005, jitter: 0.02 });
+    assert(
+        aroundAfter[0] === aroundBefore[0] && aroundAfter[1] === aroundBefore[1] &&
+        easedPhaseAfter === easedPhaseBefore && settled && easedVoice.livingAnchor === null,
+        'A living change while playing should leave the crossings around the playhead in place and settle within the easing'
+    );
+    
     // Summary
     console.log(`\nTests completed: ${passedTests} passed, ${totalTests - passedTests} failed`);
     
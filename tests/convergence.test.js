@@ -0,0 +1,106 @@
+/**
+ * Tests for the Convergence Predictor
+ *
+ * These are simple tests to verify when voices are predicted to coincide.
+ * In a production environment, you would use a proper testing framework like Jest.
+ */
+
+// Simple test runner
+function runTests() {
+    console.log('Running Convergence Tests...');
+
+    let passedTests = 0;
+    let totalTests = 0;
+
+    function assert(condition, message) {
+        totalTests++;
+        if (condition) {
+            console.log(`✓ PASS: ${message}`);
+            passedTests++;
+        } else {
+            console.error(`✗ FAIL: ${message}`);
+        }
+    }
+
+    function near(a, b) {
+        return Math.abs(a - b) < 1e-6;
+    }
+
+    // Voices that meet every 60 seconds: 10 and 20 second loops with no offset, and a 30 second loop
+    const a = { note: 'A', loopDuration: 10, randomOffset: 0 };
+    const b = { note: 'B', loopDuration: 20, randomOffset: 0 };
+    const c = { note: 'C', loopDuration: 30, randomOffset: 0.25 };
+
+    // Test 1: ConvergencePredictor class exists
+    assert(
+        typeof ConvergencePredictor === 'function',
+        'ConvergencePredictor class should exist'
+    );
+
+    // Test 2: Note times follow the scheduler's formula
+    const predictor = new ConvergencePredictor([a, b, c], { minVoices: 3, tolerance: 0.5 });
+    const times = predictor.getNoteTimes(c, 0, 100);
+    assert(
+        times.length === 3 && near(times[0], 29.75) && near(times[2], 89.75),
+        'Note times should be n * loopDuration - randomOffset, starting from the first loop'
+    );
+
+    // Test 3: Clusters are found within the tolerance and reported once
+    const clusters = predictor.findClusters(0, 130);
+    assert(
+        clusters.length === 2 &&
+        near(clusters[0].time, 59.75) && near(clusters[0].spread, 0.25) &&
+        clusters[0].voices.length === 3 &&
+        near(clusters[1].time, 119.75),
+        'Three voices within half a second should form one cluster each time they meet'
+    );
+
+    // Test 4: A tighter tolerance misses the cluster
+    const strict = new ConvergencePredictor([a, b, c], { minVoices: 3, tolerance: 0.1 });
+    assert(
+        strict.findClusters(0, 130).length === 0,
+        'Voices further apart than the tolerance should not form a cluster'
+    );
+
+    // Test 5: The next cluster is found from any position, searching past the first step
+    predictor.searchStep = 50;
+    const next = predictor.findNext(60);
+    assert(
+        next !== null && near(next.time, 119.75),
+        'findNext() should return the first cluster after the given time'
+    );
+
+    // Test 6: A horizon stops the search short of a cluster past it, even part-way through a step
+    assert(
+        predictor.findNext(60, 59) === null && near(predictor.findNext(60, 60).time, 119.75),
+        'findNext() should only return clusters within the horizon'
+    );
+
+    // Test 7: Too few voices can never converge
+    assert(
+        new ConvergencePredictor([a, b], { minVoices: 3 }).findNext(0) === null,
+        'findNext() should return null when there are fewer voices than a cluster needs'
+    );
+
+    // Test 8: The densest cluster in a window prefers more voices
+    const densest = predictor.findDensest(0, 61);
+    assert(
+        densest !== null && densest.voices.length === 3 && near(densest.time, 59.75),
+        'findDensest() should return the cluster with the most voices'
+    );
+
+    // Summary
+    console.log(`\nTests completed: ${passedTests} passed, ${totalTests - passedTests} failed`);
+
+    return passedTests === totalTests;
+}
+
+// Run tests when the script is loaded directly (not when imported)
+if (typeof window !== 'undefined' && typeof ConvergencePredictor !== 'undefined') {
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Tests for Evolution
+ *
+ * These are simple tests to verify the changes evolution makes to the voices and its log.
+ * In a production environment, you would use a proper testing framework like Jest.
+ */
+
+// Simple test runner
+function runTests() {
+    console.log('Running Evolution Tests...');
+
+    let passedTests = 0;
+    let totalTests = 0;
+
+    function assert(condition, message) {
+        totalTests++;
+        if (condition) {
+            console.log(`✓ PASS: ${message}`);
+            passedTests++;
+        } else {
+            console.error(`✗ FAIL: ${message}`);
+        }
+    }
+
+    // A fresh engine with a fixed arrangement, evolving with only the given kinds of change
+    function createEngine(kinds) {
+        const engine = new AudioEngine();
+        engine.generateRandomStartTimes(true, 'evolution');
+        engine.setEvolutionSettings({ pitch: false, loop: false, voices: false, ...kinds });
+        return engine;
+    }
+
+    // Test 1: Evolution class exists
+    assert(
+        typeof Evolution === 'function',
+        'Evolution class should exist'
+    );
+
+    // Test 2: Changes come once per interval of playback, and only while enabled
+    const timed = createEngine({ pitch: true });
+    timed.evolution.advance(3600);
+    const whileDisabled = timed.evolution.log.length;
+    timed.setEvolutionSettings({ enabled: true, interval: 10 });
+    const early = timed.evolution.advance(9 * 60);
+    const due = timed.evolution.advance(60);
+    assert(
+        whileDisabled === 0 && early === null && due !== null && timed.evolution.log.length === 1,
+        'A change should only be made once the interval has passed with evolution enabled'
+    );
+
+    // Test 3: A swapped note comes from D♭ major and crossfades in at the old voice's phase
+    const swapped = createEngine({ pitch: true });
+    const voiceCount = swapped.voices.length;
+    const swapEntry = swapped.evolution.evolve();
+    const outgoing = swapped.voices.find(voice => voice.retiring);
+    const incoming = swapped.voices[swapped.voices.length - 1];
+    assert(
+        swapEntry.kind === 'pitch' && swapped.voices.length === voiceCount + 1 &&
+        Evolution.PITCHES.includes(incoming.pitch) && incoming.midiNote !== outgoing.midiNote &&
+        incoming.fade.from === 0 && incoming.fade.to === 1 && outgoing.fade.to === 0 &&
+        Math.abs(swapped.getLoopPosition(incoming) - swapped.getLoopPosition(outgoing)) < 1e-9,
+        'A note swap should crossfade to a D♭ major note that sets off from the old voice\'s phase'
+    );
+
+    // Test 4: A nudged loop stays close to the old one and the score follows the voices
+    const nudged = createEngine({ loop: true });
+    nudged.evolution.evolve();
+    const before = nudged.voices.find(voice => voice.retiring);
+    const after = nudged.voices[nudged.voices.length - 1];
+    const change = Math.abs(after.loopDuration / before.loopDuration - 1);
+    assert(
+        after.note === before.note && change > 0.01 && change < 0.09 &&
+        nudged.score.voices.every((voiceData, index) => voiceData.loopDuration === nudged.voices[index].loopDuration),
+        'A loop nudge should change the loop by a few percent and keep the score in step with the voices'
+    );
+
+    // Test 5: Retired voices are removed once faded out, but never below the minimum
+    const retiring = createEngine({ voices: true });
+    retiring.evolution.maxVoices = retiring.voices.length - 1;
+    retiring.evolution.minVoices = retiring.voices.length - 1;
+    retiring.setEvolutionSettings({ crossfade: 0 });
+    const retireEntry = retiring.evolution.evolve();
+    const removed = retiring.removeRetiredVoices();
+    const blocked = retiring.evolution.evolve();
+    assert(
+        retireEntry.kind === 'retire' && removed === 1 && blocked === null &&
+        retiring.voices.length === 6 && retiring.score.voices.length === 6,
+        'A retired voice should be removed when silent, and no change made when none is allowed'
+    );
+
+    // Test 6: The same seed evolves the same way
+    const first = createEngine({ pitch: true, loop: true, voices: true });
+    const second = createEngine({ pitch: true, loop: true, voices: true });
+    const firstChanges = [1, 2, 3].map(() => first.evolution.evolve().description);
+    const secondChanges = [1, 2, 3].map(() => second.evolution.evolve().description);
+    assert(
+        firstChanges.join('|') === secondChanges.join('|'),
+        'Evolution should make the same changes from the same arrangement seed'
+    );
+
+    // Test 7: The log keeps every change, oldest first, up to its limit
+    const logged = createEngine({ pitch: true });
+    logged.evolution.maxLogEntries = 3;
+    const entries = [1, 2, 3, 4].map(() => logged.evolution.evolve());
+    assert(
+        logged.evolution.log.length === 3 && logged.evolution.log[0] === entries[1] && logged.evolution.log[2] === entries[3] &&
+        entries.every(entry => typeof entry.time === 'number' && typeof entry.position === 'number' && entry.description),
+        'The change log should keep the newest changes in order, each with its time and description'
+    );
+
+    // Summary
+    console.log(`\nTests completed: ${passedTests} passed, ${totalTests - passedTests} failed`);
+
+    return passedTests === totalTests;
+}
+
+// Run tests when the script is loaded directly (not when imported)
+if (typeof window !== 'undefined' && typeof Evolution !== 'undefined') {
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+}
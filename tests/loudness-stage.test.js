@@ -0,0 +1,148 @@
+/**
+ * Tests for the Loudness Stage
+ *
+ * These are simple tests to verify the loudness measurement, normalization and limiting.
+ * In a production environment, you would use a proper testing framework like Jest.
+ */
+
+// Simple test runner
+function runTests() {
+    console.log('Running Loudness Stage Tests...');
+
+    let passedTests = 0;
+    let totalTests = 0;
+
+    function assert(condition, message) {
+        totalTests++;
+        if (condition) {
+            console.log(`✓ PASS: ${message}`);
+            passedTests++;
+        } else {
+            console.error(`✗ FAIL: ${message}`);
+        }
+    }
+
+    // A stereo buffer of a 997Hz sine, the frequency BS.1770 calibrates with
+    function createSine(seconds, amplitudes, sampleRate = 48000) {
+        const context = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(2, sampleRate, sampleRate);
+        const buffer = context.createBuffer(2, seconds * sampleRate, sampleRate);
+        amplitudes.forEach((amplitude, channel) => {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = amplitude * Math.sin(2 * Math.PI * 997 * i / sampleRate);
+            }
+        });
+        return buffer;
+    }
+
+    function getPeak(buffer) {
+        let peak = 0;
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            buffer.getChannelData(channel).forEach(sample => {
+                peak = Math.max(peak, Math.abs(sample));
+            });
+        }
+        return peak;
+    }
+
+    // Test 1: LoudnessStage class exists
+    assert(
+        typeof LoudnessStage === 'function',
+        'LoudnessStage class should exist'
+    );
+
+    // Test 2: The K-weighting filters match the coefficients BS.1770 gives at 48kHz
+    const [shelf, highPass] = LoudnessStage.getKWeighting(48000);
+    assert(
+        Math.abs(shelf.b[0] - 1.53512485958697) < 1e-9 && Math.abs(shelf.b[1] + 2.69169618940638) < 1e-9 &&
+        Math.abs(shelf.a[1] + 1.69065929318241) < 1e-9 && Math.abs(shelf.a[2] - 0.73248077421585) < 1e-9 &&
+        Math.abs(highPass.a[1] + 1.99004745483398) < 1e-9 && Math.abs(highPass.a[2] - 0.99007225036621) < 1e-9,
+        'K-weighting coefficients should match the standard\'s at 48kHz'
+    );
+
+    // Test 3: A full-scale sine in one channel measures -3.01 LUFS
+    const fullScale = LoudnessStage.measureIntegrated(createSine(5, [1, 0]));
+    assert(
+        Math.abs(fullScale + 3.01) < 0.05,
+        'A full-scale 997Hz sine in one channel should measure -3.01 LUFS'
+    );
+
+    // Test 4: Gating leaves out silence
+    const powers = [0.01, 0.01, 0, 0, 0];
+    assert(
+        Math.abs(LoudnessStage.gatedLoudness(powers) - LoudnessStage.toLufs(0.01)) < 1e-9 &&
+        LoudnessStage.gatedLoudness([0, 0]) === null,
+        'Silent blocks should not pull the gated loudness down, and silence alone should have none'
+    );
+
+    // Test 5: Normalizing reaches the target
+    const quiet = createSine(5, [0.02, 0.02]);
+    const result = LoudnessStage.normalizeBuffer(quiet, -23);
+    assert(
+        Math.abs(LoudnessStage.measureIntegrated(quiet) + 23) < 0.05 && result.gain > 0,
+        'Normalizing should bring the audio to the target loudness'
+    );
+
+    // Test 6: Peaks pushed over the ceiling are limited
+    const loud = createSine(5, [0.5, 0.5]);
+    LoudnessStage.normalizeBuffer(loud, 0, -1);
+    assert(
+        getPeak(loud) <= Math.pow(10, -1 / 20) + 1e-6,
+        'Normalizing should never let a peak past the ceiling'
+    );
+
+    // Test 7: Measuring and limiting a piece at a time gives the same result as doing it whole
+    const whole = createSine(3, [0.9, 0.6]);
+    const source = LoudnessStage.getChannels(createSine(3, [0.9, 0.6]));
+    const integrator = new LoudnessIntegrator(48000, 2);
+    const limiter = new LookaheadLimiter(48000, 2, 2, 0.8);
+    const limited = [];
+    [0, 1000, 48000, 48001, 144000].reduce((start, end) => {
+        const piece = source.map(data => data.subarray(start, end));
+        integrator.add(piece);
+        limited.push(limiter.process(piece));
+        return end;
+    });
+    limited.push(limiter.flush());
+    const measured = LoudnessStage.measureIntegrated(whole);
+    LoudnessStage.applyLimitedGain(whole, 2, 0.8);
+    let offset = 0;
+    let matches = true;
+    limited.forEach(piece => {
+        piece[0].forEach((sample, i) => {
+            if (sample !== whole.getChannelData(0)[offset + i]) matches = false;
+        });
+        offset += piece[0].length;
+    });
+    assert(
+        Math.abs(integrator.getLoudness() - measured) < 1e-9 && offset === whole.length && matches,
+        'Streamed loudness and limiting should match measuring and limiting the whole buffer'
+    );
+
+    // Test 8: The engine only accepts known targets, and "natural" leaves the level alone
+    const engine = new AudioEngine();
+    const natural = engine.getLoudnessTarget();
+    engine.setLoudnessTarget('background');
+    let rejected = false;
+    try { engine.setLoudnessTarget('deafening'); } catch (e) { rejected = true; }
+    assert(
+        natural === null && engine.getLoudnessTarget() === -30 && rejected &&
+        Math.abs(engine.getLoudnessStageTarget() - (-30 - 20 * Math.log10(engine.masterLevel))) < 1e-9,
+        'The loudness target should be one of the presets and allow for the master gain after the stage'
+    );
+
+    // Summary
+    console.log(`\nTests completed: ${passedTests} passed, ${totalTests - passedTests} failed`);
+
+    return passedTests === totalTests;
+}
+
+// Run tests when the script is loaded directly (not when imported)
+if (typeof window !== 'undefined' && typeof LoudnessStage !== 'undefined') {
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+}
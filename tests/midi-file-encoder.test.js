@@ -0,0 +1,163 @@
+/**
+ * Tests for the MIDI File Encoder
+ *
+ * These are simple tests to verify the MIDI file structure, timing and track contents.
+ * In a production environment, you would use a proper testing framework like Jest.
+ */
+
+// Simple test runner
+function runTests() {
+    console.log('Running MIDI File Encoder Tests...');
+
+    let passedTests = 0;
+    let totalTests = 0;
+
+    function assert(condition, message) {
+        totalTests++;
+        if (condition) {
+            console.log(`✓ PASS: ${message}`);
+            passedTests++;
+        } else {
+            console.error(`✗ FAIL: ${message}`);
+        }
+    }
+
+    // Read a file back into its header and tracks, each track a list of events with absolute ticks
+    function parseMidiFile(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const view = new DataView(arrayBuffer);
+        const readId = offset => String.fromCharCode(...bytes.slice(offset, offset + 4));
+
+        const file = {
+            id: readId(0),
+            format: view.getUint16(8),
+            trackCount: view.getUint16(10),
+            division: view.getUint16(12),
+            tracks: []
+        };
+
+        let offset = 14;
+        while (offset < bytes.length) {
+            const length = view.getUint32(offset + 4);
+            const end = offset + 8 + length;
+            const track = { id: readId(offset), events: [] };
+            let position = offset + 8;
+            let tick = 0;
+
+            const readVariableLength = () => {
+                let value = 0;
+                let byte;
+                do {
+                    byte = bytes[position++];
+                    value = (value << 7) | (byte & 0x7F);
+                } while (byte & 0x80);
+                return value;
+            };
+
+            while (position < end) {
+                tick += readVariableLength();
+                const status = bytes[position++];
+                if (status === 0xFF) {
+                    const type = bytes[position++];
+                    const dataLength = readVariableLength();
+                    track.events.push({ tick: tick, meta: type, data: bytes.slice(position, position + dataLength) });
+                    position += dataLength;
+                } else {
+                    track.events.push({ tick: tick, status: status, data: bytes.slice(position, position + 2) });
+                    position += 2;
+                }
+            }
+
+            file.tracks.push(track);
+            offset = end;
+        }
+
+        return file;
+    }
+
+    // Test 1: MidiFileEncoder class exists
+    assert(
+        typeof MidiFileEncoder === 'function',
+        'MidiFileEncoder class should exist'
+    );
+
+    // Test 2: Variable-length quantities use 7 bits per byte
+    const encoded = [0, 0x7F, 0x80, 0x2000, 0x0FFFFFFF].map(value => MidiFileEncoder.variableLength(value).join(','));
+    assert(
+        encoded.join(' ') === '0 127 129,0 192,0 255,255,255,127',
+        'Variable-length quantities should match the Standard MIDI File examples'
+    );
+
+    // Test 3: The division and tempo make one tick per sample
+    const timing44 = MidiFileEncoder.getTiming(44100);
+    const timing96 = MidiFileEncoder.getTiming(96000);
+    assert(
+        timing44.division === 22050 && timing44.tempo === 500000 &&
+        timing96.division === 24000 && timing96.tempo === 250000 &&
+        timing96.tempo / timing96.division === 1000000 / 96000,
+        'The timing should make each tick exactly one sample, at 120 bpm where the division allows'
+    );
+
+    // Test 4: The header describes a format 1 file with a conductor track plus one per voice
+    const engine = new AudioEngine();
+    engine.generateRandomStartTimes(true, 'midi');
+    const renderer = new OfflineRenderer(engine);
+    const tracks = renderer.getMidiTracks(600, 1200);
+    const file = parseMidiFile(MidiFileEncoder.encode(tracks, { title: '2/1', ticksPerSecond: 44100 }));
+    assert(
+        file.id === 'MThd' && file.format === 1 && file.division === 22050 &&
+        file.trackCount === engine.voices.length + 1 && file.tracks.length === file.trackCount &&
+        file.tracks.every(track => track.id === 'MTrk'),
+        'The file should be format 1 with a conductor track and one track per voice'
+    );
+
+    // Test 5: The conductor track sets the tempo and voice tracks are named after their notes
+    const decoder = new TextDecoder();
+    const tempoEvent = file.tracks[0].events.find(event => event.meta === 0x51);
+    const names = file.tracks.slice(1).map(track => decoder.decode(track.events.find(event => event.meta === 0x03).data));
+    assert(
+        tempoEvent && tempoEvent.tick === 0 &&
+        ((tempoEvent.data[0] << 16) | (tempoEvent.data[1] << 8) | tempoEvent.data[2]) === 500000 &&
+        names.every((name, index) => name === engine.voices[index].note),
+        'The tempo should be set at the start and each track named after its voice'
+    );
+
+    // Test 6: Notes keep the loop lengths to the sample and last the voice's note length
+    const firstVoice = engine.voices[0];
+    const noteOns = file.tracks[1].events.filter(event => (event.status & 0xF0) === 0x90);
+    const noteOffs = file.tracks[1].events.filter(event => (event.status & 0xF0) === 0x80);
+    const loopSamples = firstVoice.loopDuration * 44100;
+    assert(
+        noteOns.length === tracks[0].notes.length && noteOns.length > 30 &&
+        noteOns.slice(1).every((event, index) => Math.abs(event.tick - noteOns[index].tick - loopSamples) <= 1) &&
+        Math.abs(noteOns[0].tick - (tracks[0].notes[0].time * 44100)) <= 0.5 &&
+        Math.abs(noteOffs[0].tick - noteOns[0].tick - firstVoice.noteLength * 44100) <= 1,
+        'Notes should be a loop apart to within a sample and last the voice note length'
+    );
+
+    // Test 7: Pitches follow the voice frequency, octave shift included
+    const expectedNote = Math.round(69 + 12 * Math.log2(firstVoice.frequency / 440));
+    engine.setOctaveShift(0);
+    const unshiftedNote = renderer.getMidiTracks(600, 1200)[0].notes[0].noteNumber;
+    engine.setOctaveShift(-1);
+    assert(
+        noteOns.every(event => event.data[0] === expectedNote) &&
+        unshiftedNote === expectedNote + 12,
+        'Note numbers should come from the voice frequency and move with the octave shift'
+    );
+
+    // Summary
+    console.log(`\nTests completed: ${passedTests} passed, ${totalTests - passedTests} failed`);
+
+    return passedTests === totalTests;
+}
+
+// Run tests when the script is loaded directly (not when imported)
+if (typeof window !== 'undefined' && typeof MidiFileEncoder !== 'undefined') {
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+}
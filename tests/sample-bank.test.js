@@ -0,0 +1,90 @@
+/**
+ * Tests for the Sample Bank
+ *
+ * These are simple tests to verify sample selection for the multisampled instrument.
+ * In a production environment, you would use a proper testing framework like Jest.
+ */
+
+// Simple test runner
+function runTests() {
+    console.log('Running Sample Bank Tests...');
+
+    let passedTests = 0;
+    let totalTests = 0;
+
+    function assert(condition, message) {
+        totalTests++;
+        if (condition) {
+            console.log(`✓ PASS: ${message}`);
+            passedTests++;
+        } else {
+            console.error(`✗ FAIL: ${message}`);
+        }
+    }
+
+    // Test 1: SampleBank class exists
+    assert(
+        typeof SampleBank === 'function',
+        'SampleBank class should exist'
+    );
+
+    // Fake decoded buffers - selection only needs their duration
+    const fakeBuffer = { duration: 4 };
+    const bank = new SampleBank(null);
+
+    // Test 2: Empty bank selects nothing
+    assert(
+        !bank.isLoaded() && bank.select(440) === null,
+        'Empty bank should not be loaded and should select nothing'
+    );
+
+    bank.zones = [
+        SampleBank.createZone({ file: 'c3-soft.wav', rootNote: 48, velocity: 0.3 }, fakeBuffer),
+        SampleBank.createZone({ file: 'c4-soft.wav', rootNote: 60, velocity: 0.3 }, fakeBuffer),
+        SampleBank.createZone({ file: 'c5-soft.wav', rootNote: 72, velocity: 0.3 }, fakeBuffer),
+        SampleBank.createZone({ file: 'c4-loud.wav', rootNote: 60, velocity: 0.9 }, fakeBuffer)
+    ];
+
+    // Test 3: Root note is converted to frequency
+    assert(
+        Math.abs(bank.zones[1].rootFrequency - 261.63) < 0.01,
+        'MIDI note 60 should have a root frequency of 261.63 Hz'
+    );
+
+    // Test 4: Nearest root is chosen for each voice frequency
+    assert(
+        bank.select(174.61, 0.35).file === 'c3-soft.wav' &&
+        bank.select(349.23, 0.35).file === 'c4-soft.wav' &&
+        bank.select(830.61, 0.35).file === 'c5-soft.wav',
+        'Should select the sample whose root is nearest in pitch'
+    );
+
+    // Test 5: Velocity layer is respected
+    assert(
+        bank.select(830.61, 0.8).file === 'c4-loud.wav',
+        'Should select from the nearest velocity layer'
+    );
+
+    // Test 6: Loop points are validated
+    const looped = SampleBank.createZone({ file: 'a.wav', rootNote: 69, loopStart: 1, loopEnd: 3 }, fakeBuffer);
+    const invalidLoop = SampleBank.createZone({ file: 'b.wav', rootNote: 69, loopStart: 3, loopEnd: 5 }, fakeBuffer);
+    assert(
+        looped.loopStart === 1 && looped.loopEnd === 3 && invalidLoop.loopStart === null,
+        'Should keep valid loop points and drop loop points outside the buffer'
+    );
+
+    // Summary
+    console.log(`\nTests completed: ${passedTests} passed, ${totalTests - passedTests} failed`);
+
+    return passedTests === totalTests;
+}
+
+// Run tests when the script is loaded directly (not when imported)
+if (typeof window !== 'undefined' && typeof SampleBank !== 'undefined') {
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+}
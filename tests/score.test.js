@@ -0,0 +1,103 @@
+/**
+ * Tests for the Score format
+ *
+ * These are simple tests to verify score parsing and validation.
+ * In a production environment, you would use a proper testing framework like Jest.
+ */
+
+// Simple test runner
+function runTests() {
+    console.log('Running Score Tests...');
+
+    let passedTests = 0;
+    let totalTests = 0;
+
+    function assert(condition, message) {
+        totalTests++;
+        if (condition) {
+            console.log(`✓ PASS: ${message}`);
+            passedTests++;
+        } else {
+            console.error(`✗ FAIL: ${message}`);
+        }
+    }
+
+    // Returns the field named by the validation error, or null if parsing succeeded
+    function invalidField(data) {
+        try {
+            Score.parse(data);
+            return null;
+        } catch (e) {
+            return e instanceof ScoreValidationError ? e.field : `unexpected ${e.name}`;
+        }
+    }
+
+    // Test 1: Score class exists
+    assert(
+        typeof Score === 'function' && typeof ScoreValidationError === 'function',
+        'Score and ScoreValidationError classes should exist'
+    );
+
+    // Test 2: The built-in score parses
+    const score = Score.parse(DEFAULT_SCORE);
+    assert(
+        score.voices.length === 7 && score.noteLength === 3.0 && score.gain === 0.35,
+        'Default score should have 7 voices and the default note length and gain'
+    );
+
+    // Test 3: Note names resolve to equal-tempered frequencies
+    assert(
+        Math.abs(score.voices[0].baseFrequency - 830.61) < 0.01 &&
+        Math.abs(score.voices[6].baseFrequency - 349.23) < 0.01 &&
+        score.voices[0].midiNote === 80,
+        'Note names should resolve to MIDI notes and frequencies'
+    );
+
+    // Test 4: Alternative spellings of accidentals
+    assert(
+        Score.noteNameToMidi('Db5') === Score.noteNameToMidi('D♭5') &&
+        Score.noteNameToMidi('C#5') === Score.noteNameToMidi('D♭5') &&
+        Score.noteNameToMidi('C4') === 60 &&
+        Score.noteNameToMidi('H4') === null,
+        'Note names should accept ♭/b and ♯/# and reject unknown letters'
+    );
+
+    // Test 5: Pitches given in Hz are kept as-is
+    const hzScore = Score.parse({
+        title: 'Tape loop',
+        voices: [{ note: 'Hum', pitch: 60, loopDuration: 9.5, gain: 0.5 }]
+    });
+    assert(
+        hzScore.voices[0].baseFrequency === 60 &&
+        hzScore.voices[0].midiNote === null &&
+        hzScore.voices[0].gain === 0.5 &&
+        hzScore.voices[0].noteLength === 3.0,
+        'Hz pitches should be kept and per-voice defaults filled in'
+    );
+
+    // Test 6: Validation errors name the bad field
+    const validVoice = { note: 'C', pitch: 'C5', loopDuration: 20.1 };
+    assert(
+        invalidField({ voices: [validVoice] }) === 'title' &&
+        invalidField({ title: '1/1', voices: [] }) === 'voices' &&
+        invalidField({ title: '1/1', voices: [validVoice, { note: 'D', pitch: 'D5', loopDuration: -1 }] }) === 'voices[1].loopDuration' &&
+        invalidField({ title: '1/1', voices: [{ note: 'X', pitch: 'X9', loopDuration: 10 }] }) === 'voices[0].pitch' &&
+        invalidField({ title: '1/1', gain: 2, voices: [validVoice] }) === 'gain',
+        'Validation errors should name the offending field'
+    );
+
+    // Summary
+    console.log(`\nTests completed: ${passedTests} passed, ${totalTests - passedTests} failed`);
+
+    return passedTests === totalTests;
+}
+
+// Run tests when the script is loaded directly (not when imported)
+if (typeof window !== 'undefined' && typeof Score !== 'undefined') {
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+}
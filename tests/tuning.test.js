@@ -0,0 +1,130 @@
+/**
+ * Tests for the Tuning systems
+ *
+ * These are simple tests to verify tuning frequencies, Scala parsing and URL round trips.
+ * In a production environment, you would use a proper testing framework like Jest.
+ */
+
+// Simple test runner
+function runTests() {
+    console.log('Running Tuning Tests...');
+
+    let passedTests = 0;
+    let totalTests = 0;
+
+    function assert(condition, message) {
+        totalTests++;
+        if (condition) {
+            console.log(`✓ PASS: ${message}`);
+            passedTests++;
+        } else {
+            console.error(`✗ FAIL: ${message}`);
+        }
+    }
+
+    function near(a, b) {
+        return Math.abs(a - b) < 1e-6;
+    }
+
+    // Test 1: Tuning class exists
+    assert(
+        typeof Tuning === 'function' && typeof TuningError === 'function',
+        'Tuning and TuningError classes should exist'
+    );
+
+    // Test 2: Equal temperament follows the reference pitch
+    const standard = new Tuning();
+    const baroque = new Tuning({ reference: 415 });
+    assert(
+        near(standard.frequencyFor(69), 440) &&
+        near(standard.frequencyFor(81), 880) &&
+        near(baroque.frequencyFor(69), 415),
+        'Equal temperament should put A4 at the reference pitch'
+    );
+
+    // Test 3: Just intonation keeps the tonic and uses pure intervals above it
+    const just = new Tuning({ system: 'just', tonic: 1 });
+    const tonic = standard.frequencyFor(61); // D♭4
+    assert(
+        near(just.frequencyFor(61), tonic) &&
+        near(just.frequencyFor(65), tonic * 5 / 4) && // F4, major third
+        near(just.frequencyFor(68), tonic * 3 / 2) && // A♭4, fifth
+        near(just.frequencyFor(73), tonic * 2) &&
+        near(just.frequencyFor(56), tonic * 3 / 4), // A♭3, a fourth below
+        'Just intonation should build pure intervals on the tonic in every octave'
+    );
+
+    // Test 4: Pythagorean thirds are wider than just thirds
+    const pythagorean = new Tuning({ system: 'pythagorean', tonic: 1 });
+    assert(
+        near(pythagorean.frequencyFor(65), tonic * 81 / 64),
+        'Pythagorean tuning should use a 81/64 major third'
+    );
+
+    // Test 5: Scala files with cents, ratios and comments
+    const scl = [
+        '! pentatonic.scl',
+        '!',
+        'Just pentatonic',
+        ' 5',
+        '!',
+        ' 9/8',
+        ' 5/4 major third',
+        ' 701.955',
+        ' 5/3',
+        ' 2'
+    ].join('\n');
+    const scale = Tuning.parseScala(scl);
+    assert(
+        scale.description === 'Just pentatonic' &&
+        scale.ratios.length === 5 &&
+        near(scale.ratios[3], 1.5) &&
+        scale.period === 2,
+        'Scala files should parse pitches in cents and ratios, skipping comments'
+    );
+
+    // Test 6: Scala scales map successive keys to successive degrees
+    const pentatonic = new Tuning({ system: 'scala', tonic: 1, scale: scale });
+    assert(
+        near(pentatonic.frequencyFor(62), tonic * 9 / 8) &&
+        near(pentatonic.frequencyFor(66), tonic * 2) &&
+        near(pentatonic.frequencyFor(60), tonic * 5 / 6),
+        'Scala tunings should repeat the scale every period'
+    );
+
+    // Test 7: Malformed Scala files report the offending line
+    let error = null;
+    try {
+        Tuning.parseScala('Broken\n2\n3/2\nabc\n');
+    } catch (e) {
+        error = e;
+    }
+    assert(
+        error instanceof TuningError && error.line === 4,
+        'Malformed Scala pitches should throw a TuningError with the line number'
+    );
+
+    // Test 8: Tunings survive a round trip through the URL form
+    const shared = Tuning.fromParam(pentatonic.toParam());
+    const sharedJust = Tuning.fromParam(new Tuning({ system: 'just', tonic: 5, reference: 432 }).toParam());
+    assert(
+        near(shared.frequencyFor(64), pentatonic.frequencyFor(64)) &&
+        sharedJust.system === 'just' && sharedJust.tonic === 5 && sharedJust.reference === 432,
+        'Tunings should round-trip through toParam() and fromParam()'
+    );
+
+    // Summary
+    console.log(`\nTests completed: ${passedTests} passed, ${totalTests - passedTests} failed`);
+
+    return passedTests === totalTests;
+}
+
+// Run tests when the script is loaded directly (not when imported)
+if (typeof window !== 'undefined' && typeof Tuning !== 'undefined') {
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+}
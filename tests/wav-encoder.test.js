@@ -0,0 +1,116 @@
+/**
+ * Tests for the WAV Encoder
+ *
+ * These are simple tests to verify the WAV header and sample encoding.
+ * In a production environment, you would use a proper testing framework like Jest.
+ */
+
+// Simple test runner
+function runTests() {
+    console.log('Running WAV Encoder Tests...');
+
+    let passedTests = 0;
+    let totalTests = 0;
+
+    function assert(condition, message) {
+        totalTests++;
+        if (condition) {
+            console.log(`✓ PASS: ${message}`);
+            passedTests++;
+        } else {
+            console.error(`✗ FAIL: ${message}`);
+        }
+    }
+
+    function readString(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            text += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return text;
+    }
+
+    // Test 1: WavEncoder class exists
+    assert(
+        typeof WavEncoder === 'function',
+        'WavEncoder class should exist'
+    );
+
+    // A tiny stereo buffer stand-in: left ramps up, right is silent, last sample clips
+    const left = new Float32Array([0, 0.5, -0.5, 2]);
+    const right = new Float32Array([0, 0, 0, 0]);
+    const fakeBuffer = {
+        numberOfChannels: 2,
+        sampleRate: 48000,
+        length: 4,
+        getChannelData: channel => (channel === 0 ? left : right)
+    };
+
+    // Test 2: 16-bit header
+    const wav16 = new DataView(WavEncoder.encode(fakeBuffer, 16));
+    assert(
+        readString(wav16, 0, 4) === 'RIFF' &&
+        readString(wav16, 8, 4) === 'WAVE' &&
+        wav16.getUint16(22, true) === 2 &&
+        wav16.getUint32(24, true) === 48000 &&
+        wav16.getUint16(34, true) === 16,
+        '16-bit WAV header should describe a stereo 48kHz file'
+    );
+
+    // Test 3: 16-bit data size and samples
+    assert(
+        wav16.byteLength === 44 + 4 * 2 * 2 &&
+        wav16.getInt16(44 + 4, true) === 16384 &&
+        wav16.getInt16(44 + 8, true) === -16384 &&
+        wav16.getInt16(44 + 12, true) === 32767,
+        '16-bit samples should be interleaved, scaled and clamped'
+    );
+
+    // Test 4: 24-bit samples
+    const wav24 = new DataView(WavEncoder.encode(fakeBuffer, 24));
+    const readInt24 = offset => {
+        const value = wav24.getUint8(offset) | (wav24.getUint8(offset + 1) << 8) | (wav24.getUint8(offset + 2) << 16);
+        return value & 0x800000 ? value - 0x1000000 : value;
+    };
+    assert(
+        wav24.getUint16(34, true) === 24 &&
+        wav24.byteLength === 44 + 4 * 2 * 3 &&
+        readInt24(44 + 6) === 4194304 &&
+        readInt24(44 + 12) === -4194304,
+        '24-bit samples should be written as little-endian signed integers'
+    );
+
+    // Test 5: Unsupported bit depths are rejected
+    let threw = false;
+    try {
+        WavEncoder.encode(fakeBuffer, 8);
+    } catch (e) {
+        threw = true;
+    }
+    assert(threw, 'Unsupported bit depths should throw');
+
+    // Test 6: A file written a piece at a time matches one encoded whole
+    const header = WavEncoder.createHeader(4, 2, 48000, 16);
+    const pieces = [0, 2].map(start => new Uint8Array(WavEncoder.encodeSamples([left.subarray(start, start + 2), right.subarray(start, start + 2)], 16)));
+    const joined = [...new Uint8Array(header), ...pieces[0], ...pieces[1]];
+    const whole = new Uint8Array(wav16.buffer);
+    assert(
+        joined.length === whole.length && joined.every((byte, i) => byte === whole[i]),
+        'A header and PCM encoded in pieces should make the same file as encoding it whole'
+    );
+
+    // Summary
+    console.log(`\nTests completed: ${passedTests} passed, ${totalTests - passedTests} failed`);
+
+    return passedTests === totalTests;
+}
+
+// Run tests when the script is loaded directly (not when imported)
+if (typeof window !== 'undefined' && typeof WavEncoder !== 'undefined') {
+    // Wait for DOM to be ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', runTests);
+    } else {
+        runTests();
+    }
+}